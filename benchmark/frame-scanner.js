@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Feeds bus traffic through the FrameScanner and the decoder and reports the
+ * throughput.
+ *
+ * Usage: node benchmark/frame-scanner.js [capture.log] [--seconds N]
+ *
+ * Without a file, the traffic of 16 packs is generated: the master polls the
+ * pack, cell and alarm block of every pack, with a few garbage bytes between
+ * the cycles like on a real bus. A capture file recorded by the adapter (see
+ * README, "Capture and replay") can be used instead.
+ */
+
+const fs = require('node:fs');
+const {
+    calculateModbusCRC,
+    decodeFrame,
+    REGISTER_PACK,
+    REGISTER_CELLS,
+    REGISTER_ALARMS,
+} = require('../lib/seplos-decoder');
+const { FrameScanner } = require('../lib/frame-scanner');
+const { isCapture, parseCapture } = require('../lib/capture');
+
+const PACKS = 16;
+// Real chunks of a serial port or TCP stream are small
+const CHUNK_SIZE = 64;
+
+/**
+ * @param {number[]} body frame without CRC
+ * @returns {number[]} frame with CRC
+ */
+function withCRC(body) {
+    const crc = calculateModbusCRC(body);
+    return [...body, crc & 0xff, crc >> 8];
+}
+
+/**
+ * @param {number[]} values 16 bit values
+ * @returns {number[]} big endian bytes
+ */
+function words(values) {
+    return values.flatMap(value => [(value >> 8) & 0xff, value & 0xff]);
+}
+
+/**
+ * Generates one polling cycle over all packs.
+ *
+ * @returns {Buffer} traffic of one cycle
+ */
+function generateCycle() {
+    const bytes = [];
+    for (let id = 1; id <= PACKS; id++) {
+        const pack = [
+            5320, 0xfc18, 20000, 28000, 123, 714, 1000, 42, 3325, 2981, 3340, 3310, 2991, 2971, 0, 150, 140, 0,
+        ];
+        const cells = [...Array.from({ length: 16 }, (_, i) => 3300 + i + id), 2981, 2982, 2983, 2984, 0, 0, 0, 0];
+        cells.push(2991, 3001);
+        const alarms = new Array(18).fill(0);
+        alarms[8] = 0x03;
+        bytes.push(...withCRC([id, 0x04, REGISTER_PACK >> 8, REGISTER_PACK & 0xff, 0, 18]));
+        bytes.push(...withCRC([id, 0x04, 0x24, ...words(pack)]));
+        bytes.push(...withCRC([id, 0x04, REGISTER_CELLS >> 8, REGISTER_CELLS & 0xff, 0, 26]));
+        bytes.push(...withCRC([id, 0x04, 0x34, ...words(cells)]));
+        bytes.push(...withCRC([id, 0x01, REGISTER_ALARMS >> 8, REGISTER_ALARMS & 0xff, 0, 144]));
+        bytes.push(...withCRC([id, 0x01, 0x12, ...alarms]));
+    }
+    bytes.push(0x00, 0xff, 0x13, 0x37); // line noise between two cycles
+    return Buffer.from(bytes);
+}
+
+/**
+ * @param {string} fileName capture file or binary dump
+ * @returns {Buffer} recorded traffic
+ */
+function readTraffic(fileName) {
+    const content = fs.readFileSync(fileName);
+    const text = content.toString('latin1');
+    if (isCapture(text)) {
+        return Buffer.concat(parseCapture(text).map(entry => entry.data));
+    }
+    return content;
+}
+
+/**
+ * Runs the scanner over the traffic until `seconds` have passed.
+ *
+ * @param {Buffer} traffic bytes to feed
+ * @param {number} seconds duration of the benchmark
+ * @returns {{bytes: number, frames: number, elapsed: number}} totals
+ */
+function run(traffic, seconds) {
+    const scanner = new FrameScanner();
+    let frames = 0;
+    scanner.on('response', (frame, info) => {
+        decodeFrame(frame, info.register);
+        frames++;
+    });
+
+    let bytes = 0;
+    const start = process.hrtime.bigint();
+    const end = start + BigInt(Math.round(seconds * 1e9));
+    while (process.hrtime.bigint() < end) {
+        for (let offset = 0; offset < traffic.length; offset += CHUNK_SIZE) {
+            scanner.push(traffic.subarray(offset, offset + CHUNK_SIZE));
+        }
+        bytes += traffic.length;
+    }
+    return { bytes, frames, elapsed: Number(process.hrtime.bigint() - start) / 1e9 };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secondsIndex = args.indexOf('--seconds');
+    const seconds = secondsIndex >= 0 ? Number(args.splice(secondsIndex, 2)[1]) || 3 : 3;
+    const traffic = args[0] ? readTraffic(args[0]) : generateCycle();
+
+    run(traffic, Math.min(0.5, seconds)); // warm-up
+    const { bytes, frames, elapsed } = run(traffic, seconds);
+    console.log(`traffic:     ${args[0] || `${PACKS} packs, generated`} (${traffic.length} bytes)`);
+    console.log(`throughput:  ${(bytes / elapsed / 1024 / 1024).toFixed(2)} MB/s`);
+    console.log(`frames:      ${Math.round(frames / elapsed)} responses/s`);
+    if (!args[0]) {
+        // the master polls every pack about every 200 ms
+        const busRate = traffic.length / 0.2;
+        console.log(`CPU load:    ${((busRate * 100) / (bytes / elapsed)).toFixed(3)} % of one core at 200 ms cycles`);
+    }
+}
+
+module.exports = { generateCycle, run };
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Offline decoder for captured Seplos V3 bus traffic.
+ *
+ * Usage: seplos-v3-decode [--hex | --binary] [--requests] [--pretty] [file]
+ *
+ * Reads a hex dump, a raw binary capture or a capture file written by the
+ * adapter (from `file` or stdin) and prints every decoded frame as one JSON
+ * object per line. Frames from capture files carry their receive time, with
+ * `--requests` the requests of the master are printed as well.
+ */
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+const { decodeFrame } = require('../lib/seplos-decoder');
+const { FrameScanner } = require('../lib/frame-scanner');
+const { isCapture, parseCapture } = require('../lib/capture');
+
+const USAGE = 'Usage: seplos-v3-decode [--hex | --binary] [--requests] [--pretty] [file]';
+
+/**
+ * Heuristic: a hex dump only consists of printable ASCII and whitespace.
+ *
+ * @param {Buffer} input file content
+ * @returns {boolean} true if the input looks like text
+ */
+function looksLikeText(input) {
+    for (const byte of input) {
+        if ((byte < 0x20 || byte > 0x7e) && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Converts a hex dump into bytes. Accepts `01 04 24`, `010424`, `0x01,0x04` and
+ * ignores everything after a `#`. Tokens that are not an even number of hex
+ * digits are skipped and returned, so they can be reported.
+ *
+ * @param {string} text hex dump
+ * @returns {{data: Buffer, invalid: {line: number, token: string}[]}} parsed bytes and skipped tokens
+ */
+function parseHexDump(text) {
+    const bytes = [];
+    const invalid = [];
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*$/, '');
+        for (const token of line.split(/[\s,;:]+/)) {
+            if (!token) {
+                continue;
+            }
+            const digits = token.replace(/^0x/i, '');
+            if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length % 2) {
+                invalid.push({ line: index + 1, token });
+                continue;
+            }
+            for (let i = 0; i < digits.length; i += 2) {
+                bytes.push(parseInt(digits.substring(i, i + 2), 16));
+            }
+        }
+    });
+    return { data: Buffer.from(bytes), invalid };
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                hex: { type: 'boolean', default: false },
+                binary: { type: 'boolean', default: false },
+                requests: { type: 'boolean', default: false },
+                pretty: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let input;
+    try {
+        input = fs.readFileSync(positionals[0] || 0);
+    } catch (error) {
+        console.error(`Cannot read ${positionals[0] || 'stdin'}: ${error.message}`);
+        process.exit(1);
+    }
+    const isText = !values.binary && looksLikeText(input);
+
+    let time;
+    const print = output => {
+        const line = time === undefined ? output : { time: new Date(time).toISOString(), ...output };
+        console.log(JSON.stringify(line, null, values.pretty ? 2 : undefined));
+    };
+    const scanner = new FrameScanner();
+    scanner.on('response', (buffer, info) => {
+        const frame = decodeFrame(buffer, info.register);
+        if (frame) {
+            print(frame);
+        }
+    });
+    scanner.on('exception', (buffer, info) => {
+        print({ slaveId: info.slaveId, type: 'exception', register: info.register, data: { code: buffer[2] } });
+    });
+    if (values.requests) {
+        scanner.on('request', request => print({ type: 'request', ...request }));
+    }
+
+    if (isText && isCapture(input.toString('latin1'))) {
+        for (const chunk of parseCapture(input.toString('latin1'))) {
+            time = chunk.time;
+            scanner.push(chunk.data);
+        }
+    } else if (values.hex || isText) {
+        const { data, invalid } = parseHexDump(input.toString('latin1'));
+        for (const { line, token } of invalid) {
+            console.error(`Line ${line}: skipped invalid hex "${token}"`);
+        }
+        scanner.push(data);
+    } else {
+        scanner.push(input);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseHexDump, looksLikeText };
@@ -0,0 +1,22 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseHexDump } = require('./seplos-v3-decode');
+
+describe('seplos-v3-decode', () => {
+    it('parses the supported hex dump formats', () => {
+        const { data, invalid } = parseHexDump('01 04 24\n010424 # comment\n0x01,0x04;0x24');
+        expect([...data]).to.deep.equal([1, 4, 0x24, 1, 4, 0x24, 1, 4, 0x24]);
+        expect(invalid).to.deep.equal([]);
+    });
+
+    it('reports odd-length and non-hex tokens', () => {
+        const { data, invalid } = parseHexDump('01 042 04\n0x zz 24');
+        expect([...data]).to.deep.equal([1, 4, 0x24]);
+        expect(invalid).to.deep.equal([
+            { line: 1, token: '042' },
+            { line: 2, token: '0x' },
+            { line: 2, token: 'zz' },
+        ]);
+    });
+});
@@ -1,6 +1,7 @@
 // ioBroker eslint template configuration file for js and ts files
 // Please note that esm or react based modules need additional modules loaded.
 import config from '@iobroker/eslint-config';
+import globals from 'globals';
 
 export default [
     ...config,
@@ -21,6 +22,14 @@ export default [
         ] 
     },
 
+    {
+        // unit tests of the lib and bin modules run with mocha
+        files: ['lib/**/*.test.js', 'bin/**/*.test.js'],
+        languageOptions: {
+            globals: globals.mocha,
+        },
+    },
+
     {
         // you may disable some 'jsdoc' warnings - but using jsdoc is highly recommended
         // as this improves maintainability. jsdoc warnings will not block buiuld process.
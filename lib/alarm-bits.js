@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Every bit of the 0x12 alarm frame as a boolean state, so it can be used
+ * directly in scripts and visualisations.
+ */
+
+const { ALARM_FLAGS } = require('./seplos-decoder');
+
+// Channel and role of the single status bits per group of ALARM_FLAGS
+const ALARM_GROUPS = {
+    system: { channel: 'status', role: 'indicator' },
+    alarm: { channel: 'alarms', role: 'indicator.alarm' },
+    protection: { channel: 'protections', role: 'indicator.alarm' },
+    fet: { channel: 'fet', role: 'indicator' },
+};
+const ALARM_CHANNELS = [...Object.values(ALARM_GROUPS).map(({ channel }) => channel), 'cell_alarms', 'balancing'];
+
+/**
+ * Maps a decoded alarm frame to boolean states. The per cell and per sensor
+ * bits are only created for the cells and sensors in use.
+ *
+ * @param {Record<string, any>} data decoded 0x12 frame
+ * @param {{cells: number, temps: number} | undefined} layout layout of the pack, none before the first cell frame
+ * @returns {Record<string, {value: boolean, name: string, role: string}>} states by id relative to the pack folder
+ */
+function buildAlarmBits(data, layout) {
+    const bits = ALARM_FLAGS.map(({ key, label, group }) => [
+        `${ALARM_GROUPS[group].channel}.${key}`,
+        { value: data.flags[key], name: label, role: ALARM_GROUPS[group].role },
+    ]);
+    const bit = (id, list, number, name, role = 'indicator.alarm') =>
+        bits.push([id, { value: list.includes(number), name, role }]);
+    const { cells, temps } = layout || { cells: 0, temps: 0 };
+    for (let cell = 1; cell <= cells; cell++) {
+        bit(`cell_alarms.cell_${cell}_low_voltage`, data.cell_low_voltage, cell, `Cell ${cell} Low Voltage Alarm`);
+        bit(`cell_alarms.cell_${cell}_high_voltage`, data.cell_high_voltage, cell, `Cell ${cell} High Voltage Alarm`);
+        bit(`balancing.cell_${cell}`, data.balancing_cells, cell, `Cell ${cell} Balancing`, 'indicator');
+    }
+    for (let sensor = 1; sensor <= temps; sensor++) {
+        bit(`cell_alarms.temp_${sensor}_low`, data.cell_low_temp, sensor, `Cell Temperature ${sensor} Low Alarm`);
+        bit(`cell_alarms.temp_${sensor}_high`, data.cell_high_temp, sensor, `Cell Temperature ${sensor} High Alarm`);
+    }
+    return Object.fromEntries(bits);
+}
+
+module.exports = { ALARM_CHANNELS, buildAlarmBits };
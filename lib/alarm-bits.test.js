@@ -0,0 +1,63 @@
+'use strict';
+
+const { expect } = require('chai');
+const { calculateModbusCRC, ALARM_FLAGS, decodeFrame } = require('./seplos-decoder');
+const { buildAlarmBits } = require('./alarm-bits');
+
+/**
+ * @param {number[]} payload 18 data bytes of the 0x12 frame
+ * @returns {Record<string, any>} decoded alarm frame
+ */
+function decodeAlarms(payload) {
+    const body = [1, 0x01, payload.length, ...payload];
+    const crc = calculateModbusCRC(body);
+    const frame = decodeFrame(Buffer.from([...body, crc & 0xff, crc >> 8]));
+    if (!frame || frame.type !== 'alarms') {
+        throw new Error('frame was not decoded as alarm frame');
+    }
+    return frame.data;
+}
+
+describe('alarm-bits', () => {
+    // low voltage cells 1 and 3, high voltage cell 10, high temperature sensor 2, balancing cells 2 and 9,
+    // charge, cell over voltage protection, discharge + charge FET, AFE fault
+    const payload = [0x05, 0, 0, 0x02, 0, 0x02, 0x02, 0x01, 0x02, 0x02, 0, 0, 0, 0, 0, 0x03, 0, 0x02];
+
+    it('maps every bit of a known alarm frame to its boolean state', () => {
+        const bits = buildAlarmBits(decodeAlarms(payload), { cells: 16, temps: 8 });
+        const active = Object.keys(bits).filter(id => bits[id].value);
+        expect(active).to.have.members([
+            'status.charge',
+            'protections.cell_over_voltage_protection',
+            'protections.afe_fault',
+            'fet.discharge_fet_on',
+            'fet.charge_fet_on',
+            'cell_alarms.cell_1_low_voltage',
+            'cell_alarms.cell_3_low_voltage',
+            'cell_alarms.cell_10_high_voltage',
+            'cell_alarms.temp_2_high',
+            'balancing.cell_2',
+            'balancing.cell_9',
+        ]);
+        expect(Object.keys(bits)).to.have.lengthOf(ALARM_FLAGS.length + 16 * 3 + 8 * 2);
+        expect(bits['protections.afe_fault']).to.deep.equal({
+            value: true,
+            name: 'AFE Fault',
+            role: 'indicator.alarm',
+        });
+        expect(bits['fet.charge_fet_on'].role).to.equal('indicator');
+        expect(bits['balancing.cell_9'].role).to.equal('indicator');
+        expect(bits['cell_alarms.temp_2_high'].role).to.equal('indicator.alarm');
+    });
+
+    it('creates per cell and sensor bits only for the used ones', () => {
+        const bits = buildAlarmBits(decodeAlarms(payload), { cells: 8, temps: 2 });
+        expect(bits).to.include.keys('cell_alarms.cell_8_low_voltage', 'balancing.cell_8', 'cell_alarms.temp_2_high');
+        expect(bits).to.not.have.any.keys(
+            'cell_alarms.cell_10_high_voltage',
+            'balancing.cell_9',
+            'cell_alarms.temp_3_low',
+        );
+        expect(Object.keys(buildAlarmBits(decodeAlarms(payload), undefined))).to.have.lengthOf(ALARM_FLAGS.length);
+    });
+});
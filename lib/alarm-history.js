@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Event log of the alarm and protection bits of one pack.
+ */
+
+const { ALARM_FLAGS } = require('./seplos-decoder');
+
+// Only alarms, protections and hard faults are logged, not the system and FET status
+const HISTORY_FLAGS = ALARM_FLAGS.filter(flag => flag.group === 'alarm' || flag.group === 'protection');
+
+// Hard faults (TB15): NTC, AFE, MOSFET, cell, break line, key and aerosol
+const HARD_FAULT_BYTE = 20;
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Notification category of a flag.
+ *
+ * @param {{group: string, byte: number}} flag entry of ALARM_FLAGS
+ * @returns {'hardFault' | 'protection' | null} null if no notification is sent
+ */
+function getNotificationCategory(flag) {
+    if (flag.byte === HARD_FAULT_BYTE) {
+        return 'hardFault';
+    }
+    return flag.group === 'protection' ? 'protection' : null;
+}
+
+/**
+ * Detects rising and falling edges of the alarm flags and keeps a rolling log.
+ *
+ * Every occurrence is one entry `{key, label, group, start, end, duration}`. While
+ * the flag is set, `end` and `duration` (seconds) are null.
+ */
+class AlarmHistory {
+    /**
+     * Creates an empty history.
+     *
+     * @param {number} [maxEntries] number of entries kept, older ones are dropped
+     */
+    constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.active = new Map(); // key -> open entry
+    }
+
+    /**
+     * Takes over a persisted log. Open entries are still active, so a flag that
+     * cleared while the adapter was stopped is closed with the next frame.
+     *
+     * @param {string} json value of the history state
+     */
+    restore(json) {
+        let entries;
+        try {
+            entries = JSON.parse(json);
+        } catch {
+            return;
+        }
+        if (!Array.isArray(entries)) {
+            return;
+        }
+        this.entries = entries.filter(entry => entry && typeof entry.key === 'string').slice(-this.maxEntries);
+        this.active.clear();
+        for (const entry of this.entries) {
+            if (entry.end === null) {
+                this.active.set(entry.key, entry);
+            }
+        }
+    }
+
+    /**
+     * Compares the flags of a new alarm frame with the previous state.
+     *
+     * @param {Record<string, boolean>} flags decoded flags of the 0x12 frame
+     * @param {number} now frame time in ms
+     * @returns {{type: string, entry: Record<string, any>, category: string | null}[]} changes (type onset or clear), empty if nothing changed
+     */
+    update(flags, now) {
+        const changes = [];
+        for (const flag of HISTORY_FLAGS) {
+            const open = this.active.get(flag.key);
+            if (flags[flag.key] && !open) {
+                const entry = {
+                    key: flag.key,
+                    label: flag.label,
+                    group: flag.group,
+                    start: new Date(now).toISOString(),
+                    end: null,
+                    duration: null,
+                };
+                this.entries.push(entry);
+                this.active.set(flag.key, entry);
+                changes.push({ type: 'onset', entry, category: getNotificationCategory(flag) });
+            } else if (!flags[flag.key] && open) {
+                open.end = new Date(now).toISOString();
+                open.duration = Math.max(0, Math.round((now - Date.parse(open.start)) / 100) / 10);
+                this.active.delete(flag.key);
+                changes.push({ type: 'clear', entry: open, category: getNotificationCategory(flag) });
+            }
+        }
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        return changes;
+    }
+
+    /**
+     * @returns {string} log as JSON, oldest entry first
+     */
+    serialize() {
+        return JSON.stringify(this.entries);
+    }
+}
+
+module.exports = { AlarmHistory, getNotificationCategory };
@@ -0,0 +1,55 @@
+'use strict';
+
+const { expect } = require('chai');
+const { AlarmHistory } = require('./alarm-history');
+
+describe('AlarmHistory', () => {
+    const start = Date.UTC(2026, 0, 1, 2, 0, 0);
+
+    it('logs onset and clear with duration', () => {
+        const history = new AlarmHistory();
+        expect(history.update({ cell_low_voltage_alarm: true, charge: true }, start)).to.have.length(1);
+        expect(history.update({ cell_low_voltage_alarm: true }, start + 1000)).to.deep.equal([]);
+
+        const changes = history.update({ afe_fault: true }, start + 4500);
+        expect(changes.map(change => [change.type, change.entry.key, change.category])).to.deep.equal([
+            ['clear', 'cell_low_voltage_alarm', null],
+            ['onset', 'afe_fault', 'hardFault'],
+        ]);
+        expect(history.entries[0]).to.deep.equal({
+            key: 'cell_low_voltage_alarm',
+            label: 'Cell Low Voltage Alarm',
+            group: 'alarm',
+            start: '2026-01-01T02:00:00.000Z',
+            end: '2026-01-01T02:00:04.500Z',
+            duration: 4.5,
+        });
+    });
+
+    it('keeps open entries across a restore and drops old entries', () => {
+        const history = new AlarmHistory(2);
+        history.update({ soc_alarm: true }, start);
+        history.update({}, start + 1000);
+        history.update({ cell_over_voltage_protection: true }, start + 2000);
+
+        const restored = new AlarmHistory(2);
+        restored.restore(history.serialize());
+        expect(restored.update({ cell_over_voltage_protection: true }, start + 3000)).to.deep.equal([]);
+
+        const changes = restored.update({ soc_protection: true }, start + 5000);
+        expect(changes.map(change => change.type)).to.deep.equal(['clear', 'onset']);
+        expect(changes[1].category).to.equal('protection');
+        expect(restored.entries.map(entry => entry.key)).to.deep.equal([
+            'cell_over_voltage_protection',
+            'soc_protection',
+        ]);
+        expect(restored.entries[0].duration).to.equal(3);
+    });
+
+    it('ignores an invalid persisted log', () => {
+        const history = new AlarmHistory();
+        history.restore('no json');
+        history.restore('{}');
+        expect(history.entries).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * Charge voltage limit (CVL), charge current limit (CCL) and discharge current
+ * limit (DCL) of the whole bank, for an inverter that is controlled by the
+ * adapter instead of the Seplos master.
+ */
+
+const { ALARM_FLAGS } = require('./seplos-decoder');
+const { aggregateBank } = require('./bank');
+
+/**
+ * States of the `bank` channel with the limits.
+ */
+const LIMIT_FIELDS = [
+    { key: 'charge_voltage_limit', unit: 'V', role: 'value.voltage' },
+    { key: 'charge_current_limit', unit: 'A', role: 'value.current' },
+    { key: 'discharge_current_limit', unit: 'A', role: 'value.current' },
+];
+
+// Protections that only stop charging or only stop discharging, all others stop both
+const CHARGE_PROTECTIONS = new Set([
+    'cell_over_voltage_protection',
+    'pack_over_voltage_protection',
+    'charge_high_temperature_protection',
+    'charge_under_temperature_protection',
+    'charge_over_current_protection',
+    'charge_second_level_current_protection',
+    'charge_mosfet_fault',
+]);
+const DISCHARGE_PROTECTIONS = new Set([
+    'cell_under_voltage_protection',
+    'pack_under_voltage_protection',
+    'discharge_over_temperature_protection',
+    'discharge_under_temperature_protection',
+    'discharge_over_current_protection',
+    'discharge_second_level_over_current_protection',
+    'output_short_circuit_protection',
+    'under_soc_protection',
+    'discharge_mosfet_fault',
+]);
+const PROTECTIONS = ALARM_FLAGS.filter(({ group }) => group === 'protection').map(({ key }) => key);
+
+/**
+ * Defaults for a 16S LFP bank.
+ */
+const DEFAULT_SETTINGS = {
+    cellChargeVoltage: 3.45, // V per cell for the CVL
+    cellHighStart: 3.45, // V, from here on the CCL is reduced
+    cellHighEnd: 3.55, // V, CCL 0
+    cellLowStart: 3.1, // V, from here on the DCL is reduced
+    cellLowEnd: 2.9, // V, DCL 0
+    // % of the current at the cell temperature, linear in between
+    derating: [
+        { temp: -20, charge: 0, discharge: 20 },
+        { temp: 0, charge: 0, discharge: 100 },
+        { temp: 5, charge: 20, discharge: 100 },
+        { temp: 10, charge: 50, discharge: 100 },
+        { temp: 15, charge: 100, discharge: 100 },
+        { temp: 40, charge: 100, discharge: 100 },
+        { temp: 45, charge: 50, discharge: 100 },
+        { temp: 50, charge: 0, discharge: 50 },
+        { temp: 55, charge: 0, discharge: 0 },
+    ],
+};
+
+/**
+ * @param {number} value value to round
+ * @param {number} digits decimal places
+ * @returns {number} rounded value
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Reads the settings from the instance configuration. Invalid values fall back
+ * to the defaults, an empty derating table disables the derating.
+ *
+ * @param {Record<string, any>} config instance configuration
+ * @returns {{cellChargeVoltage: number, cellHighStart: number, cellHighEnd: number, cellLowStart: number, cellLowEnd: number, derating: {temp: number, charge: number | null, discharge: number | null}[]}} settings for calculateLimits(), null percentages are not part of the curve
+ */
+function parseLimitSettings(config) {
+    const voltage = (key, fallback) => {
+        const value = Number(config[key]);
+        return config[key] !== '' && Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+    const rows = Array.isArray(config.limits_derating) ? config.limits_derating : DEFAULT_SETTINGS.derating;
+    const percent = value => (value === '' || value === null || !Number.isFinite(Number(value)) ? null : Number(value));
+    let cellHighStart = voltage('limits_cell_high_start', DEFAULT_SETTINGS.cellHighStart);
+    let cellHighEnd = voltage('limits_cell_high_end', DEFAULT_SETTINGS.cellHighEnd);
+    let cellLowStart = voltage('limits_cell_low_start', DEFAULT_SETTINGS.cellLowStart);
+    let cellLowEnd = voltage('limits_cell_low_end', DEFAULT_SETTINGS.cellLowEnd);
+    // The reduction needs a range in the right direction
+    if (cellHighEnd <= cellHighStart) {
+        ({ cellHighStart, cellHighEnd } = DEFAULT_SETTINGS);
+    }
+    if (cellLowEnd >= cellLowStart) {
+        ({ cellLowStart, cellLowEnd } = DEFAULT_SETTINGS);
+    }
+    return {
+        cellChargeVoltage: voltage('limits_cell_charge_voltage', DEFAULT_SETTINGS.cellChargeVoltage),
+        cellHighStart,
+        cellHighEnd,
+        cellLowStart,
+        cellLowEnd,
+        derating: rows
+            .filter(row => row && row.temp !== '' && Number.isFinite(Number(row.temp)))
+            .map(row => ({ temp: Number(row.temp), charge: percent(row.charge), discharge: percent(row.discharge) }))
+            .sort((a, b) => a.temp - b.temp),
+    };
+}
+
+/**
+ * Factor of a derating curve, linear between the points and constant beyond
+ * the first and the last one.
+ *
+ * @param {{temp: number, factor: number}[]} points curve sorted by temperature, factor in %
+ * @param {number} temp temperature in °C
+ * @returns {number} factor 0 to 1, 1 without points
+ */
+function interpolate(points, temp) {
+    if (!points.length) {
+        return 1;
+    }
+    let factor = points[points.length - 1].factor;
+    if (temp <= points[0].temp) {
+        factor = points[0].factor;
+    } else {
+        for (let i = 1; i < points.length; i++) {
+            const low = points[i - 1];
+            const high = points[i];
+            if (temp <= high.temp) {
+                factor = low.factor + ((temp - low.temp) / (high.temp - low.temp)) * (high.factor - low.factor);
+                break;
+            }
+        }
+    }
+    return Math.min(1, Math.max(0, factor / 100));
+}
+
+/**
+ * Linear reduction from 1 at start to 0 at end, for rising (start < end) and
+ * falling (start > end) values.
+ *
+ * @param {number} value measured value
+ * @param {number} start value from which the reduction starts
+ * @param {number} end value at which the factor is 0, different from start
+ * @returns {number} factor 0 to 1
+ */
+function taper(value, start, end) {
+    return Math.min(1, Math.max(0, (end - value) / (end - start)));
+}
+
+/**
+ * Calculates the limits from the latest data of all packs. Offline packs do not
+ * contribute, neither does a pack in protection or with the FET of the
+ * direction switched off. The sum of the BMS limits of the remaining packs is
+ * reduced when the highest cell approaches the top, the lowest cell the bottom
+ * or the cell temperatures leave the range of the derating curve.
+ *
+ * @param {Iterable<[number, {pack?: Record<string, number>, cells?: {cells: number[], temps: (number | null)[]}, alarms?: Record<string, any>, parameters?: Record<string, number>, lastSeen: number}]>} packs latest decoded data per bms index
+ * @param {number} now current time in ms
+ * @param {number} timeout a pack without frames for this long is offline
+ * @param {ReturnType<typeof parseLimitSettings>} settings see parseLimitSettings()
+ * @returns {{charge_voltage_limit?: number, charge_current_limit: number, discharge_current_limit: number, charge_limit_reason: string, discharge_limit_reason: string}} limits in V and A, the reasons list what reduced them
+ */
+function calculateLimits(packs, now, timeout, settings) {
+    const all = [...packs];
+    const online = all.filter(([, data]) => now - data.lastSeen <= timeout);
+    const chargeReasons = [];
+    const dischargeReasons = [];
+    const both = reason => {
+        chargeReasons.push(reason);
+        dischargeReasons.push(reason);
+    };
+    for (const [index] of all.filter(([, data]) => now - data.lastSeen > timeout)) {
+        both(`pack ${index} offline`);
+    }
+
+    let charge = 0;
+    let discharge = 0;
+    let chargeVoltage = null;
+    for (const [index, { pack, cells, alarms, parameters }] of online) {
+        const flags = (alarms && alarms.flags) || {};
+        const active = PROTECTIONS.filter(key => flags[key]);
+        let canCharge = !active.some(key => !DISCHARGE_PROTECTIONS.has(key));
+        let canDischarge = !active.some(key => !CHARGE_PROTECTIONS.has(key));
+        if (!canCharge) {
+            chargeReasons.push(`pack ${index} protection`);
+        } else if (alarms && flags.charge_fet_on === false) {
+            canCharge = false;
+            chargeReasons.push(`pack ${index} charge FET off`);
+        }
+        if (!canDischarge) {
+            dischargeReasons.push(`pack ${index} protection`);
+        } else if (alarms && flags.discharge_fet_on === false) {
+            canDischarge = false;
+            dischargeReasons.push(`pack ${index} discharge FET off`);
+        }
+        if (pack) {
+            charge += canCharge ? pack.maxchgcurt || 0 : 0;
+            discharge += canDischarge ? pack.maxdiscurt || 0 : 0;
+        }
+        if (cells && cells.cells.length) {
+            let voltage = cells.cells.length * settings.cellChargeVoltage;
+            if (parameters && typeof parameters.pack_ov_alarm === 'number' && parameters.pack_ov_alarm > 0) {
+                voltage = Math.min(voltage, parameters.pack_ov_alarm);
+            }
+            chargeVoltage = chargeVoltage === null ? voltage : Math.min(chargeVoltage, voltage);
+        }
+    }
+    if (!online.length) {
+        both('no pack online');
+    }
+
+    const bank = aggregateBank(online, now, timeout);
+    if (bank.max_cell_voltage !== null) {
+        const factor = taper(bank.max_cell_voltage, settings.cellHighStart, settings.cellHighEnd);
+        if (factor < 1) {
+            charge *= factor;
+            chargeReasons.push(`cell voltage ${bank.max_cell_voltage.toFixed(3)} V`);
+        }
+    }
+    if (bank.min_cell_voltage !== null) {
+        const factor = taper(bank.min_cell_voltage, settings.cellLowStart, settings.cellLowEnd);
+        if (factor < 1) {
+            discharge *= factor;
+            dischargeReasons.push(`cell voltage ${bank.min_cell_voltage.toFixed(3)} V`);
+        }
+    }
+    const derate = (direction, reasons) => {
+        const points = settings.derating.flatMap(row =>
+            row[direction] === null ? [] : [{ temp: row.temp, factor: row[direction] }],
+        );
+        let factor = 1;
+        let limiting = null;
+        for (const temp of [bank.min_cell_temp, bank.max_cell_temp]) {
+            if (temp !== null && interpolate(points, temp) < factor) {
+                factor = interpolate(points, temp);
+                limiting = temp;
+            }
+        }
+        if (limiting !== null) {
+            reasons.push(`temperature ${round(limiting, 1)} °C`);
+        }
+        return factor;
+    };
+    charge *= derate('charge', chargeReasons);
+    discharge *= derate('discharge', dischargeReasons);
+
+    const limits = {
+        charge_current_limit: round(charge, 1),
+        discharge_current_limit: round(discharge, 1),
+        charge_limit_reason: chargeReasons.join(', '),
+        discharge_limit_reason: dischargeReasons.join(', '),
+    };
+    if (chargeVoltage !== null) {
+        limits.charge_voltage_limit = round(chargeVoltage, 2);
+    }
+    return limits;
+}
+
+module.exports = { LIMIT_FIELDS, DEFAULT_SETTINGS, parseLimitSettings, calculateLimits };
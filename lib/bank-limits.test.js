@@ -0,0 +1,57 @@
+'use strict';
+
+const { expect } = require('chai');
+const { DEFAULT_SETTINGS, parseLimitSettings, calculateLimits } = require('./bank-limits');
+
+describe('bank-limits', () => {
+    const now = 100000;
+    const pack = { maxchgcurt: 100, maxdiscurt: 150 };
+    const cells = (voltage, temp) => ({ cells: [3.3, voltage, 3.3, 3.3], temps: [temp, 25] });
+    const fets = { flags: { charge_fet_on: true, discharge_fet_on: true } };
+
+    it('sums the BMS limits of the usable packs', () => {
+        const packs = new Map([
+            [0, { pack, cells: cells(3.3, 25), alarms: fets, parameters: { pack_ov_alarm: 13.6 }, lastSeen: now }],
+            [1, { pack, cells: cells(3.3, 25), alarms: { flags: { charge_fet_on: false } }, lastSeen: now }],
+            [2, { pack, alarms: { flags: { cell_under_voltage_protection: true } }, lastSeen: now }],
+            [3, { pack, lastSeen: now - 20000 }],
+        ]);
+        expect(calculateLimits(packs, now, 10000, DEFAULT_SETTINGS)).to.deep.equal({
+            charge_voltage_limit: 13.6, // 4 cells * 3.45 V capped by the pack alarm
+            charge_current_limit: 200,
+            discharge_current_limit: 300,
+            charge_limit_reason: 'pack 3 offline, pack 1 charge FET off',
+            discharge_limit_reason: 'pack 3 offline, pack 2 protection',
+        });
+        expect(calculateLimits(new Map(), now, 10000, DEFAULT_SETTINGS)).to.include({
+            charge_current_limit: 0,
+            charge_limit_reason: 'no pack online',
+        });
+    });
+
+    it('reduces the limits near the cell voltage limits and by temperature', () => {
+        const settings = parseLimitSettings({
+            limits_cell_high_start: 3.45,
+            limits_cell_high_end: 3.55,
+            limits_derating: [
+                { temp: 15, charge: 100, discharge: '' },
+                { temp: 0, charge: 0, discharge: 50 },
+            ],
+        });
+        const data = { pack, cells: cells(3.5, 7.5), lastSeen: now };
+        const packs = new Map([[0, data]]);
+        expect(calculateLimits(packs, now, 10000, settings)).to.include({
+            charge_voltage_limit: 13.8,
+            charge_current_limit: 25, // 50 % by the cell voltage, 50 % by the temperature
+            discharge_current_limit: 75,
+            charge_limit_reason: 'cell voltage 3.500 V, temperature 7.5 °C',
+        });
+        // An empty table disables the derating
+        data.cells = cells(2.95, -30);
+        expect(calculateLimits(packs, now, 10000, parseLimitSettings({ limits_derating: [] }))).to.include({
+            charge_current_limit: 100,
+            discharge_current_limit: 37.5,
+            discharge_limit_reason: 'cell voltage 2.950 V',
+        });
+    });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Aggregation of all packs on the bus into values for the whole battery bank.
+ */
+
+/**
+ * States of the `bank` channel.
+ */
+const BANK_FIELDS = [
+    { key: 'current', unit: 'A', role: 'value.current' },
+    { key: 'power', unit: 'W', role: 'value.power' },
+    { key: 'soc', unit: '%', role: 'value.battery' },
+    { key: 'soh', unit: '%', role: 'value' },
+    { key: 'remaining_capacity', unit: 'Ah', role: 'value' },
+    { key: 'total_capacity', unit: 'Ah', role: 'value' },
+    { key: 'max_cell_voltage', unit: 'V', role: 'value.voltage' },
+    { key: 'max_cell_voltage_pack', role: 'value' },
+    { key: 'max_cell_voltage_cell', role: 'value' },
+    { key: 'min_cell_voltage', unit: 'V', role: 'value.voltage' },
+    { key: 'min_cell_voltage_pack', role: 'value' },
+    { key: 'min_cell_voltage_cell', role: 'value' },
+    { key: 'max_cell_temp', unit: '°C', role: 'value.temperature' },
+    { key: 'max_cell_temp_pack', role: 'value' },
+    { key: 'max_cell_temp_sensor', role: 'value' },
+    { key: 'min_cell_temp', unit: '°C', role: 'value.temperature' },
+    { key: 'min_cell_temp_pack', role: 'value' },
+    { key: 'min_cell_temp_sensor', role: 'value' },
+    { key: 'packs_online', role: 'value' },
+];
+
+/**
+ * @param {number} value value to round
+ * @param {number} digits decimal places
+ * @returns {number} rounded value
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Finds the extreme value of a per-pack list, e.g. all cell voltages.
+ *
+ * @param {{index: number, values: (number | null)[]}[]} lists values per pack index, null values are skipped
+ * @param {(a: number, b: number) => boolean} better true if a replaces b
+ * @returns {{value: number, pack: number, position: number} | null} value with pack index and 1-based position
+ */
+function findExtreme(lists, better) {
+    let result = null;
+    for (const { index, values } of lists) {
+        values.forEach((value, i) => {
+            if (typeof value !== 'number') {
+                return; // sensor not connected
+            }
+            if (result === null || better(value, result.value)) {
+                result = { value, pack: index, position: i + 1 };
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Calculates the bank values from the latest data of every online pack.
+ *
+ * @param {Iterable<[number, {pack?: Record<string, number>, cells?: {cells: number[], temps: (number | null)[]}, lastSeen: number}]>} packs latest decoded data per bms index
+ * @param {number} now current time in ms
+ * @param {number} timeout a pack without frames for this long is offline
+ * @returns {Record<string, number | null>} values keyed like BANK_FIELDS, null without data of an online pack
+ */
+function aggregateBank(packs, now, timeout) {
+    const online = [...packs].filter(([, data]) => now - data.lastSeen <= timeout);
+    const bank = { packs_online: online.length };
+
+    let current = 0;
+    let power = 0;
+    let remaining = 0;
+    let total = 0;
+    let socWeighted = 0;
+    let sohWeighted = 0;
+    let withPack = 0;
+    const voltages = [];
+    const temps = [];
+    for (const [index, { pack, cells }] of online) {
+        if (pack) {
+            withPack++;
+            current += pack.current;
+            power += pack.pack_voltage * pack.current;
+            remaining += pack.remaining_capacity;
+            total += pack.total_capacity;
+            socWeighted += pack.soc * pack.total_capacity;
+            sohWeighted += pack.soh * pack.total_capacity;
+        }
+        if (cells) {
+            voltages.push({ index, values: cells.cells });
+            temps.push({ index, values: cells.temps });
+        }
+    }
+
+    // null instead of the last values when all packs went offline
+    bank.current = withPack ? round(current, 2) : null;
+    bank.power = withPack ? round(power, 1) : null;
+    bank.remaining_capacity = withPack ? round(remaining, 2) : null;
+    bank.total_capacity = withPack ? round(total, 2) : null;
+    bank.soc = total > 0 ? round(socWeighted / total, 1) : null;
+    bank.soh = total > 0 ? round(sohWeighted / total, 1) : null;
+
+    const setExtreme = (key, position, extreme) => {
+        bank[key] = extreme ? extreme.value : null;
+        bank[`${key}_pack`] = extreme ? extreme.pack : null;
+        bank[`${key}_${position}`] = extreme ? extreme.position : null;
+    };
+    const higher = (a, b) => a > b;
+    const lower = (a, b) => a < b;
+    setExtreme('max_cell_voltage', 'cell', findExtreme(voltages, higher));
+    setExtreme('min_cell_voltage', 'cell', findExtreme(voltages, lower));
+    setExtreme('max_cell_temp', 'sensor', findExtreme(temps, higher));
+    setExtreme('min_cell_temp', 'sensor', findExtreme(temps, lower));
+
+    return bank;
+}
+
+module.exports = { BANK_FIELDS, aggregateBank };
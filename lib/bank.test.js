@@ -0,0 +1,57 @@
+'use strict';
+
+const { expect } = require('chai');
+const { aggregateBank } = require('./bank');
+
+describe('bank', () => {
+    const now = 100000;
+    const pack = (soc, total, current) => ({
+        pack_voltage: 53,
+        current,
+        soc,
+        soh: 100,
+        remaining_capacity: (total * soc) / 100,
+        total_capacity: total,
+    });
+
+    it('sums currents and weights SOC by capacity', () => {
+        const packs = new Map([
+            [0, { pack: pack(50, 280, -10), lastSeen: now }],
+            [1, { pack: pack(100, 100, 4), lastSeen: now - 1000 }],
+        ]);
+        const bank = aggregateBank(packs, now, 10000);
+        expect(bank.packs_online).to.equal(2);
+        expect(bank.current).to.equal(-6);
+        expect(bank.power).to.equal(-318);
+        expect(bank.total_capacity).to.equal(380);
+        expect(bank.remaining_capacity).to.equal(240);
+        expect(bank.soc).to.equal(63.2);
+    });
+
+    it('locates the extreme cells and ignores offline packs', () => {
+        const packs = new Map([
+            [0, { cells: { cells: [3.3, 3.31, 3.29], temps: [20, 22] }, lastSeen: now }],
+            [1, { cells: { cells: [3.32, 3.28, 3.3], temps: [19, 25, null] }, lastSeen: now }],
+            [2, { cells: { cells: [2.5, 3.6, 3.3], temps: [-5, 60] }, lastSeen: now - 20000 }],
+        ]);
+        const bank = aggregateBank(packs, now, 10000);
+        expect(bank.packs_online).to.equal(2);
+        expect(bank).to.include({ max_cell_voltage: 3.32, max_cell_voltage_pack: 1, max_cell_voltage_cell: 1 });
+        expect(bank).to.include({ min_cell_voltage: 3.28, min_cell_voltage_pack: 1, min_cell_voltage_cell: 2 });
+        expect(bank).to.include({ max_cell_temp: 25, max_cell_temp_pack: 1, max_cell_temp_sensor: 2 });
+        expect(bank).to.include({ min_cell_temp: 19, min_cell_temp_pack: 1, min_cell_temp_sensor: 1 });
+        expect(bank.soc).to.equal(null);
+    });
+
+    it('sets the values to null when all packs are offline', () => {
+        const packs = new Map([
+            [0, { pack: pack(50, 280, -50), cells: { cells: [3.3], temps: [20] }, lastSeen: now - 20000 }],
+        ]);
+        const bank = aggregateBank(packs, now, 10000);
+        expect(bank.packs_online).to.equal(0);
+        for (const key of ['current', 'power', 'soc', 'soh', 'remaining_capacity', 'total_capacity']) {
+            expect(bank[key], key).to.equal(null);
+        }
+        expect(bank).to.include({ max_cell_voltage: null, max_cell_voltage_pack: null, min_cell_temp_sensor: null });
+    });
+});
@@ -0,0 +1,247 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+
+/**
+ * Raw bus captures are plain text: a header line followed by one line per
+ * received chunk, `<ISO timestamp> <hex bytes>`.
+ */
+const CAPTURE_HEADER = '# seplos-v3-sniffer capture v1';
+const CAPTURE_PREFIX = 'capture-';
+const CAPTURE_EXTENSION = '.log';
+
+/**
+ * Writes received chunks into rotating capture files. The lines are buffered
+ * by a write stream, so the bus data is not held up by the disk.
+ *
+ * Events:
+ * - `error` (error) a file could not be created or written, the capture should be stopped
+ */
+class CaptureWriter extends EventEmitter {
+    /**
+     * @param {object} options capture options
+     * @param {string} options.directory target directory, created if missing
+     * @param {number} options.maxFileSize rotate when a file grows beyond this many bytes
+     * @param {number} options.maxFiles number of capture files to keep
+     */
+    constructor({ directory, maxFileSize, maxFiles }) {
+        super();
+        this.directory = directory;
+        this.maxFileSize = maxFileSize;
+        this.maxFiles = Math.max(1, maxFiles);
+        this.stream = null;
+        this.fileName = null;
+        this.written = 0;
+        this.cleanup = Promise.resolve(); // removal of the oldest files after a rotation
+    }
+
+    /**
+     * Appends one chunk with the current time. Errors are emitted, not thrown.
+     *
+     * @param {Buffer} chunk received bytes
+     * @param {Date} [time] receive time
+     */
+    write(chunk, time = new Date()) {
+        try {
+            const stream = this.stream === null || this.written >= this.maxFileSize ? this.rotate(time) : this.stream;
+            const line = `${time.toISOString()} ${chunk.toString('hex')}\n`;
+            stream.write(line);
+            this.written += line.length;
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Starts a new capture file and removes the oldest ones in the background.
+     *
+     * @param {Date} time time used for the file name
+     * @returns {fs.WriteStream} stream of the new file
+     */
+    rotate(time) {
+        this.close();
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const stamp = time.toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\..*$/, '');
+        let fileName = path.join(this.directory, `${CAPTURE_PREFIX}${stamp}${CAPTURE_EXTENSION}`);
+        for (let i = 1; fs.existsSync(fileName); i++) {
+            fileName = path.join(this.directory, `${CAPTURE_PREFIX}${stamp}-${i}${CAPTURE_EXTENSION}`);
+        }
+        this.fileName = fileName;
+        const stream = fs.createWriteStream(fileName, { flags: 'a' });
+        stream.on('error', error => this.emit('error', error));
+        stream.write(`${CAPTURE_HEADER}\n`);
+        this.stream = stream;
+        this.written = CAPTURE_HEADER.length + 1;
+
+        // Clean up once the new file exists, a failed open was already emitted by the stream
+        const opened = new Promise(resolve => {
+            stream.once('ready', () => resolve(undefined));
+            stream.once('error', () => resolve(undefined));
+        });
+        const current = path.basename(fileName);
+        this.cleanup = this.cleanup
+            .then(() => opened)
+            .then(() => this.removeOldFiles(current))
+            .catch(error => {
+                this.emit('error', error);
+            });
+        return stream;
+    }
+
+    /**
+     * @param {string} current name of the new file, it may not exist on disk yet
+     * @returns {Promise<void>} resolves when the files beyond maxFiles are deleted
+     */
+    async removeOldFiles(current) {
+        const names = await fs.promises.readdir(this.directory);
+        const files = [
+            ...new Set([
+                ...names.filter(name => name.startsWith(CAPTURE_PREFIX) && name.endsWith(CAPTURE_EXTENSION)),
+                current,
+            ]),
+        ].sort();
+        for (const name of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+            // A file whose stream failed to open does not exist
+            await fs.promises.unlink(path.join(this.directory, name)).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+    }
+
+    /**
+     * Closes the current file.
+     *
+     * @returns {Promise<void>} resolves when the buffered lines are written and old files removed
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        const ended = stream ? new Promise(resolve => stream.end(() => resolve(undefined))) : Promise.resolve();
+        return Promise.all([ended, this.cleanup]).then(() => undefined);
+    }
+}
+
+/**
+ * @param {string} text capture file content
+ * @returns {boolean} true if the text starts with the capture header
+ */
+function isCapture(text) {
+    return text.startsWith(CAPTURE_HEADER);
+}
+
+/**
+ * Parses a capture file.
+ *
+ * @param {string} text capture file content
+ * @returns {{time: number, data: Buffer}[]} chunks with their receive time in ms
+ */
+function parseCapture(text) {
+    const chunks = [];
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^(\S+)\s+([0-9a-fA-F]*)$/);
+        if (!match || line.startsWith('#')) {
+            continue;
+        }
+        const time = Date.parse(match[1]);
+        if (!Number.isNaN(time)) {
+            chunks.push({ time, data: Buffer.from(match[2], 'hex') });
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Plays a capture file back as if the chunks arrived from the bus.
+ *
+ * Emits `data` for every chunk and `end` after the last one.
+ */
+class CaptureReplay extends EventEmitter {
+    /**
+     * @param {string} fileName capture file
+     * @param {object} [options] replay options
+     * @param {number} [options.speed] 1 = real time, 10 = ten times faster, 0 = as fast as possible
+     * @param {boolean} [options.loop] start over after the last chunk
+     */
+    constructor(fileName, { speed = 1, loop = false } = {}) {
+        super();
+        this.fileName = fileName;
+        this.speed = speed;
+        this.loop = loop;
+        this.chunks = [];
+        this.position = 0;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Reads the file and starts the replay.
+     */
+    start() {
+        this.chunks = parseCapture(fs.readFileSync(this.fileName, 'utf8'));
+        this.position = 0;
+        this.stopped = false;
+        this.scheduleNext();
+    }
+
+    /**
+     * Stops the replay, no further events are emitted.
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Emits the next chunk after the recorded gap, scaled by the replay speed.
+     */
+    scheduleNext() {
+        if (this.stopped) {
+            return;
+        }
+        if (this.position >= this.chunks.length) {
+            if (this.loop && this.chunks.length) {
+                this.position = 0;
+            } else {
+                this.emit('end');
+                return;
+            }
+        }
+        const chunk = this.chunks[this.position];
+        const previous = this.position > 0 ? this.chunks[this.position - 1].time : chunk.time;
+        const delay = this.speed > 0 ? Math.max(0, chunk.time - previous) / this.speed : 0;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.position++;
+            this.emit('data', chunk.data);
+            this.scheduleNext();
+        }, delay);
+    }
+}
+
+/**
+ * Splits a `file://` source into file name and replay options.
+ *
+ * @param {string} source e.g. `file:///tmp/capture.log?speed=10&loop=1`
+ * @returns {{fileName: string, speed: number, loop: boolean}} replay settings
+ */
+function parseFileSource(source) {
+    const [fileName, query = ''] = source.replace(/^file:\/\//, '').split('?');
+    const params = new URLSearchParams(query);
+    const speed = params.has('speed') ? Number(params.get('speed')) : 1;
+    return {
+        fileName,
+        speed: Number.isFinite(speed) && speed >= 0 ? speed : 1,
+        loop: params.get('loop') === '1' || params.get('loop') === 'true',
+    };
+}
+
+module.exports = { CaptureWriter, CaptureReplay, isCapture, parseCapture, parseFileSource };
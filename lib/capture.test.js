@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { expect } = require('chai');
+const { CaptureWriter, CaptureReplay, isCapture, parseCapture, parseFileSource } = require('./capture');
+
+describe('capture', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'seplos-capture-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('writes chunks that parse back with their time', async () => {
+        const writer = new CaptureWriter({ directory, maxFileSize: 1024, maxFiles: 2 });
+        const time = new Date('2026-01-01T12:00:00.000Z');
+        writer.write(Buffer.from([0x01, 0x04, 0x24]), time);
+        writer.write(Buffer.from([0xff]), new Date(time.getTime() + 250));
+        await writer.close();
+
+        const text = fs.readFileSync(writer.fileName || '', 'utf8');
+        expect(isCapture(text)).to.equal(true);
+        const chunks = parseCapture(text);
+        expect(chunks).to.have.length(2);
+        expect(chunks[0].data.toString('hex')).to.equal('010424');
+        expect(chunks[1].time - chunks[0].time).to.equal(250);
+    });
+
+    it('rotates and keeps only the newest files', async () => {
+        const writer = new CaptureWriter({ directory, maxFileSize: 100, maxFiles: 2 });
+        const start = Date.parse('2026-01-01T12:00:00.000Z');
+        for (let i = 0; i < 20; i++) {
+            writer.write(Buffer.alloc(8), new Date(start + i * 1000));
+        }
+        await writer.close();
+        expect(fs.readdirSync(directory)).to.have.length(2);
+    });
+
+    it('emits an error instead of throwing if the directory cannot be created', () => {
+        fs.writeFileSync(path.join(directory, 'file'), '');
+        const writer = new CaptureWriter({
+            directory: path.join(directory, 'file', 'captures'),
+            maxFileSize: 100,
+            maxFiles: 2,
+        });
+        const errors = [];
+        writer.on('error', error => errors.push(error.code));
+        writer.write(Buffer.alloc(8));
+        expect(errors).to.deep.equal(['ENOTDIR']);
+    });
+
+    it('replays all chunks in order', done => {
+        const fileName = path.join(directory, 'replay.log');
+        fs.writeFileSync(
+            fileName,
+            '# seplos-v3-sniffer capture v1\n2026-01-01T12:00:00.000Z 01\n2026-01-01T12:00:01.000Z 0203\n',
+        );
+        const received = [];
+        const replay = new CaptureReplay(fileName, { speed: 0 });
+        replay.on('data', data => received.push(data.toString('hex')));
+        replay.on('end', () => {
+            expect(received).to.deep.equal(['01', '0203']);
+            done();
+        });
+        replay.start();
+    });
+
+    it('parses file sources', () => {
+        expect(parseFileSource('file:///tmp/a.log')).to.deep.equal({ fileName: '/tmp/a.log', speed: 1, loop: false });
+        expect(parseFileSource('file://a.log?speed=0&loop=1')).to.deep.equal({
+            fileName: 'a.log',
+            speed: 0,
+            loop: true,
+        });
+    });
+});
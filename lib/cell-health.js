@@ -0,0 +1,339 @@
+'use strict';
+
+/**
+ * Cell health analytics of one pack: deviation of every cell from the pack mean
+ * per operating condition, internal resistance from current steps and the trend
+ * of the imbalance over days.
+ */
+
+/**
+ * Operating conditions the deviation is tracked for.
+ */
+const CONDITIONS = ['rest', 'load', 'charge_end', 'discharge_end'];
+
+const DEFAULTS = {
+    restCurrent: 1, // A, below the pack is at rest
+    loadCurrent: 5, // A, from here on the pack is under load
+    chargeEndSoc: 95, // %, charging above is the end of charge
+    dischargeEndSoc: 15, // %, discharging below is the end of discharge
+    maxCurrentAge: 5000, // ms, older currents are not assigned to a cell frame
+    stepCurrent: 10, // A, minimum current step for the resistance
+    maxStepTime: 3000, // ms between the two cell frames around a current step
+    maxResistance: 100, // mΩ, larger values are measurement errors
+    smoothing: 0.05, // weight of a new deviation sample
+    resistanceSmoothing: 0.2, // weight of a new resistance sample, steps are rare
+    trendInterval: 60 * 60 * 1000, // ms per trend sample
+    trendSamples: 7 * 24, // trend samples kept
+    minTrendSpan: 24 * 60 * 60 * 1000, // ms of trend samples needed for a trend
+    driftThreshold: 0.5, // mV per day faster than the pack average, from here on a cell is drifting
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number | null | undefined} average previous average, null if none
+ * @param {number} value new sample
+ * @param {number} weight weight of the new sample
+ * @returns {number} exponential moving average
+ */
+function smooth(average, value, weight) {
+    return average === null || average === undefined ? value : average + weight * (value - average);
+}
+
+/**
+ * Least squares slope of the samples.
+ *
+ * @param {{time: number, value: number}[]} samples at least two samples
+ * @returns {number} slope per ms
+ */
+function slope(samples) {
+    const meanTime = samples.reduce((sum, { time }) => sum + time, 0) / samples.length;
+    const meanValue = samples.reduce((sum, { value }) => sum + value, 0) / samples.length;
+    let numerator = 0;
+    let denominator = 0;
+    for (const { time, value } of samples) {
+        numerator += (time - meanTime) * (value - meanValue);
+        denominator += (time - meanTime) ** 2;
+    }
+    return denominator ? numerator / denominator : 0;
+}
+
+/**
+ * @param {number | null} value value or null
+ * @param {number} digits decimal places
+ * @returns {number | null} rounded value
+ */
+function round(value, digits) {
+    if (value === null || !Number.isFinite(value)) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Analytics of the cells of one pack, fed with the 0x24 and 0x34 frames.
+ *
+ * A cell is drifting if its imbalance grows faster than that of the other
+ * cells, so one bad cell does not flag the cells it pulls the mean away from.
+ *
+ * Deviations are in mV from the mean of all cells. Under load the deviation is
+ * taken in the direction of the current, so a positive value means that the
+ * cell moves further than the others: higher while charging, lower while
+ * discharging. That is what a cell with less capacity or more resistance does.
+ */
+class CellHealth {
+    /**
+     * Creates an analysis without data.
+     *
+     * @param {Partial<typeof DEFAULTS>} [options] thresholds, see DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.pack = null; // {current, soc, time} of the last 0x24 frame
+        this.previous = null; // {cells, current, time} of the last 0x34 frame
+        this.deviations = Object.fromEntries(CONDITIONS.map(condition => [condition, new Map()])); // cell index -> mV
+        this.resistances = new Map(); // cell index -> mΩ
+        this.interval = { start: 0, sums: new Map(), count: 0 }; // running trend sample, cell index -> sum of mV
+        this.trend = []; // {time, values} mean absolute deviation per cell and trend interval
+    }
+
+    /**
+     * @param {{current: number, soc: number}} pack decoded 0x24 frame
+     * @param {number} now frame time in ms
+     */
+    addPack({ current, soc }, now) {
+        this.pack = { current, soc, time: now };
+    }
+
+    /**
+     * @param {number} current pack current in A, positive while charging
+     * @param {number} soc state of charge in %
+     * @returns {string | null} operating condition, null between rest and load
+     */
+    classify(current, soc) {
+        const { restCurrent, loadCurrent, chargeEndSoc, dischargeEndSoc } = this.options;
+        if (current > restCurrent && soc >= chargeEndSoc) {
+            return 'charge_end';
+        }
+        if (current < -restCurrent && soc <= dischargeEndSoc) {
+            return 'discharge_end';
+        }
+        if (Math.abs(current) <= restCurrent) {
+            return 'rest';
+        }
+        return Math.abs(current) >= loadCurrent ? 'load' : null;
+    }
+
+    /**
+     * Adds the cell voltages of a 0x34 frame. Without a current from a recent 0x24
+     * frame the sample is ignored.
+     *
+     * @param {(number | null)[]} cells cell voltages in V, only the used cells
+     * @param {number} now frame time in ms
+     */
+    addCells(cells, now) {
+        const { pack, options } = this;
+        if (!pack || now - pack.time > options.maxCurrentAge) {
+            return;
+        }
+        const valid = cells.flatMap(voltage => (typeof voltage === 'number' && voltage > 0 ? [voltage] : []));
+        if (valid.length < 2) {
+            return;
+        }
+        const mean = valid.reduce((sum, voltage) => sum + voltage, 0) / valid.length;
+        const direction = Math.sign(pack.current) || 1;
+        const condition = this.classify(pack.current, pack.soc);
+
+        const { interval } = this;
+        if (!interval.count) {
+            interval.start = now;
+        }
+        interval.count++;
+        cells.forEach((voltage, i) => {
+            if (typeof voltage !== 'number' || voltage <= 0) {
+                return;
+            }
+            const deviation = (voltage - mean) * 1000;
+            if (condition) {
+                const value = condition === 'rest' ? deviation : deviation * direction;
+                const deviations = this.deviations[condition];
+                deviations.set(i, smooth(deviations.get(i), value, options.smoothing));
+            }
+            interval.sums.set(i, (interval.sums.get(i) || 0) + Math.abs(deviation));
+        });
+
+        this.addResistance(cells, pack.current, now);
+        this.previous = { cells, current: pack.current, time: now };
+        if (now - interval.start >= options.trendInterval) {
+            this.closeInterval(now);
+        }
+    }
+
+    /**
+     * Internal resistance R = ΔU / ΔI of every cell between the previous and this
+     * cell frame, if the current stepped in between.
+     *
+     * @param {(number | null)[]} cells cell voltages in V
+     * @param {number} current pack current in A
+     * @param {number} now frame time in ms
+     */
+    addResistance(cells, current, now) {
+        const { previous, options } = this;
+        if (!previous || now - previous.time > options.maxStepTime) {
+            return;
+        }
+        const step = current - previous.current;
+        if (Math.abs(step) < options.stepCurrent) {
+            return;
+        }
+        cells.forEach((voltage, i) => {
+            const before = previous.cells[i];
+            if (typeof voltage !== 'number' || typeof before !== 'number' || voltage <= 0 || before <= 0) {
+                return;
+            }
+            const resistance = ((voltage - before) / step) * 1000;
+            if (resistance > 0 && resistance <= options.maxResistance) {
+                this.resistances.set(i, smooth(this.resistances.get(i), resistance, options.resistanceSmoothing));
+            }
+        });
+    }
+
+    /**
+     * Stores the mean absolute deviation of the finished trend interval.
+     *
+     * @param {number} now end of the interval in ms
+     */
+    closeInterval(now) {
+        const { start, sums, count } = this.interval;
+        this.trend.push({
+            time: Math.round((start + now) / 2),
+            values: Array.from({ length: Math.max(-1, ...sums.keys()) + 1 }, (_, i) =>
+                sums.has(i) ? round(sums.get(i) / count, 2) : null,
+            ),
+        });
+        if (this.trend.length > this.options.trendSamples) {
+            this.trend.splice(0, this.trend.length - this.options.trendSamples);
+        }
+        this.interval = { start: now, sums: new Map(), count: 0 };
+    }
+
+    /**
+     * @param {number} cell cell index, 0 based
+     * @returns {number | null} growth of the imbalance in mV per day, null if the trend is too short
+     */
+    getTrend(cell) {
+        const samples = this.trend.flatMap(({ time, values }) =>
+            typeof values[cell] === 'number' ? [{ time, value: values[cell] }] : [],
+        );
+        if (samples.length < 2 || samples[samples.length - 1].time - samples[0].time < this.options.minTrendSpan) {
+            return null;
+        }
+        return slope(samples) * DAY;
+    }
+
+    /**
+     * Current results. Values without enough data are null.
+     *
+     * @param {number} cellCount number of used cells
+     * @returns {{cells: Record<string, any>[], weakest: {cell: number, reason: string} | null}} results per cell (cell numbers 1 based) and the weakest cell
+     */
+    getResults(cellCount) {
+        const trends = Array.from({ length: cellCount }, (_, i) => this.getTrend(i));
+        const known = trends.filter(trend => trend !== null);
+        const averageTrend = known.length ? known.reduce((sum, trend) => sum + trend, 0) / known.length : 0;
+        const cells = [];
+        for (let i = 0; i < cellCount; i++) {
+            const trend = trends[i];
+            cells.push({
+                cell: i + 1,
+                deviation: Object.fromEntries(
+                    CONDITIONS.map(condition => [condition, round(this.deviations[condition].get(i) ?? null, 1)]),
+                ),
+                resistance: round(this.resistances.get(i) ?? null, 2),
+                trend: round(trend, 2),
+                drifting: trend !== null && trend - averageTrend >= this.options.driftThreshold,
+            });
+        }
+        return { cells, weakest: this.findWeakest(cells) };
+    }
+
+    /**
+     * The weakest cell is the lowest one at the end of discharge (least capacity).
+     * Until the pack was discharged that far, it is the one with the highest
+     * resistance, then the one moving furthest under load.
+     *
+     * @param {Record<string, any>[]} cells results per cell
+     * @returns {{cell: number, reason: string} | null} weakest cell, null without data
+     */
+    findWeakest(cells) {
+        const candidates = [
+            { reason: 'discharge_end', score: result => result.deviation.discharge_end },
+            { reason: 'resistance', score: result => result.resistance },
+            { reason: 'load', score: result => result.deviation.load },
+        ];
+        for (const { reason, score } of candidates) {
+            let weakest = null;
+            for (const result of cells) {
+                const value = score(result);
+                if (value !== null && (!weakest || value > weakest.value)) {
+                    weakest = { cell: result.cell, value };
+                }
+            }
+            if (weakest && cells.filter(result => score(result) !== null).length > 1) {
+                return { cell: weakest.cell, reason };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string} learned values as JSON, for a restart
+     */
+    serialize() {
+        return JSON.stringify({
+            deviations: Object.fromEntries(
+                CONDITIONS.map(condition => [condition, Object.fromEntries(this.deviations[condition])]),
+            ),
+            resistances: Object.fromEntries(this.resistances),
+            trend: this.trend,
+        });
+    }
+
+    /**
+     * Takes over the values learned before a restart.
+     *
+     * @param {string} json value of the data state
+     */
+    restore(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch {
+            return;
+        }
+        if (!data || typeof data !== 'object') {
+            return;
+        }
+        // {"cell index": value} -> Map
+        const cellMap = values =>
+            new Map(
+                Object.entries(values && typeof values === 'object' ? values : {}).flatMap(([i, value]) =>
+                    typeof value === 'number' ? [[Number(i), value]] : [],
+                ),
+            );
+        for (const condition of CONDITIONS) {
+            this.deviations[condition] = cellMap(data.deviations?.[condition]);
+        }
+        this.resistances = cellMap(data.resistances);
+        this.trend = (Array.isArray(data.trend) ? data.trend : [])
+            .filter(sample => sample && typeof sample.time === 'number' && Array.isArray(sample.values))
+            .map(({ time, values }) => ({
+                time,
+                values: values.map(value => (typeof value === 'number' ? value : null)),
+            }))
+            .slice(-this.options.trendSamples);
+    }
+}
+
+module.exports = { CONDITIONS, CellHealth };
@@ -0,0 +1,49 @@
+'use strict';
+
+const { expect } = require('chai');
+const { CellHealth } = require('./cell-health');
+
+describe('cell-health', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    it('tracks the deviation per condition and the resistance from current steps', () => {
+        const health = new CellHealth({ smoothing: 1, resistanceSmoothing: 1 });
+        health.addPack({ current: 0, soc: 50 }, 0);
+        health.addCells([3.3, 3.3, 3.3, 3.296], 100);
+        // Step to 50 A discharge: cell 2 drops 6 mV more than the others
+        health.addPack({ current: -50, soc: 50 }, 200);
+        health.addCells([3.29, 3.284, 3.29, 3.286], 300);
+
+        const { cells, weakest } = health.getResults(4);
+        expect(cells.map(({ deviation }) => deviation.rest)).to.deep.equal([1, 1, 1, -3]);
+        expect(cells.map(({ deviation }) => deviation.load)).to.deep.equal([-2.5, 3.5, -2.5, 1.5]);
+        expect(cells.map(({ resistance }) => resistance)).to.deep.equal([0.2, 0.32, 0.2, 0.2]);
+        expect(cells[0]).to.include({ trend: null, drifting: false });
+        expect(weakest).to.deep.equal({ cell: 2, reason: 'resistance' });
+
+        health.addPack({ current: -20, soc: 10 }, 400);
+        health.addCells([3.1, 3.1, 3.05, 3.1], 500);
+        expect(health.getResults(4).weakest).to.deep.equal({ cell: 3, reason: 'discharge_end' });
+    });
+
+    it('flags a growing imbalance and survives a restart', () => {
+        const health = new CellHealth();
+        // Cell 3 drifts away by 1 mV per hour
+        for (let hour = 0; hour <= 30; hour++) {
+            const low = 3.3 - hour / 1000;
+            health.addPack({ current: 0, soc: 50 }, hour * HOUR);
+            health.addCells([3.3, 3.3, low, 3.3], hour * HOUR);
+        }
+        const restored = new CellHealth();
+        restored.restore(health.serialize());
+
+        const { cells } = restored.getResults(4);
+        expect(cells[2].trend).to.be.closeTo(18, 0.5); // 3/4 of 24 mV per day from the mean
+        expect(cells.map(({ drifting }) => drifting)).to.deep.equal([false, false, true, false]);
+        expect(cells[2].deviation.rest).to.be.below(-10);
+
+        const stable = new CellHealth();
+        stable.restore('no json');
+        expect(stable.getResults(2).cells[0]).to.include({ resistance: null, trend: null });
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Number of cells and temperature sensors actually used in a pack.
+ *
+ * The 0x34 frame always has room for 16 cells and 8 sensors. Unused cells read
+ * 0 V, unconnected NTCs about -273 °C.
+ */
+
+const { CELL_COUNT, CELL_TEMP_COUNT } = require('./seplos-decoder');
+
+const MIN_CELL_VOLTAGE = 1.0;
+const MAX_CELL_VOLTAGE = 5.0;
+const MIN_TEMP = -60;
+const MAX_TEMP = 150;
+
+/**
+ * @param {number} voltage cell voltage in V
+ * @returns {boolean} true if a cell is connected
+ */
+function isValidCellVoltage(voltage) {
+    return voltage >= MIN_CELL_VOLTAGE && voltage <= MAX_CELL_VOLTAGE;
+}
+
+/**
+ * @param {number} temp temperature in °C
+ * @returns {boolean} true if the sensor is connected
+ */
+function isValidTemp(temp) {
+    return temp >= MIN_TEMP && temp <= MAX_TEMP;
+}
+
+/**
+ * Counts up to the last valid reading, so a single failed cell or sensor in
+ * between is still part of the pack.
+ *
+ * @param {number[]} values readings
+ * @param {(value: number) => boolean} isValid validity check
+ * @returns {number} number of used positions
+ */
+function countUsed(values, isValid) {
+    for (let i = values.length - 1; i >= 0; i--) {
+        if (isValid(values[i])) {
+            return i + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Detects the layout from one decoded 0x34 frame.
+ *
+ * @param {{cells: number[], temps: number[]}} data decoded cell frame
+ * @returns {{cells: number, temps: number}} number of cells and sensors in use
+ */
+function detectLayout(data) {
+    return {
+        cells: countUsed(data.cells, isValidCellVoltage),
+        temps: countUsed(data.temps, isValidTemp),
+    };
+}
+
+/**
+ * Combines the configured counts with the detected ones. A configured count of 0
+ * means auto-detection, the detected count only grows so a cell reading 0 V for a
+ * moment does not make it disappear.
+ *
+ * @param {{cells?: number, temps?: number}} configured counts from the configuration
+ * @param {{cells: number, temps: number}} detected detected from the current frame
+ * @param {{cells: number, temps: number} | undefined} previous layout used so far
+ * @returns {{cells: number, temps: number}} layout to use
+ */
+function resolveLayout(configured, detected, previous) {
+    const pick = (key, max) => {
+        const fixed = Math.round(Number(configured[key]) || 0);
+        if (fixed > 0) {
+            return Math.min(fixed, max);
+        }
+        return Math.max(detected[key], previous ? previous[key] : 0);
+    };
+    return { cells: pick('cells', CELL_COUNT), temps: pick('temps', CELL_TEMP_COUNT) };
+}
+
+/**
+ * Cuts the decoded cell frame down to the used cells and sensors. Invalid
+ * temperatures (failed NTC) are replaced by null.
+ *
+ * @param {{cells: number[], temps: number[], case_temp: number, power_temp: number}} data decoded cell frame
+ * @param {{cells: number, temps: number}} layout layout of the pack
+ * @returns {{cells: number[], temps: (number | null)[], case_temp: number | null, power_temp: number | null}} used values
+ */
+function applyLayout(data, layout) {
+    const temp = value => (isValidTemp(value) ? value : null);
+    return {
+        cells: data.cells.slice(0, layout.cells),
+        temps: data.temps.slice(0, layout.temps).map(temp),
+        case_temp: temp(data.case_temp),
+        power_temp: temp(data.power_temp),
+    };
+}
+
+module.exports = { isValidCellVoltage, isValidTemp, detectLayout, resolveLayout, applyLayout };
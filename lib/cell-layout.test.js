@@ -0,0 +1,40 @@
+'use strict';
+
+const { expect } = require('chai');
+const { detectLayout, resolveLayout, applyLayout } = require('./cell-layout');
+
+describe('cell layout', () => {
+    const frame = {
+        cells: [3.3, 3.31, 3.29, 3.3, 3.32, 3.3, 3.28, 3.3, 0, 0, 0, 0, 0, 0, 0, 0],
+        temps: [21.5, -273.15, 22, 21.8, -273.15, -273.15, -273.15, -273.15],
+        case_temp: 25,
+        power_temp: -273.15,
+    };
+
+    it('detects the used cells and sensors', () => {
+        expect(detectLayout(frame)).to.deep.equal({ cells: 8, temps: 4 });
+    });
+
+    it('prefers the configuration and never shrinks the detected layout', () => {
+        expect(resolveLayout({ cells: 15, temps: 0 }, { cells: 8, temps: 4 }, undefined)).to.deep.equal({
+            cells: 15,
+            temps: 4,
+        });
+        expect(resolveLayout({}, { cells: 7, temps: 4 }, { cells: 8, temps: 6 })).to.deep.equal({
+            cells: 8,
+            temps: 6,
+        });
+        expect(resolveLayout({ cells: 20, temps: 9 }, { cells: 8, temps: 4 }, undefined)).to.deep.equal({
+            cells: 16,
+            temps: 8,
+        });
+    });
+
+    it('drops unused cells and hides unconnected sensors', () => {
+        const data = applyLayout(frame, { cells: 8, temps: 4 });
+        expect(data.cells).to.have.length(8);
+        expect(data.temps).to.deep.equal([21.5, null, 22, 21.8]);
+        expect(data.case_temp).to.equal(25);
+        expect(data.power_temp).to.equal(null);
+    });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Decides which states are written: on change beyond a deadband, but not more
+ * often than a minimum interval and at least every maximum interval.
+ */
+
+/**
+ * Value groups with their defaults. Deadbands are in the unit of the value,
+ * intervals in seconds. Alarms and BMS parameters are always written on change.
+ * Counters that are restored from their states after a restart (energy, SOC
+ * of the coulomb counter) are written without deadband and are not configurable.
+ */
+const PUBLISH_GROUPS = {
+    pack: { deadband: 0.1, minInterval: 1, maxInterval: 300 },
+    cells: { deadband: 0.002, minInterval: 5, maxInterval: 300 },
+    temps: { deadband: 0.5, minInterval: 10, maxInterval: 300 },
+    alarms: { deadband: 0, minInterval: 0, maxInterval: 300 },
+    counters: { deadband: 0, minInterval: 60, maxInterval: 300 },
+};
+
+// Persisted counters, a deadband would be lost with every restart
+const COUNTER_ID = /(^|\.)(energy\.[^.]+|soc_coulomb|soc_coulomb_synced)$/;
+
+/**
+ * Group of a state, derived from its role and type.
+ *
+ * @param {string} key state id relative to the instance
+ * @param {{role: string, ctype: string}} common role and type of the state
+ * @returns {string} key of PUBLISH_GROUPS
+ */
+function getPublishGroup(key, { role, ctype }) {
+    // BMS parameters are settings, every change is written right away
+    if (ctype !== 'number' || role.startsWith('indicator') || key.includes('.parameters.')) {
+        return 'alarms';
+    }
+    if (COUNTER_ID.test(key)) {
+        return 'counters';
+    }
+    if (role === 'value.temperature') {
+        return 'temps';
+    }
+    if (role === 'value.voltage' && /cell_/.test(key)) {
+        return 'cells';
+    }
+    return 'pack';
+}
+
+/**
+ * Reads the settings of all groups from the instance configuration, e.g.
+ * `cells_deadband`, `cells_min_interval` and `cells_max_interval`.
+ *
+ * @param {Record<string, any>} config adapter configuration
+ * @returns {Record<string, {deadband: number, minInterval: number, maxInterval: number}>} settings per group, intervals in ms
+ */
+function parsePublishSettings(config) {
+    const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+    return Object.fromEntries(
+        Object.entries(PUBLISH_GROUPS).map(([group, defaults]) => {
+            if (group === 'counters') {
+                return [
+                    group,
+                    { ...defaults, minInterval: defaults.minInterval * 1000, maxInterval: defaults.maxInterval * 1000 },
+                ];
+            }
+            const alarms = group === 'alarms';
+            return [
+                group,
+                {
+                    deadband: alarms ? 0 : number(config[`${group}_deadband`], defaults.deadband),
+                    minInterval: alarms ? 0 : number(config[`${group}_min_interval`], defaults.minInterval) * 1000,
+                    maxInterval: number(config[`${group}_max_interval`], defaults.maxInterval) * 1000,
+                },
+            ];
+        }),
+    );
+}
+
+/**
+ * Remembers the last written value of every state.
+ */
+class ChangeFilter {
+    /**
+     * Creates a filter that has not written anything yet.
+     *
+     * @param {Record<string, {deadband: number, minInterval: number, maxInterval: number}>} settings result of parsePublishSettings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.last = new Map(); // key -> {value, time}
+    }
+
+    /**
+     * Checks if a value has to be written and remembers it if so.
+     *
+     * @param {string} key state id
+     * @param {any} value new value
+     * @param {string} group key of PUBLISH_GROUPS
+     * @param {number} now current time in ms
+     * @returns {boolean} true if the state has to be written
+     */
+    check(key, value, group, now) {
+        const last = this.last.get(key);
+        if (last && !this.isDue(last, value, this.settings[group] || this.settings.pack, now)) {
+            return false;
+        }
+        this.last.set(key, { value, time: now });
+        return true;
+    }
+
+    /**
+     * @param {{value: any, time: number}} last last written value
+     * @param {any} value new value
+     * @param {{deadband: number, minInterval: number, maxInterval: number}} settings settings of the group
+     * @param {number} now current time in ms
+     * @returns {boolean} true if the value changed enough or was not written for too long
+     */
+    isDue(last, value, settings, now) {
+        const elapsed = now - last.time;
+        if (elapsed < settings.minInterval) {
+            return false;
+        }
+        if (settings.maxInterval > 0 && elapsed >= settings.maxInterval) {
+            return true;
+        }
+        if (typeof value === 'number' && typeof last.value === 'number') {
+            const difference = Math.abs(value - last.value);
+            // a deadband of 0 writes every change
+            return settings.deadband > 0 ? difference >= settings.deadband - 1e-9 : difference > 0;
+        }
+        return value !== last.value;
+    }
+
+    /**
+     * Forgets the states below a prefix, so they are written with the next value.
+     *
+     * @param {string} prefix e.g. `bms_1.`
+     */
+    forget(prefix) {
+        for (const key of this.last.keys()) {
+            if (key.startsWith(prefix)) {
+                this.last.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { PUBLISH_GROUPS, getPublishGroup, parsePublishSettings, ChangeFilter };
@@ -0,0 +1,50 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getPublishGroup, parsePublishSettings, ChangeFilter } = require('./change-filter');
+
+describe('ChangeFilter', () => {
+    const settings = parsePublishSettings({ pack_deadband: '0.5', cells_min_interval: 5, alarms_min_interval: 60 });
+
+    it('assigns the value groups', () => {
+        expect(getPublishGroup('bms_0.current', { role: 'value.current', ctype: 'number' })).to.equal('pack');
+        expect(getPublishGroup('bms_0.cell_3_voltage', { role: 'value.voltage', ctype: 'number' })).to.equal('cells');
+        expect(getPublishGroup('bms_0.pack_voltage', { role: 'value.voltage', ctype: 'number' })).to.equal('pack');
+        expect(getPublishGroup('bms_0.cell_temp_1', { role: 'value.temperature', ctype: 'number' })).to.equal('temps');
+        expect(getPublishGroup('bms_0.alarms.soc_alarm', { role: 'indicator.alarm', ctype: 'boolean' })).to.equal(
+            'alarms',
+        );
+        const energy = { role: 'value.energy.consumed', ctype: 'number' };
+        expect(getPublishGroup('bank.energy.charged_today', energy)).to.equal('counters');
+        expect(getPublishGroup('bus1.bms_0.soc_coulomb', { role: 'value.battery', ctype: 'number' })).to.equal(
+            'counters',
+        );
+        expect(settings.counters).to.deep.equal({ deadband: 0, minInterval: 60000, maxInterval: 300000 });
+        const parameter = { role: 'value.voltage', ctype: 'number' };
+        expect(getPublishGroup('bms_0.parameters.cell_ov_protection', parameter)).to.equal('alarms');
+        expect(settings.pack.deadband).to.equal(0.5);
+        expect(settings.alarms.minInterval).to.equal(0);
+    });
+
+    it('writes on change beyond the deadband and after the max interval', () => {
+        const filter = new ChangeFilter(settings);
+        expect(filter.check('current', 10, 'pack', 0)).to.equal(true);
+        expect(filter.check('current', 10.4, 'pack', 2000)).to.equal(false);
+        expect(filter.check('current', 10.5, 'pack', 3000)).to.equal(true);
+        expect(filter.check('current', 10.5, 'pack', 300000)).to.equal(false);
+        expect(filter.check('current', 10.5, 'pack', 303000)).to.equal(true);
+    });
+
+    it('holds back changes within the min interval but not alarms', () => {
+        const filter = new ChangeFilter(settings);
+        expect(filter.check('cell', 3.3, 'cells', 0)).to.equal(true);
+        expect(filter.check('cell', 3.2, 'cells', 4000)).to.equal(false);
+        expect(filter.check('cell', 3.2, 'cells', 5000)).to.equal(true);
+        expect(filter.check('alarm', false, 'alarms', 0)).to.equal(true);
+        expect(filter.check('alarm', true, 'alarms', 10)).to.equal(true);
+        expect(filter.check('alarm', true, 'alarms', 20)).to.equal(false);
+
+        filter.forget('ce');
+        expect(filter.check('cell', 3.2, 'cells', 6000)).to.equal(true);
+    });
+});
@@ -0,0 +1,373 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const dgram = require('node:dgram');
+const fs = require('node:fs');
+const net = require('node:net');
+const { SerialPort } = require('serialport');
+const { Rfc2217Stream } = require('./rfc2217');
+
+const DEFAULT_MIN_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60000;
+// The BMS send several frames per second, a silent TCP connection is considered dead
+const DEFAULT_TCP_IDLE_TIMEOUT = 60000;
+const TCP_KEEPALIVE_DELAY = 10000;
+// A UDP gateway in server mode sends to the address it last received from
+const UDP_HELLO_INTERVAL = 30000;
+
+/**
+ * Serial line settings of the Seplos V3 bus, used if nothing else is configured.
+ */
+const DEFAULT_LINE_SETTINGS = { baudRate: 19200, dataBits: 8, parity: 'none', stopBits: 1 };
+const PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+const DATA_BITS = [5, 6, 7, 8];
+const STOP_BITS = [1, 1.5, 2];
+
+/**
+ * Keeps a byte stream (serial port or TCP socket) open and reconnects with
+ * exponential backoff after errors or when the connection is closed.
+ *
+ * Events:
+ * - `data` (chunk) received bytes
+ * - `state` ({state, retries, error, delay}) state is `connecting`, `connected` or `waiting` (for the next attempt)
+ */
+class ConnectionManager extends EventEmitter {
+    /**
+     * Creates a stopped manager.
+     *
+     * @param {object} options options
+     * @param {() => Promise<import('node:events').EventEmitter & {destroy?: () => void, close?: () => void, write?: (data: Buffer) => any}>} options.open opens the stream, rejects if that is not possible
+     * @param {number} [options.minDelay] delay before the first retry in ms
+     * @param {number} [options.maxDelay] longest delay between two retries in ms
+     * @param {{setTimeout: (callback: () => void, ms: number) => any, clearTimeout: (timer: any) => void}} [options.timers] timer functions, e.g. the adapter's
+     */
+    constructor({ open, minDelay = DEFAULT_MIN_DELAY, maxDelay = DEFAULT_MAX_DELAY, timers }) {
+        super();
+        this.open = open;
+        this.minDelay = minDelay;
+        this.maxDelay = maxDelay;
+        this.timers = timers || {
+            setTimeout: (callback, ms) => setTimeout(callback, ms),
+            clearTimeout: timer => clearTimeout(timer),
+        };
+        this.stream = null;
+        this.state = 'waiting';
+        this.retries = 0;
+        this.lastError = null;
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Opens the connection and keeps it open until stop() is called.
+     */
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    /**
+     * Closes the connection and cancels pending retries.
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            this.timers.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.closeStream();
+    }
+
+    /**
+     * One connection attempt.
+     */
+    async connect() {
+        this.timer = null;
+        this.setState('connecting');
+        let stream;
+        try {
+            stream = await this.open();
+        } catch (error) {
+            this.scheduleRetry(error);
+            return;
+        }
+        if (this.stopped) {
+            closeQuietly(stream);
+            return;
+        }
+
+        this.stream = stream;
+        this.retries = 0;
+        stream.on('data', data => this.emit('data', data));
+        let failed = false;
+        const fail = error => {
+            if (failed || this.stream !== stream) {
+                return;
+            }
+            failed = true;
+            this.closeStream();
+            this.scheduleRetry(error || new Error('Connection closed'));
+        };
+        stream.on('error', fail);
+        stream.on('close', () => fail(null));
+        this.setState('connected');
+    }
+
+    /**
+     * Sends bytes over the open connection.
+     *
+     * @param {Buffer} data bytes to send
+     * @returns {boolean} false if not connected
+     */
+    write(data) {
+        if (!this.stream || typeof this.stream.write !== 'function') {
+            return false;
+        }
+        this.stream.write(data);
+        return true;
+    }
+
+    /**
+     * Waits before the next attempt, the delay doubles with every failed attempt.
+     *
+     * @param {Error} error reason of the failure
+     */
+    scheduleRetry(error) {
+        if (this.stopped) {
+            return;
+        }
+        this.lastError = error;
+        const delay = Math.min(this.maxDelay, this.minDelay * 2 ** this.retries);
+        this.retries++;
+        this.setState('waiting', delay);
+        this.timer = this.timers.setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * @param {string} state new state
+     * @param {number} [delay] delay until the next attempt
+     */
+    setState(state, delay) {
+        this.state = state;
+        this.emit('state', { state, retries: this.retries, error: this.lastError, delay });
+    }
+
+    /**
+     * Closes the current stream without triggering a reconnect.
+     */
+    closeStream() {
+        const stream = this.stream;
+        this.stream = null;
+        if (stream) {
+            stream.removeAllListeners('data');
+            stream.on('error', () => {}); // late errors of the closed stream
+            closeQuietly(stream);
+        }
+    }
+}
+
+/**
+ * @param {{destroy?: () => void, close?: () => void, isOpen?: boolean}} stream socket or serial port
+ */
+function closeQuietly(stream) {
+    try {
+        if (typeof stream.destroy === 'function') {
+            stream.destroy();
+        } else if (typeof stream.close === 'function' && stream.isOpen !== false) {
+            stream.close();
+        }
+    } catch {
+        // already closed
+    }
+}
+
+/**
+ * Reads the serial line settings from the instance configuration, invalid
+ * values fall back to the defaults.
+ *
+ * @param {Record<string, any>} config adapter configuration with `baud_rate`, `data_bits`, `parity` and `stop_bits`
+ * @returns {{baudRate: number, dataBits: number, parity: string, stopBits: number}} line settings
+ */
+function parseLineSettings(config) {
+    const baudRate = parseInt(config.baud_rate);
+    const dataBits = Number(config.data_bits);
+    const stopBits = Number(config.stop_bits);
+    return {
+        baudRate: baudRate > 0 ? baudRate : DEFAULT_LINE_SETTINGS.baudRate,
+        dataBits: DATA_BITS.includes(dataBits) ? dataBits : DEFAULT_LINE_SETTINGS.dataBits,
+        parity: PARITIES.includes(config.parity) ? config.parity : DEFAULT_LINE_SETTINGS.parity,
+        stopBits: STOP_BITS.includes(stopBits) ? stopBits : DEFAULT_LINE_SETTINGS.stopBits,
+    };
+}
+
+/**
+ * Opens a serial port. If the device does not exist (USB adapter unplugged or
+ * re-enumerating), the attempt fails and is repeated by the ConnectionManager.
+ *
+ * @param {string} path device, e.g. /dev/ttyUSB0
+ * @param {{baudRate: number} & Record<string, any>} options line settings (see parseLineSettings) and further options of the SerialPort constructor
+ * @returns {Promise<import('serialport').SerialPort>} open port
+ */
+function openSerial(path, options) {
+    return new Promise((resolve, reject) => {
+        if (path.startsWith('/') && !fs.existsSync(path)) {
+            reject(new Error(`Device ${path} not found`));
+            return;
+        }
+        const port = new SerialPort({ ...options, path, autoOpen: false });
+        port.open(error => (error ? reject(error) : resolve(port)));
+    });
+}
+
+/**
+ * Connects to a TCP serial server (ser2net, ESPHome stream server). Keepalive
+ * and an idle timeout detect half-open connections, e.g. after the server lost
+ * power.
+ *
+ * @param {string} host host name or IP
+ * @param {number} port TCP port
+ * @param {number} [idleTimeout] close the connection if nothing was received for this long (ms), 0 never
+ * @returns {Promise<import('node:net').Socket>} connected socket
+ */
+function openTcp(host, port, idleTimeout = DEFAULT_TCP_IDLE_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port, keepAlive: true, keepAliveInitialDelay: TCP_KEEPALIVE_DELAY });
+        // Also limits the connection attempt itself, even without an idle timeout
+        const timeout = idleTimeout || DEFAULT_TCP_IDLE_TIMEOUT;
+        socket.setTimeout(timeout, () => {
+            socket.destroy(new Error(`No data from ${host}:${port} for ${timeout / 1000} s`));
+        });
+        socket.once('error', reject);
+        socket.once('connect', () => {
+            socket.off('error', reject);
+            if (!idleTimeout) {
+                socket.setTimeout(0); // keepalive still detects a lost peer
+            }
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Connects to a serial server that speaks telnet with the COM port control
+ * option (RFC 2217), e.g. ser2net in telnet mode. The line settings are sent
+ * to the server.
+ *
+ * @param {string} host host name or IP
+ * @param {number} port TCP port
+ * @param {{baudRate: number, dataBits: number, parity: string, stopBits: number}} settings line settings
+ * @param {number} [idleTimeout] close the connection if nothing was received for this long (ms), 0 never
+ * @returns {Promise<Rfc2217Stream>} connected stream
+ */
+async function openRfc2217(host, port, settings, idleTimeout = DEFAULT_TCP_IDLE_TIMEOUT) {
+    const socket = await openTcp(host, port, idleTimeout);
+    return new Rfc2217Stream(socket, settings);
+}
+
+/**
+ * Bus data received as UDP datagrams. Emits `data`, `error` and `close` like a
+ * socket.
+ */
+class UdpStream extends EventEmitter {
+    /**
+     * @param {import('node:dgram').Socket} socket bound socket
+     * @param {string} host gateway to greet, empty to only listen
+     * @param {number} port port of the gateway
+     * @param {number} idleTimeout close the stream if nothing was received for this long (ms), 0 never
+     */
+    constructor(socket, host, port, idleTimeout) {
+        super();
+        this.socket = socket;
+        this.idleTimeout = idleTimeout;
+        this.idleTimer = undefined;
+        this.helloTimer = undefined;
+        // Without a host, answers go to the sender of the last datagram
+        this.remote = host ? { address: host, port } : null;
+        socket.on('message', (data, remote) => {
+            if (!host) {
+                this.remote = remote;
+            }
+            this.resetIdleTimer();
+            this.emit('data', data);
+        });
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => this.emit('close'));
+        if (host) {
+            // An empty datagram tells the gateway where to send, nothing is written to the bus
+            const hello = () => socket.send(Buffer.alloc(0), port, host, error => error && this.emit('error', error));
+            hello();
+            this.helloTimer = setInterval(hello, UDP_HELLO_INTERVAL);
+        }
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Sends bytes as one datagram.
+     *
+     * @param {Buffer} data bytes to send
+     */
+    write(data) {
+        if (this.remote) {
+            this.socket.send(data, this.remote.port, this.remote.address, error => error && this.emit('error', error));
+        }
+    }
+
+    /**
+     * Restarts the timeout after received data.
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        if (!this.idleTimeout) {
+            return;
+        }
+        this.idleTimer = setTimeout(() => {
+            this.emit('error', new Error(`No UDP data for ${this.idleTimeout / 1000} s`));
+        }, this.idleTimeout);
+    }
+
+    /**
+     * Closes the socket.
+     */
+    destroy() {
+        clearTimeout(this.idleTimer);
+        clearInterval(this.helloTimer);
+        try {
+            this.socket.close();
+        } catch {
+            // already closed
+        }
+    }
+}
+
+/**
+ * Receives the bus data from a UDP gateway. With a host, a random local port is
+ * used and the gateway is greeted regularly so it sends its data there (UDP
+ * server mode of the gateway). Without a host, the datagrams sent to the local
+ * port are received from any sender (UDP client mode of the gateway).
+ *
+ * @param {string} host gateway host name or IP, empty or 0.0.0.0 to listen on `port`
+ * @param {number} port port of the gateway, or local port to listen on
+ * @param {number} [idleTimeout] close the stream if nothing was received for this long (ms), 0 never
+ * @returns {Promise<UdpStream>} stream
+ */
+function openUdp(host, port, idleTimeout = DEFAULT_TCP_IDLE_TIMEOUT) {
+    const listen = !host || host === '0.0.0.0';
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.bind(listen ? port : 0, () => {
+            socket.off('error', reject);
+            resolve(new UdpStream(socket, listen ? '' : host, port, idleTimeout));
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_LINE_SETTINGS,
+    ConnectionManager,
+    parseLineSettings,
+    openSerial,
+    openTcp,
+    openRfc2217,
+    openUdp,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const { expect } = require('chai');
+const dgram = require('node:dgram');
+const net = require('node:net');
+const { ConnectionManager, parseLineSettings, openTcp, openRfc2217, openUdp } = require('./connection');
+
+/**
+ * @param {net.Server | dgram.Socket} server listening server
+ * @returns {number} its port
+ */
+function portOf(server) {
+    const address = server.address();
+    return typeof address === 'object' && address ? address.port : 0;
+}
+
+describe('ConnectionManager', () => {
+    it('retries with exponential backoff', async () => {
+        const delays = [];
+        const retries = [];
+        let cleared = false;
+        const manager = new ConnectionManager({
+            open: () => Promise.reject(new Error('Device /dev/ttyUSB0 not found')),
+            minDelay: 1000,
+            maxDelay: 5000,
+            timers: {
+                setTimeout: (callback, ms) => {
+                    delays.push(ms);
+                    retries.push(callback);
+                    return ms;
+                },
+                clearTimeout: () => {
+                    cleared = true;
+                },
+            },
+        });
+        const states = [];
+        manager.on('state', ({ state, retries }) => states.push(`${state}:${retries}`));
+        manager.start();
+        for (let i = 0; i < 4; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+            retries[i]();
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        manager.stop();
+
+        expect(delays).to.deep.equal([1000, 2000, 4000, 5000, 5000]);
+        expect(states.slice(0, 4)).to.deep.equal(['connecting:0', 'waiting:1', 'connecting:1', 'waiting:2']);
+        expect(manager.lastError?.message).to.equal('Device /dev/ttyUSB0 not found');
+        expect(cleared).to.equal(true);
+    });
+
+    it('reconnects after the TCP server closed the connection', async () => {
+        let connections = 0;
+        const server = net.createServer(socket => {
+            connections++;
+            if (connections === 1) {
+                socket.destroy();
+            } else {
+                socket.write(Buffer.from([0x01, 0x04]));
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+        const port = portOf(server);
+
+        const manager = new ConnectionManager({ open: () => openTcp('127.0.0.1', port), minDelay: 10 });
+        const data = await new Promise(resolve => {
+            manager.on('data', resolve);
+            manager.start();
+        });
+        manager.stop();
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+
+        expect([...data]).to.deep.equal([0x01, 0x04]);
+        expect(connections).to.equal(2);
+        expect(manager.retries).to.equal(0);
+    });
+});
+
+describe('parseLineSettings', () => {
+    it('uses the configured values and falls back to 19200 8N1', () => {
+        expect(parseLineSettings({ baud_rate: '9600', data_bits: 7, parity: 'even', stop_bits: '2' })).to.deep.equal({
+            baudRate: 9600,
+            dataBits: 7,
+            parity: 'even',
+            stopBits: 2,
+        });
+        expect(parseLineSettings({ baud_rate: 'fast', data_bits: 9, parity: 'x' })).to.deep.equal({
+            baudRate: 19200,
+            dataBits: 8,
+            parity: 'none',
+            stopBits: 1,
+        });
+    });
+});
+
+describe('network transports', () => {
+    it('greets a UDP gateway and receives its datagrams', async () => {
+        const gateway = dgram.createSocket('udp4');
+        gateway.on('message', (message, remote) => {
+            // the empty greeting tells the gateway where to send
+            if (message.length === 0) {
+                gateway.send(Buffer.from([0x01, 0x04, 0x24]), remote.port, remote.address);
+            }
+        });
+        await new Promise(resolve => gateway.bind(0, '127.0.0.1', () => resolve(undefined)));
+
+        const stream = await openUdp('127.0.0.1', portOf(gateway));
+        const data = await new Promise(resolve => stream.on('data', resolve));
+        stream.destroy();
+        gateway.close();
+
+        expect([...data]).to.deep.equal([0x01, 0x04, 0x24]);
+    });
+
+    it('keeps a silent TCP connection without idle timeout', async () => {
+        const server = net.createServer(() => {});
+        await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+
+        const silent = await openTcp('127.0.0.1', portOf(server), 0);
+        const watched = await openTcp('127.0.0.1', portOf(server), 30);
+        const error = await new Promise(resolve => watched.once('error', resolve));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const open = !silent.destroyed;
+        silent.destroy();
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+
+        expect(error.message).to.match(/^No data from 127\.0\.0\.1:\d+ for 0\.03 s$/);
+        expect(open).to.equal(true);
+        expect(silent.timeout).to.equal(0);
+    });
+
+    it('sets the line of an RFC 2217 server and strips the telnet commands', async () => {
+        const received = [];
+        const server = net.createServer(socket => {
+            socket.on('data', chunk => {
+                received.push(...chunk);
+                // answer WILL COM-PORT-OPTION with DO, then send data with an escaped 0xff
+                if (received.length === 9) {
+                    socket.write(Buffer.from([0xff, 0xfd, 44, 0xff, 0xfb, 1, 0x01, 0xff, 0xff, 0x04]));
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+
+        const settings = { baudRate: 9600, dataBits: 8, parity: 'none', stopBits: 1 };
+        const stream = await openRfc2217('127.0.0.1', portOf(server), settings);
+        const data = await new Promise(resolve => stream.on('data', resolve));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        stream.destroy();
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+
+        expect([...data]).to.deep.equal([0x01, 0xff, 0x04]);
+        // WILL COM-PORT, WILL/DO BINARY, the line settings starting with the baud rate, the refused ECHO
+        expect(received.slice(0, 3)).to.deep.equal([0xff, 0xfb, 44]);
+        expect(received.slice(9, 19)).to.deep.equal([0xff, 0xfa, 44, 1, 0, 0, 0x25, 0x80, 0xff, 0xf0]);
+        expect(received.slice(-3)).to.deep.equal([0xff, 0xfe, 1]);
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * State of charge of one pack from its own coulomb counter, to see how far the
+ * SOC of the BMS has drifted since the last full charge.
+ */
+
+// Longer gaps between two samples are not integrated (connection lost, adapter stopped)
+const DEFAULT_MAX_SAMPLE_GAP = 10000;
+
+// A warning is cleared when the difference falls below this share of the threshold
+const WARNING_HYSTERESIS = 0.8;
+
+/**
+ * Integrates the current of every 0x24 frame against the total capacity.
+ */
+class CoulombCounter {
+    /**
+     * Creates a counter that starts at the SOC of the BMS with the first sample.
+     *
+     * @param {{maxSampleGap?: number}} [options] longest gap in ms between two samples that is integrated
+     */
+    constructor(options = {}) {
+        this.maxSampleGap = options.maxSampleGap || DEFAULT_MAX_SAMPLE_GAP;
+        this.soc = null; // %
+        this.synced = null; // time of the last full charge in ms
+        this.lastSample = null;
+        this.warning = false;
+    }
+
+    /**
+     * Takes over the persisted counter.
+     *
+     * @param {any} soc persisted SOC in %
+     * @param {any} synced persisted time of the last full charge in ms
+     */
+    restore(soc, synced) {
+        if (typeof soc === 'number' && Number.isFinite(soc)) {
+            this.soc = Math.min(100, Math.max(0, soc));
+        }
+        if (typeof synced === 'number' && synced > 0) {
+            this.synced = synced;
+        }
+    }
+
+    /**
+     * Integrates the current since the previous sample (trapezoidal rule).
+     *
+     * @param {{current: number, total_capacity: number, soc: number}} pack decoded 0x24 frame
+     * @param {number} now sample time in ms
+     * @returns {number | null} SOC of the counter in %, null before the first valid sample
+     */
+    addSample({ current, total_capacity: capacity, soc }, now) {
+        const previous = this.lastSample;
+        this.lastSample = { current, time: now };
+        if (this.soc === null) {
+            this.soc = typeof soc === 'number' && Number.isFinite(soc) ? soc : null;
+            return this.soc;
+        }
+        if (!previous || now <= previous.time || now - previous.time > this.maxSampleGap || !(capacity > 0)) {
+            return this.soc;
+        }
+        const hours = (now - previous.time) / 3600000;
+        const ampereHours = ((previous.current + current) / 2) * hours;
+        this.soc = Math.min(100, Math.max(0, this.soc + (ampereHours / capacity) * 100));
+        return this.soc;
+    }
+
+    /**
+     * The BMS reports a full charge, the counter restarts at 100 %.
+     *
+     * @param {number} now time of the frame in ms
+     */
+    sync(now) {
+        this.soc = 100;
+        this.synced = now;
+        this.lastSample = null; // Not integrated across the full charge
+    }
+
+    /**
+     * Compares the counter with the SOC of the BMS.
+     *
+     * @param {number} bmsSoc SOC of the BMS in %
+     * @param {number} threshold warning threshold in percentage points, 0 = no warning
+     * @returns {{difference: number | null, change: string | null}} counter minus BMS SOC, change is onset or clear if the warning started or ended
+     */
+    compare(bmsSoc, threshold) {
+        if (this.soc === null || typeof bmsSoc !== 'number' || !Number.isFinite(bmsSoc)) {
+            return { difference: null, change: null };
+        }
+        const difference = this.soc - bmsSoc;
+        let change = null;
+        if (!this.warning && threshold > 0 && Math.abs(difference) > threshold) {
+            this.warning = true;
+            change = 'onset';
+        } else if (this.warning && (!(threshold > 0) || Math.abs(difference) <= threshold * WARNING_HYSTERESIS)) {
+            this.warning = false;
+            change = 'clear';
+        }
+        return { difference, change };
+    }
+}
+
+module.exports = { CoulombCounter };
@@ -0,0 +1,38 @@
+'use strict';
+
+const { expect } = require('chai');
+const { CoulombCounter } = require('./coulomb-soc');
+
+describe('CoulombCounter', () => {
+    const pack = (current, soc) => ({ current, total_capacity: 100, soc });
+
+    it('starts at the BMS SOC and integrates the current', () => {
+        const counter = new CoulombCounter();
+        expect(counter.addSample(pack(-50, 60), 0)).to.equal(60);
+        counter.addSample(pack(-50, 60), 3600); // 50 A for 3.6 s = 0.05 Ah
+        counter.addSample(pack(-50, 60), 60000); // gap, not integrated
+        expect(counter.addSample(pack(-50, 60), 63600)).to.be.closeTo(59.9, 1e-9);
+
+        counter.sync(70000);
+        expect(counter.addSample(pack(20, 97), 71000)).to.equal(100);
+        expect(counter.synced).to.equal(70000);
+    });
+
+    it('integrates longer gaps up to the configured maximum', () => {
+        const counter = new CoulombCounter({ maxSampleGap: 90000 });
+        counter.addSample(pack(-60, 60), 0);
+        counter.addSample(pack(-60, 60), 30000); // 60 A for 30 s = 0.5 Ah
+        expect(counter.addSample(pack(-60, 60), 60000)).to.be.closeTo(59, 1e-9);
+        expect(counter.addSample(pack(-60, 60), 160000)).to.be.closeTo(59, 1e-9); // gap, not integrated
+    });
+
+    it('warns when the BMS SOC drifts away, with hysteresis', () => {
+        const counter = new CoulombCounter();
+        counter.restore(50, 1000);
+        expect(counter.compare(58, 10)).to.deep.equal({ difference: -8, change: null });
+        expect(counter.compare(61, 10)).to.deep.equal({ difference: -11, change: 'onset' });
+        expect(counter.compare(59, 10).change).to.equal(null);
+        expect(counter.compare(57, 10).change).to.equal('clear');
+        expect(counter.compare(70, 0).change).to.equal(null);
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Energy counters (kWh) integrated from the power of every received frame.
+ */
+
+const PERIODS = ['total', 'today', 'month', 'year'];
+
+/**
+ * States of an `energy` channel.
+ */
+const ENERGY_FIELDS = PERIODS.flatMap(period => [
+    { key: `charged_${period}`, unit: 'kWh', role: 'value.energy.consumed' },
+    { key: `discharged_${period}`, unit: 'kWh', role: 'value.energy.produced' },
+]);
+
+// Longer gaps between two samples are not integrated (connection lost, adapter stopped)
+const DEFAULT_MAX_SAMPLE_GAP = 10000;
+
+/**
+ * Key of the period `time` belongs to, in local time.
+ *
+ * @param {string} period total, today, month or year
+ * @param {number} time time in ms
+ * @returns {string} e.g. 2026-01-31 for today
+ */
+function periodKey(period, time) {
+    const date = new Date(time);
+    const year = String(date.getFullYear());
+    const month = `${year}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    switch (period) {
+        case 'today':
+            return `${month}-${String(date.getDate()).padStart(2, '0')}`;
+        case 'month':
+            return month;
+        case 'year':
+            return year;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Charged and discharged energy of one pack or the whole bank.
+ */
+class EnergyCounter {
+    /**
+     * Creates a counter starting at zero.
+     *
+     * @param {{maxSampleGap?: number}} [options] longest gap in ms between two samples that is integrated
+     */
+    constructor(options = {}) {
+        this.maxSampleGap = options.maxSampleGap || DEFAULT_MAX_SAMPLE_GAP;
+        this.values = {};
+        this.periods = {};
+        for (const period of PERIODS) {
+            this.values[`charged_${period}`] = 0;
+            this.values[`discharged_${period}`] = 0;
+            this.periods[period] = null;
+        }
+        this.lastSample = null;
+    }
+
+    /**
+     * Sets a counter from a persisted state. Period counters are only taken over
+     * if the state was written in the current period.
+     *
+     * @param {string} key e.g. charged_today
+     * @param {number} value persisted value in kWh
+     * @param {number} written time the value was written
+     * @param {number} now current time
+     */
+    restore(key, value, written, now) {
+        if (!(key in this.values) || typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+        const period = key.substring(key.indexOf('_') + 1);
+        if (periodKey(period, written) === periodKey(period, now)) {
+            this.values[key] = value;
+            this.periods[period] = periodKey(period, now);
+        }
+    }
+
+    /**
+     * Integrates the power since the previous sample (trapezoidal rule).
+     *
+     * @param {number} power current power in W, positive while charging
+     * @param {number} now sample time in ms
+     * @returns {{charged: number, discharged: number}} energy added by this sample in kWh
+     */
+    addSample(power, now) {
+        const previous = this.lastSample;
+        this.lastSample = { power, time: now };
+        if (!previous || now <= previous.time || now - previous.time > this.maxSampleGap) {
+            return { charged: 0, discharged: 0 };
+        }
+
+        const hours = (now - previous.time) / 3600000;
+        const average = (previous.power + power) / 2;
+        const energy = (average * hours) / 1000;
+        const charged = energy > 0 ? energy : 0;
+        const discharged = energy < 0 ? -energy : 0;
+        this.addEnergy(charged, discharged, now);
+        return { charged, discharged };
+    }
+
+    /**
+     * Adds energy to all counters, resetting counters whose period has ended.
+     *
+     * @param {number} charged charged energy in kWh
+     * @param {number} discharged discharged energy in kWh
+     * @param {number} now current time in ms
+     */
+    addEnergy(charged, discharged, now) {
+        for (const period of PERIODS) {
+            const key = periodKey(period, now);
+            if (this.periods[period] !== key) {
+                if (this.periods[period] !== null) {
+                    this.values[`charged_${period}`] = 0;
+                    this.values[`discharged_${period}`] = 0;
+                }
+                this.periods[period] = key;
+            }
+            this.values[`charged_${period}`] += charged;
+            this.values[`discharged_${period}`] += discharged;
+        }
+    }
+
+    /**
+     * @returns {Record<string, number>} all counters in kWh, rounded to Wh
+     */
+    getValues() {
+        return Object.fromEntries(
+            Object.entries(this.values).map(([key, value]) => [key, Math.round(value * 1000) / 1000]),
+        );
+    }
+}
+
+module.exports = { ENERGY_FIELDS, EnergyCounter };
@@ -0,0 +1,52 @@
+'use strict';
+
+const { expect } = require('chai');
+const { EnergyCounter } = require('./energy');
+
+describe('EnergyCounter', () => {
+    const start = new Date(2026, 0, 31, 23, 59, 0).getTime();
+
+    it('integrates charge and discharge power', () => {
+        const counter = new EnergyCounter();
+        counter.addSample(1000, start);
+        counter.addSample(1000, start + 3600); // 1 kW for 3.6 s = 1 Wh
+        counter.addSample(-2000, start + 7200); // average -500 W -> 0.5 Wh discharged
+        counter.addSample(-2000, start + 10800); // -2 kW for 3.6 s = 2 Wh
+        expect(counter.values.charged_total).to.be.closeTo(0.001, 1e-9);
+        expect(counter.values.discharged_total).to.be.closeTo(0.0025, 1e-9);
+        expect(counter.getValues().charged_today).to.equal(0.001);
+    });
+
+    it('skips gaps and resets the periods at their end', () => {
+        const counter = new EnergyCounter();
+        counter.addSample(3600, start);
+        counter.addSample(3600, start + 1000);
+        counter.addSample(3600, start + 60000); // gap, not integrated
+        counter.addSample(3600, start + 61000); // next day, month
+        const values = counter.getValues();
+        expect(values.charged_total).to.equal(0.002);
+        expect(values.charged_today).to.equal(0.001);
+        expect(values.charged_month).to.equal(0.001);
+        expect(values.charged_year).to.equal(0.002);
+    });
+
+    it('integrates longer gaps up to the configured maximum', () => {
+        const counter = new EnergyCounter({ maxSampleGap: 90000 });
+        counter.addSample(1200, start);
+        counter.addSample(1200, start + 30000); // 1.2 kW for 30 s = 10 Wh
+        counter.addSample(1200, start + 130000); // gap, not integrated
+        expect(counter.getValues().charged_total).to.equal(0.01);
+    });
+
+    it('restores only counters of the current period', () => {
+        const counter = new EnergyCounter();
+        const now = start + 120000;
+        counter.restore('charged_total', 150, start, now);
+        counter.restore('charged_today', 5, start, now);
+        counter.restore('charged_year', 80, start, now);
+        const values = counter.getValues();
+        expect(values.charged_total).to.equal(150);
+        expect(values.charged_today).to.equal(0);
+        expect(values.charged_year).to.equal(80);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Last raw frames per frame type, for the `getFrames` message.
+ */
+class FrameHistory {
+    /**
+     * Creates an empty history.
+     *
+     * @param {number} [size] frames kept per type
+     */
+    constructor(size = 20) {
+        this.size = size;
+        this.frames = new Map(); // frame type -> entries, oldest first
+    }
+
+    /**
+     * @param {string} type frame type, e.g. `pack`, `cells` or `raw`
+     * @param {Buffer} buffer complete frame including the CRC
+     * @param {number | null} register start register, null if unknown
+     * @param {number} now receive time in ms
+     */
+    add(type, buffer, register, now) {
+        let entries = this.frames.get(type);
+        if (!entries) {
+            entries = [];
+            this.frames.set(type, entries);
+        }
+        entries.push({
+            time: new Date(now).toISOString(),
+            slave_id: buffer[0],
+            function_code: buffer[1],
+            register,
+            hex: buffer.toString('hex'),
+        });
+        if (entries.length > this.size) {
+            entries.shift();
+        }
+    }
+
+    /**
+     * @param {string} [type] only this frame type, all types if empty
+     * @param {number} [count] newest frames per type, all kept frames if empty
+     * @returns {Record<string, Record<string, any>[]>} frames per type, oldest first
+     */
+    get(type, count) {
+        const limit = Number(count) > 0 ? Math.floor(Number(count)) : this.size;
+        return Object.fromEntries(
+            [...this.frames]
+                .filter(([frameType]) => !type || frameType === type)
+                .map(([frameType, entries]) => [frameType, entries.slice(-limit)]),
+        );
+    }
+
+    /**
+     * Forgets all frames.
+     */
+    clear() {
+        this.frames.clear();
+    }
+}
+
+module.exports = { FrameHistory };
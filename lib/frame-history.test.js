@@ -0,0 +1,23 @@
+'use strict';
+
+const { expect } = require('chai');
+const { FrameHistory } = require('./frame-history');
+
+describe('frame-history', () => {
+    it('keeps the newest frames per type', () => {
+        const history = new FrameHistory(2);
+        for (let i = 0; i < 3; i++) {
+            history.add('pack', Buffer.from([1, 4, i]), 0x1000, 1700000000000 + i);
+        }
+        history.add('cells', Buffer.from([2, 4]), null, 1700000000000);
+
+        expect(history.get('pack')).to.deep.equal({
+            pack: [
+                { time: '2023-11-14T22:13:20.001Z', slave_id: 1, function_code: 4, register: 0x1000, hex: '010401' },
+                { time: '2023-11-14T22:13:20.002Z', slave_id: 1, function_code: 4, register: 0x1000, hex: '010402' },
+            ],
+        });
+        expect(history.get(undefined, 1).pack.map(({ hex }) => hex)).to.deep.equal(['010402']);
+        expect(Object.keys(history.get())).to.deep.equal(['pack', 'cells']);
+    });
+});
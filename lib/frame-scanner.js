@@ -0,0 +1,221 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const {
+    REQUEST_LENGTH,
+    EXCEPTION_LENGTH,
+    isValidHeader,
+    getExpectedLength,
+    validateCRC,
+    parseRequest,
+    getResponseByteCount,
+} = require('./seplos-decoder');
+
+// Longest Modbus RTU frame: header (3) + 255 data bytes + CRC (2)
+const MAX_BUFFER_LENGTH = 260;
+const MIN_FRAME_LENGTH = EXCEPTION_LENGTH;
+// Preallocated storage, the unscanned bytes are moved to the front when the end is reached
+const CAPACITY = 4096;
+
+/**
+ * Cuts the raw RS485 byte stream into CRC-checked Modbus RTU frames.
+ *
+ * Requests of the master are remembered, so the following response is tied to
+ * the register block it answers and its length is known in advance. Bytes that
+ * cannot be the start of a frame are dropped one by one until the stream is in
+ * sync again.
+ *
+ * The bytes are kept in one preallocated buffer between a read and a write
+ * offset, so scanning and dropping bytes do not allocate memory. Only emitted
+ * frames are copied, listeners may keep them.
+ *
+ * Events:
+ * - `request` (request) master request `{slaveId, functionCode, register, count}`
+ * - `response` (frame, info) response with valid CRC, `info.register` is null if no request was seen
+ * - `exception` (frame, info) Modbus exception response
+ *
+ * `stats` counts the frames with valid CRC (requests and responses), CRC errors
+ * and the bytes dropped while resynchronising, since the scanner was created.
+ */
+class FrameScanner extends EventEmitter {
+    /**
+     * Creates an empty scanner without a pending request.
+     */
+    constructor() {
+        super();
+        this.data = Buffer.alloc(CAPACITY);
+        this.start = 0; // first unscanned byte
+        this.end = 0; // end of the received bytes
+        this.pendingRequest = null;
+        this.synced = false;
+        this.stats = { frames: 0, crcErrors: 0, discardedBytes: 0 };
+    }
+
+    /**
+     * Number of buffered bytes.
+     *
+     * @returns {number} bytes not yet consumed
+     */
+    get length() {
+        return this.end - this.start;
+    }
+
+    /**
+     * Feeds received bytes into the scanner.
+     *
+     * @param {Buffer | Uint8Array | number[]} data received chunk
+     */
+    push(data) {
+        let offset = 0;
+        while (offset < data.length) {
+            if (this.end === CAPACITY) {
+                this.compact();
+            }
+            const count = Math.min(data.length - offset, CAPACITY - this.end);
+            if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+                this.data.set(data.subarray(offset, offset + count), this.end);
+            } else {
+                for (let i = 0; i < count; i++) {
+                    this.data[this.end + i] = data[offset + i];
+                }
+            }
+            this.end += count;
+            offset += count;
+
+            while (this.length >= MIN_FRAME_LENGTH && this.scan()) {
+                // consume as many frames as possible
+            }
+            // Never wait for more than one frame
+            while (this.length > MAX_BUFFER_LENGTH) {
+                this.discard();
+            }
+        }
+    }
+
+    /**
+     * Moves the unscanned bytes to the start of the storage.
+     */
+    compact() {
+        this.data.copyWithin(0, this.start, this.end);
+        this.end -= this.start;
+        this.start = 0;
+    }
+
+    /**
+     * Tries to take one frame or one garbage byte from the start of the buffer.
+     *
+     * @returns {boolean} false if more data is needed
+     */
+    scan() {
+        const { data, start } = this;
+        const length = this.length;
+        if (!isValidHeader(data, start)) {
+            this.discard();
+            return true;
+        }
+
+        const responseLength = this.getResponseLength();
+        const complete = responseLength && length >= responseLength;
+        if (complete && validateCRC(data, responseLength, start)) {
+            this.takeResponse(responseLength);
+            return true;
+        }
+
+        const request = parseRequest(data, start, length);
+        if (request) {
+            this.start += REQUEST_LENGTH;
+            this.pendingRequest = request;
+            this.synced = true;
+            this.stats.frames++;
+            this.emit('request', request);
+            return true;
+        }
+
+        if (length < Math.max(REQUEST_LENGTH, responseLength)) {
+            return false; // wait for the rest of the frame
+        }
+        if (complete && this.synced) {
+            // Directly after a good frame this should have been the next one. While
+            // searching for the next frame start, random data fails the CRC all the time.
+            this.stats.crcErrors++;
+        }
+        this.discard();
+        return true;
+    }
+
+    /**
+     * Drops the first byte of the buffer while searching for the next frame start.
+     */
+    discard() {
+        this.start++;
+        this.synced = false;
+        this.stats.discardedBytes++;
+    }
+
+    /**
+     * Length of the response at the start of the buffer. If the master just asked
+     * this slave, the byte count has to match the request.
+     *
+     * @returns {number} frame length, 0 if the header contradicts the pending request
+     */
+    getResponseLength() {
+        const { data, start } = this;
+        const request = this.pendingRequest;
+        if (
+            request &&
+            !(data[start + 1] & 0x80) &&
+            request.slaveId === data[start] &&
+            request.functionCode === data[start + 1] &&
+            getResponseByteCount(request) !== data[start + 2]
+        ) {
+            return 0;
+        }
+        return getExpectedLength(data, start);
+    }
+
+    /**
+     * Emits the response at the start of the buffer and removes it.
+     *
+     * @param {number} length frame length
+     */
+    takeResponse(length) {
+        const frame = Buffer.from(this.data.subarray(this.start, this.start + length));
+        this.start += length;
+
+        const request = this.pendingRequest;
+        const matches = request !== null && request.slaveId === frame[0] && request.functionCode === (frame[1] & 0x7f);
+        this.pendingRequest = null;
+        this.synced = true;
+        this.stats.frames++;
+
+        const info = {
+            slaveId: frame[0],
+            functionCode: frame[1] & 0x7f,
+            register: matches ? request.register : null,
+            count: matches ? request.count : null,
+        };
+        this.emit(frame[1] & 0x80 ? 'exception' : 'response', frame, info);
+    }
+
+    /**
+     * Announces a request sent by the adapter itself, which is not necessarily
+     * echoed back by the RS485 adapter.
+     *
+     * @param {{slaveId: number, functionCode: number, register: number, count: number}} request sent request
+     */
+    expectResponse(request) {
+        this.pendingRequest = request;
+    }
+
+    /**
+     * Drops all buffered bytes, e.g. after a reconnect. The statistics are kept.
+     */
+    reset() {
+        this.start = 0;
+        this.end = 0;
+        this.pendingRequest = null;
+        this.synced = false;
+    }
+}
+
+module.exports = { FrameScanner };
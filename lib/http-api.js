@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Local HTTP endpoint with the decoded values: `/metrics` in the Prometheus
+ * text format and `/api/packs` as JSON snapshot.
+ */
+
+const { EventEmitter } = require('node:events');
+const http = require('node:http');
+
+const METRIC_PREFIX = 'seplos_';
+// Packs and bank of a bus with prefix are below it, e.g. bus1.bms_0.soc or bus1.bank.current
+const PACK_ID = /^(?:([^.]+)\.)?bms_(\d+)\.(.+)$/;
+const BANK_ID = /^(?:([^.]+)\.)?bank\.(.+)$/;
+// Cell and sensor numbers in a key become labels, e.g. cell_3_voltage -> cell_voltage{cell="3"}
+const POSITION_LABELS = [
+    { pattern: /(^|_)cell_temp_(\d+)(?=_|$)/, label: 'sensor', replacement: '$1cell_temp' },
+    { pattern: /(^|_)temp_(\d+)(?=_|$)/, label: 'sensor', replacement: '$1temp' },
+    { pattern: /(^|_)cell_(\d+)(?=_|$)/, label: 'cell', replacement: '$1cell' },
+];
+
+/**
+ * Latest values of all packs and of the bank, as computed for the states.
+ */
+class ValueSnapshot {
+    /**
+     * Creates an empty snapshot.
+     */
+    constructor() {
+        this.values = new Map(); // state id (bms_N.key, bank.key, with prefix of the bus) -> {value, unit, name}
+        this.lastSeen = new Map(); // pack folder -> {bus, pack, time} of the last frame
+    }
+
+    /**
+     * @param {Record<string, any>} updates `{value, unit, name}` keyed by state id, like the updates written to the states
+     */
+    update(updates) {
+        for (const [id, { value, unit, name }] of Object.entries(updates)) {
+            this.values.set(id, { value, unit, name });
+        }
+    }
+
+    /**
+     * @param {number} bmsIndex pack that sent a frame
+     * @param {number} now time of the frame in ms
+     * @param {string} [bus] prefix of the bus, empty without
+     */
+    seen(bmsIndex, now, bus = '') {
+        this.lastSeen.set(`${bus ? `${bus}.` : ''}bms_${bmsIndex}`, { bus, pack: bmsIndex, time: now });
+    }
+
+    /**
+     * @returns {{bus: string, pack: number, time: number}[]} all packs that sent frames, sorted by bus and index
+     */
+    packs() {
+        return [...this.lastSeen.values()].sort((a, b) => a.bus.localeCompare(b.bus) || a.pack - b.pack);
+    }
+
+    /**
+     * Forgets everything.
+     */
+    clear() {
+        this.values.clear();
+        this.lastSeen.clear();
+    }
+}
+
+/**
+ * @param {string} key state id below the pack or bank, e.g. `cell_alarms.cell_3_low_voltage`
+ * @returns {{name: string, labels: Record<string, string>}} metric name without prefix and position labels
+ */
+function metricName(key) {
+    let name = key.replace(/\./g, '_');
+    const labels = [];
+    for (const { pattern, label, replacement } of POSITION_LABELS) {
+        const match = name.match(pattern);
+        if (match) {
+            labels.push([label, match[2]]);
+            name = name.replace(pattern, replacement);
+        }
+    }
+    return { name: name.replace(/[^a-zA-Z0-9_]/g, '_').replace(/_+/g, '_'), labels: Object.fromEntries(labels) };
+}
+
+/**
+ * @param {Record<string, string>} labels label names and values
+ * @returns {string} `{name="value",...}` or an empty string
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * @param {string | undefined} bus prefix of the bus, empty or undefined without
+ * @param {Record<string, string>} labels further labels
+ * @returns {Record<string, string>} labels, with a `bus` label first if the bus has a prefix
+ */
+function withBus(bus, labels) {
+    return bus ? { bus, ...labels } : labels;
+}
+
+/**
+ * Renders all numeric and boolean values in the Prometheus text format. Pack
+ * values get a `pack` label (bms index), values of a bus with prefix a `bus`
+ * label, strings and missing values are left out.
+ *
+ * @param {ValueSnapshot} snapshot latest values
+ * @param {(bmsIndex: number, bus: string) => boolean} isOnline false if the pack did not send data for a while
+ * @returns {string} metrics
+ */
+function renderMetrics(snapshot, isOnline) {
+    const metrics = new Map(); // name -> {help, samples}
+    const add = (name, help, labels, value) => {
+        let metric = metrics.get(name);
+        if (!metric) {
+            metric = { help, samples: [] };
+            metrics.set(name, metric);
+        }
+        metric.samples.push(`${METRIC_PREFIX}${name}${formatLabels(labels)} ${value}`);
+    };
+
+    for (const { bus, pack, time } of snapshot.packs()) {
+        const labels = withBus(bus, { pack: String(pack) });
+        add('pack_online', 'Pack sends data', labels, isOnline(pack, bus) ? 1 : 0);
+        add('pack_last_seen_timestamp_seconds', 'Time of the last frame of the pack', labels, time / 1000);
+    }
+    for (const [id, { value, unit, name }] of snapshot.values) {
+        let numeric;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            numeric = value;
+        } else if (typeof value === 'boolean') {
+            numeric = value ? 1 : 0;
+        } else {
+            continue;
+        }
+        const pack = id.match(PACK_ID);
+        const bank = !pack && id.match(BANK_ID);
+        const metric = metricName(pack ? pack[3] : bank ? `bank.${bank[2]}` : id);
+        let labels = metric.labels;
+        if (pack) {
+            labels = withBus(pack[1], { pack: pack[2], ...metric.labels });
+        } else if (bank) {
+            labels = withBus(bank[1], metric.labels);
+        }
+        const help =
+            (name && !metric.labels.cell && !metric.labels.sensor ? name : metric.name.replace(/_/g, ' ')) +
+            (unit ? ` (${unit})` : '');
+        add(metric.name, help, labels, numeric);
+    }
+
+    const lines = [];
+    for (const [name, { help, samples }] of metrics) {
+        lines.push(`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} gauge`, ...samples);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Record<string, any>} target nested object
+ * @param {string} path dot separated key, e.g. `alarms.afe_fault`
+ * @param {any} value value to set
+ */
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop() || '';
+    let node = target;
+    for (const key of keys) {
+        node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+/**
+ * Builds the JSON snapshot of all packs and the bank, channels become nested
+ * objects. Packs of a bus with prefix get a `bus` key, the banks of such buses
+ * are in `banks` by prefix.
+ *
+ * @param {ValueSnapshot} snapshot latest values
+ * @param {(bmsIndex: number, bus: string) => boolean} isOnline false if the pack did not send data for a while
+ * @returns {{packs: Record<string, any>[], bank: Record<string, any>, banks?: Record<string, Record<string, any>>}} snapshot
+ */
+function buildPacksJson(snapshot, isOnline) {
+    const packs = new Map();
+    for (const { bus, pack, time } of snapshot.packs()) {
+        packs.set(`${bus}.${pack}`, {
+            ...(bus ? { bus } : {}),
+            pack,
+            online: isOnline(pack, bus),
+            last_seen: new Date(time).toISOString(),
+            values: {},
+        });
+    }
+    const bank = {};
+    const banks = new Map(); // prefix -> values
+    for (const [id, { value }] of snapshot.values) {
+        const pack = id.match(PACK_ID);
+        const bankId = !pack && id.match(BANK_ID);
+        if (pack) {
+            const entry = packs.get(`${pack[1] || ''}.${pack[2]}`);
+            if (entry) {
+                setPath(entry.values, pack[3], value);
+            }
+        } else if (bankId && bankId[1]) {
+            if (!banks.has(bankId[1])) {
+                banks.set(bankId[1], {});
+            }
+            setPath(banks.get(bankId[1]), bankId[2], value);
+        } else if (bankId) {
+            setPath(bank, bankId[2], value);
+        }
+    }
+    const result = { packs: [...packs.values()], bank };
+    return banks.size ? { ...result, banks: Object.fromEntries(banks) } : result;
+}
+
+/**
+ * HTTP server for `/metrics` and `/api/packs`, read-only.
+ *
+ * Events:
+ * - `error` (error) the server failed after it was started
+ */
+class HttpApiServer extends EventEmitter {
+    /**
+     * Creates a stopped server.
+     *
+     * @param {object} options options
+     * @param {ValueSnapshot} options.snapshot latest values
+     * @param {(bmsIndex: number, bus: string) => boolean} [options.isOnline] false if the pack did not send data for a while
+     */
+    constructor({ snapshot, isOnline = () => true }) {
+        super();
+        this.snapshot = snapshot;
+        this.isOnline = isOnline;
+        this.server = null;
+    }
+
+    /**
+     * Starts listening.
+     *
+     * @param {number} port TCP port
+     * @param {string} [host] address to bind to, all interfaces if empty
+     * @returns {Promise<void>} resolves when listening, rejects e.g. if the port is in use
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((request, response) => this.handle(request, response));
+            server.once('error', reject);
+            server.listen(port, host || undefined, () => {
+                server.off('error', reject);
+                server.on('error', error => this.emit('error', error));
+                this.server = server;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {number} port the server listens on, 0 if stopped
+     */
+    get port() {
+        const address = this.server?.address();
+        return typeof address === 'object' && address ? address.port : 0;
+    }
+
+    /**
+     * @param {http.IncomingMessage} request HTTP request
+     * @param {http.ServerResponse} response HTTP response
+     */
+    handle(request, response) {
+        const path = (request.url || '/').split('?')[0];
+        const send = (status, type, body) => {
+            response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            response.end(request.method === 'HEAD' ? undefined : body);
+        };
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.setHeader('Allow', 'GET, HEAD');
+            send(405, 'text/plain; charset=utf-8', 'Method not allowed\n');
+        } else if (path === '/metrics') {
+            send(200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics(this.snapshot, this.isOnline));
+        } else if (path === '/api/packs') {
+            send(200, 'application/json; charset=utf-8', JSON.stringify(buildPacksJson(this.snapshot, this.isOnline)));
+        } else {
+            send(404, 'text/plain; charset=utf-8', 'Not found, try /metrics or /api/packs\n');
+        }
+    }
+
+    /**
+     * Stops the server, open keep-alive connections are closed.
+     */
+    close() {
+        if (this.server) {
+            this.server.close();
+            this.server.closeAllConnections();
+            this.server = null;
+        }
+    }
+}
+
+module.exports = { ValueSnapshot, renderMetrics, buildPacksJson, HttpApiServer };
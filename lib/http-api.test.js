@@ -0,0 +1,110 @@
+'use strict';
+
+const { expect } = require('chai');
+const http = require('node:http');
+const { ValueSnapshot, renderMetrics, buildPacksJson, HttpApiServer } = require('./http-api');
+
+/**
+ * @param {number} port server port
+ * @param {string} path request path
+ * @returns {Promise<{status: number | undefined, body: string}>} response
+ */
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, response => {
+            let body = '';
+            response.on('data', chunk => (body += chunk));
+            response.on('end', () => resolve({ status: response.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('http-api', () => {
+    const snapshot = new ValueSnapshot();
+    snapshot.seen(1, 1700000000000);
+    snapshot.update({
+        'bms_1.soc': { value: 71.4, unit: '%' },
+        'bms_1.cell_3_voltage': { value: 3.301, unit: 'V' },
+        'bms_1.cell_temp_2': { value: null, unit: '°C' },
+        'bms_1.cell_alarms.cell_3_low_voltage': { value: true, name: 'Cell 3 Low Voltage Alarm' },
+        'bms_1.alarms.afe_fault': { value: false, name: 'AFE Fault' },
+        'bms_1.active_alarms': { value: '' },
+        'bank.current': { value: -10, unit: 'A' },
+    });
+
+    it('renders the values with pack and cell labels', () => {
+        const lines = renderMetrics(snapshot, () => true).split('\n');
+        expect(lines).to.include.members([
+            'seplos_pack_online{pack="1"} 1',
+            'seplos_pack_last_seen_timestamp_seconds{pack="1"} 1700000000',
+            '# HELP seplos_soc soc (%)',
+            '# TYPE seplos_soc gauge',
+            'seplos_soc{pack="1"} 71.4',
+            'seplos_cell_voltage{pack="1",cell="3"} 3.301',
+            'seplos_cell_alarms_cell_low_voltage{pack="1",cell="3"} 1',
+            'seplos_alarms_afe_fault{pack="1"} 0',
+            'seplos_bank_current -10',
+        ]);
+        expect(lines.join('\n')).not.to.match(/cell_temp|active_alarms/);
+    });
+
+    it('labels the packs and the bank of a bus with prefix', () => {
+        const buses = new ValueSnapshot();
+        buses.seen(0, 1700000000000);
+        buses.seen(0, 1700000000000, 'bus1');
+        buses.update({
+            'bms_0.soc': { value: 50, unit: '%' },
+            'bus1.bms_0.soc': { value: 60, unit: '%' },
+            'bus1.bank.current': { value: 5, unit: 'A' },
+        });
+        const isOnline = (bmsIndex, bus) => bus === 'bus1';
+        expect(renderMetrics(buses, isOnline).split('\n')).to.include.members([
+            'seplos_pack_online{pack="0"} 0',
+            'seplos_pack_online{bus="bus1",pack="0"} 1',
+            'seplos_soc{bus="bus1",pack="0"} 60',
+            'seplos_bank_current{bus="bus1"} 5',
+        ]);
+        expect(buildPacksJson(buses, isOnline)).to.deep.equal({
+            packs: [
+                { pack: 0, online: false, last_seen: '2023-11-14T22:13:20.000Z', values: { soc: 50 } },
+                { bus: 'bus1', pack: 0, online: true, last_seen: '2023-11-14T22:13:20.000Z', values: { soc: 60 } },
+            ],
+            bank: {},
+            banks: { bus1: { current: 5 } },
+        });
+    });
+
+    it('serves the metrics and the JSON snapshot', async () => {
+        const server = new HttpApiServer({ snapshot, isOnline: () => false });
+        await server.listen(0, '127.0.0.1');
+        try {
+            const metrics = await get(server.port, '/metrics');
+            const packs = await get(server.port, '/api/packs');
+            const missing = await get(server.port, '/');
+
+            expect(metrics.status).to.equal(200);
+            expect(metrics.body).to.contain('seplos_pack_online{pack="1"} 0');
+            expect(JSON.parse(packs.body)).to.deep.equal({
+                packs: [
+                    {
+                        pack: 1,
+                        online: false,
+                        last_seen: '2023-11-14T22:13:20.000Z',
+                        values: {
+                            soc: 71.4,
+                            cell_3_voltage: 3.301,
+                            cell_temp_2: null,
+                            cell_alarms: { cell_3_low_voltage: true },
+                            alarms: { afe_fault: false },
+                            active_alarms: '',
+                        },
+                    },
+                ],
+                bank: { current: -10 },
+            });
+            expect(missing.status).to.equal(404);
+        } finally {
+            server.close();
+        }
+    });
+});
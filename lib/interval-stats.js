@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Mean, minimum and maximum of all samples of a value within a time window.
+ */
+
+/**
+ * Aggregation modes selectable per value group: `last` writes the latest sample,
+ * `mean` the mean of the window, `mean_min_max` additionally `_min` and `_max`.
+ */
+const AGGREGATION_MODES = ['last', 'mean', 'mean_min_max'];
+
+// Enough for mean cell voltages (mV resolution)
+const DECIMALS = 4;
+
+/**
+ * Collects the samples of many values, each with its own window.
+ */
+class IntervalStats {
+    /**
+     * Creates empty statistics.
+     */
+    constructor() {
+        this.windows = new Map(); // key -> {start, count, sum, min, max}
+    }
+
+    /**
+     * Adds a sample. Once the window of the value is long enough, the statistics
+     * are returned with every sample until the window is closed, so samples of a
+     * result that was not written are not lost.
+     *
+     * @param {string} key value id
+     * @param {number | null} value sample, null (e.g. sensor not connected) is not counted
+     * @param {number} now sample time in ms
+     * @param {number} length window length in ms
+     * @returns {{mean: number | null, min: number | null, max: number | null, count: number} | null} statistics of the window, null while it is shorter than length
+     */
+    add(key, value, now, length) {
+        let window = this.windows.get(key);
+        if (!window) {
+            window = { start: now, count: 0, sum: 0, min: Infinity, max: -Infinity };
+            this.windows.set(key, window);
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            window.count++;
+            window.sum += value;
+            window.min = Math.min(window.min, value);
+            window.max = Math.max(window.max, value);
+        }
+        if (now - window.start < length) {
+            return null;
+        }
+
+        if (!window.count) {
+            return { mean: null, min: null, max: null, count: 0 };
+        }
+        const factor = 10 ** DECIMALS;
+        return {
+            mean: Math.round((window.sum / window.count) * factor) / factor,
+            min: window.min,
+            max: window.max,
+            count: window.count,
+        };
+    }
+
+    /**
+     * Closes the window of a value after its statistics were written, the next
+     * sample starts a new one.
+     *
+     * @param {string} key value id
+     */
+    close(key) {
+        this.windows.delete(key);
+    }
+
+    /**
+     * Drops all open windows.
+     */
+    clear() {
+        this.windows.clear();
+    }
+}
+
+module.exports = { AGGREGATION_MODES, IntervalStats };
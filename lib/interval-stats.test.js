@@ -0,0 +1,34 @@
+'use strict';
+
+const { expect } = require('chai');
+const { IntervalStats } = require('./interval-stats');
+
+describe('IntervalStats', () => {
+    it('returns mean, min and max when the window is over', () => {
+        const stats = new IntervalStats();
+        expect(stats.add('current', -10, 0, 1000)).to.equal(null);
+        expect(stats.add('current', 20, 200, 1000)).to.equal(null);
+        expect(stats.add('current', 5.5, 400, 1000)).to.equal(null);
+        expect(stats.add('current', -2, 1000, 1000)).to.deep.equal({ mean: 3.375, min: -10, max: 20, count: 4 });
+        // next window starts with the next sample after closing
+        stats.close('current');
+        expect(stats.add('current', 1, 1200, 1000)).to.equal(null);
+    });
+
+    it('keeps collecting until the window is closed', () => {
+        const stats = new IntervalStats();
+        stats.add('current', 10, 0, 1000);
+        expect(stats.add('current', 20, 1000, 1000)).to.deep.equal({ mean: 15, min: 10, max: 20, count: 2 });
+        // not written, e.g. within the deadband
+        expect(stats.add('current', -30, 1500, 1000)).to.deep.equal({ mean: 0, min: -30, max: 20, count: 3 });
+    });
+
+    it('skips missing samples', () => {
+        const stats = new IntervalStats();
+        stats.add('cell_temp_2', null, 0, 500);
+        expect(stats.add('cell_temp_2', null, 600, 500)).to.deep.equal({ mean: null, min: null, max: null, count: 0 });
+        stats.close('cell_temp_2');
+        stats.add('cell_temp_2', 20, 1000, 500);
+        expect(stats.add('cell_temp_2', null, 1500, 500)).to.include({ mean: 20, count: 1 });
+    });
+});
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Active polling for installations without a Seplos master, e.g. a single BMS.
+ * The adapter then sends the requests for the three register blocks itself,
+ * and from time to time reads the parameter block.
+ *
+ * Two masters on one RS485 bus destroy each other's frames, so the bus is
+ * watched for a while before the first request. If any traffic of another
+ * master shows up, before or while polling, the poller stops for good.
+ */
+
+const { EventEmitter } = require('node:events');
+const {
+    REGISTER_PACK,
+    REGISTER_CELLS,
+    REGISTER_ALARMS,
+    REGISTER_PARAMETERS,
+    PARAMETER_COUNT,
+    MIN_SLAVE_ID,
+    MAX_SLAVE_ID,
+    calculateModbusCRC,
+} = require('./seplos-decoder');
+
+/**
+ * Register blocks read from every slave, in the order the Seplos master uses.
+ */
+const POLL_BLOCKS = [
+    { functionCode: 0x04, register: REGISTER_PACK, count: 18 },
+    { functionCode: 0x04, register: REGISTER_CELLS, count: 26 },
+    { functionCode: 0x01, register: REGISTER_ALARMS, count: 144 },
+];
+
+/**
+ * Protection and configuration parameters, they rarely change and are read
+ * less often.
+ */
+const PARAMETER_BLOCK = { functionCode: 0x03, register: REGISTER_PARAMETERS, count: PARAMETER_COUNT };
+
+const DEFAULT_INTERVAL = 5000;
+const DEFAULT_PARAMETER_INTERVAL = 3600000;
+const DEFAULT_TIMEOUT = 1000;
+// A master polls several times per second, 3 s of silence means there is none
+const DEFAULT_LISTEN_TIME = 3000;
+// Gives the slave time to switch its transceiver back to receive
+const TURNAROUND_DELAY = 20;
+
+/**
+ * @param {number} slaveId Modbus address
+ * @param {number} functionCode 0x01 to 0x04
+ * @param {number} register first register
+ * @param {number} count number of registers or coils
+ * @returns {Buffer} Modbus RTU request with CRC
+ */
+function buildRequest(slaveId, functionCode, register, count) {
+    const frame = Buffer.from([slaveId, functionCode, register >> 8, register & 0xff, count >> 8, count & 0xff, 0, 0]);
+    frame.writeUInt16LE(calculateModbusCRC(frame, 0, 6), 6);
+    return frame;
+}
+
+/**
+ * Parses the list of slave ids to poll.
+ *
+ * @param {string | number} text e.g. `1`, `1,2,5` or `1-4`
+ * @returns {number[]} valid, sorted ids without duplicates
+ */
+function parseSlaveIds(text) {
+    const ids = new Set();
+    for (const part of String(text ?? '').split(/[,;\s]+/)) {
+        const [from, to = from] = part.split('-').map(value => parseInt(value));
+        for (let id = Math.max(from, MIN_SLAVE_ID); id <= Math.min(to, MAX_SLAVE_ID); id++) {
+            ids.add(id);
+        }
+    }
+    return [...ids].sort((a, b) => a - b);
+}
+
+/**
+ * Sends the requests one after the other and waits for each response.
+ *
+ * The caller feeds the bus traffic in with `handleRequest()` and
+ * `handleResponse()` (from the FrameScanner events).
+ *
+ * Events:
+ * - `state` (state) `listening`, `polling` or `stopped`
+ * - `request` (request) a request was sent `{slaveId, functionCode, register, count}`
+ * - `timeout` (request) the slave did not answer in time
+ * - `conflict` (error) another master was detected, polling has stopped
+ */
+class ModbusMaster extends EventEmitter {
+    /**
+     * Creates a stopped master.
+     *
+     * @param {object} options options
+     * @param {(frame: Buffer) => boolean} options.write sends bytes, returns false if not connected
+     * @param {number[]} options.slaveIds slaves to poll
+     * @param {number} [options.interval] time between the starts of two polling cycles in ms
+     * @param {number} [options.timeout] time to wait for a response in ms
+     * @param {number} [options.listenTime] time to watch the bus before the first request in ms
+     * @param {number} [options.parameterInterval] time between two reads of the parameter block in ms
+     * @param {{setTimeout: (callback: () => void, ms: number) => any, clearTimeout: (timer: any) => void}} [options.timers] timer functions, e.g. the adapter's
+     */
+    constructor({
+        write,
+        slaveIds,
+        interval = DEFAULT_INTERVAL,
+        timeout = DEFAULT_TIMEOUT,
+        listenTime = DEFAULT_LISTEN_TIME,
+        parameterInterval = DEFAULT_PARAMETER_INTERVAL,
+        timers,
+    }) {
+        super();
+        this.write = write;
+        this.slaveIds = slaveIds;
+        this.interval = interval;
+        this.timeout = timeout;
+        this.listenTime = listenTime;
+        this.parameterInterval = parameterInterval;
+        this.parametersRead = null; // start of the last cycle with the parameter block
+        this.timers = timers || {
+            setTimeout: (callback, ms) => setTimeout(callback, ms),
+            clearTimeout: timer => clearTimeout(timer),
+        };
+        this.state = 'stopped';
+        this.conflict = false; // another master was seen, never poll again
+        this.queue = [];
+        this.current = null; // request waiting for its response
+        this.cycleStart = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Watches the bus and starts polling if it stays silent. Called after every
+     * (re)connect.
+     */
+    start() {
+        if (this.conflict) {
+            return;
+        }
+        this.stop();
+        this.setState('listening');
+        this.schedule(() => this.startCycle(), this.listenTime);
+    }
+
+    /**
+     * Stops polling, e.g. when the connection is lost.
+     */
+    stop() {
+        this.clearTimer();
+        this.queue = [];
+        this.current = null;
+        if (this.state !== 'stopped') {
+            this.setState('stopped');
+        }
+    }
+
+    /**
+     * Called for every request seen on the bus. Our own requests may be echoed
+     * by the RS485 adapter, every other request comes from another master.
+     *
+     * @param {{slaveId: number, functionCode: number, register: number, count: number}} request parsed request
+     */
+    handleRequest(request) {
+        const current = this.current;
+        const own =
+            current !== null &&
+            current.slaveId === request.slaveId &&
+            current.functionCode === request.functionCode &&
+            current.register === request.register &&
+            current.count === request.count;
+        if (!own) {
+            this.detectConflict(`request to slave ${request.slaveId} (register 0x${request.register.toString(16)})`);
+        }
+    }
+
+    /**
+     * Called for every response or exception seen on the bus.
+     *
+     * @param {{slaveId: number, functionCode: number}} info sender and function of the response
+     */
+    handleResponse(info) {
+        if (this.state === 'listening') {
+            this.detectConflict(`response of slave ${info.slaveId}`);
+            return;
+        }
+        const current = this.current;
+        if (current && current.slaveId === info.slaveId && current.functionCode === info.functionCode) {
+            this.current = null;
+            this.schedule(() => this.sendNext(), TURNAROUND_DELAY);
+        }
+        // Late responses after a timeout are ignored
+    }
+
+    /**
+     * @param {string} evidence what was seen on the bus
+     */
+    detectConflict(evidence) {
+        if (this.state === 'stopped' || this.conflict) {
+            return;
+        }
+        this.conflict = true;
+        this.stop();
+        this.emit('conflict', new Error(`Another Modbus master is active on the bus (${evidence})`));
+    }
+
+    /**
+     * Queues one request per slave and register block.
+     */
+    startCycle() {
+        if (this.state !== 'polling') {
+            this.setState('polling');
+        }
+        this.cycleStart = Date.now();
+        const blocks = [...POLL_BLOCKS];
+        if (this.parametersRead === null || this.cycleStart - this.parametersRead >= this.parameterInterval) {
+            blocks.push(PARAMETER_BLOCK);
+            this.parametersRead = this.cycleStart;
+        }
+        this.queue = this.slaveIds.flatMap(slaveId => blocks.map(block => ({ slaveId, ...block })));
+        this.sendNext();
+    }
+
+    /**
+     * Sends the next request of the cycle or waits for the next cycle.
+     */
+    sendNext() {
+        const request = this.queue.shift();
+        if (!request) {
+            const wait = Math.max(TURNAROUND_DELAY, this.cycleStart + this.interval - Date.now());
+            this.schedule(() => this.startCycle(), wait);
+            return;
+        }
+        this.current = request;
+        const sent = this.write(buildRequest(request.slaveId, request.functionCode, request.register, request.count));
+        if (!sent) {
+            this.stop(); // not connected, started again after the reconnect
+            return;
+        }
+        this.emit('request', request);
+        this.schedule(() => {
+            this.current = null;
+            this.emit('timeout', request);
+            this.sendNext();
+        }, this.timeout);
+    }
+
+    /**
+     * Replaces the pending timer.
+     *
+     * @param {() => void} callback timer function
+     * @param {number} ms delay
+     */
+    schedule(callback, ms) {
+        this.clearTimer();
+        this.timer = this.timers.setTimeout(() => {
+            this.timer = null;
+            callback();
+        }, ms);
+    }
+
+    /**
+     * Cancels the pending timer.
+     */
+    clearTimer() {
+        if (this.timer) {
+            this.timers.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @param {string} state new state
+     */
+    setState(state) {
+        this.state = state;
+        this.emit('state', state);
+    }
+}
+
+module.exports = { POLL_BLOCKS, PARAMETER_BLOCK, buildRequest, parseSlaveIds, ModbusMaster };
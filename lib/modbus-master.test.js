@@ -0,0 +1,89 @@
+'use strict';
+
+const { expect } = require('chai');
+const { decodeFrame } = require('./seplos-decoder');
+const { FrameScanner } = require('./frame-scanner');
+const { ConnectionManager, openTcp } = require('./connection');
+const { buildRequest, parseSlaveIds, ModbusMaster } = require('./modbus-master');
+const { startSimulator } = require('../test/slave-simulator');
+
+describe('ModbusMaster', () => {
+    it('builds requests and parses the slave list', () => {
+        expect([...buildRequest(1, 0x04, 0x1000, 18)]).to.deep.equal([0x01, 0x04, 0x10, 0x00, 0x00, 0x12, 0x74, 0xc7]);
+        expect(parseSlaveIds('1, 3-5,3;0 17 x')).to.deep.equal([1, 3, 4, 5]);
+        expect(parseSlaveIds(2)).to.deep.equal([2]);
+    });
+
+    it('polls simulated slaves over TCP', async () => {
+        const server = await startSimulator([1, 2]);
+        const address = server.address();
+        const port = typeof address === 'object' && address ? address.port : 0;
+
+        const connection = new ConnectionManager({ open: () => openTcp('127.0.0.1', port) });
+        const master = new ModbusMaster({
+            write: data => connection.write(data),
+            slaveIds: [1, 2, 3],
+            listenTime: 50,
+            timeout: 100,
+        });
+        const scanner = new FrameScanner();
+        connection.on('data', data => scanner.push(data));
+        connection.on('state', ({ state }) => state === 'connected' && master.start());
+        master.on('request', request => scanner.expectResponse(request));
+        scanner.on('request', request => master.handleRequest(request));
+        const frames = [];
+        const timeouts = [];
+        master.on('timeout', request => timeouts.push(request.slaveId));
+        scanner.on('response', (frame, info) => {
+            master.handleResponse(info);
+            frames.push(decodeFrame(frame, info.register));
+        });
+
+        try {
+            await new Promise(resolve => {
+                master.on('timeout', () => timeouts.length === 4 && resolve(undefined));
+                connection.start();
+            });
+        } finally {
+            master.stop();
+            connection.stop();
+            await new Promise(resolve => server.close(() => resolve(undefined)));
+        }
+
+        expect(frames.map(frame => `${frame.slaveId}:${frame.type}`)).to.deep.equal([
+            '1:pack',
+            '1:cells',
+            '1:alarms',
+            '1:parameters',
+            '2:pack',
+            '2:cells',
+            '2:alarms',
+            '2:parameters',
+        ]);
+        expect(frames[0].data.soc).to.equal(71.4);
+        expect(frames[3].data.cell_ov_protection).to.equal(3.65);
+        expect(timeouts).to.deep.equal([3, 3, 3, 3]);
+    });
+
+    it('refuses to poll if another master is on the bus', () => {
+        const callbacks = [];
+        const written = [];
+        const master = new ModbusMaster({
+            write: data => written.push(data) > 0,
+            slaveIds: [1],
+            timers: { setTimeout: callback => callbacks.push(callback), clearTimeout: () => {} },
+        });
+        const conflicts = [];
+        master.on('conflict', error => conflicts.push(error.message));
+
+        master.start();
+        master.handleRequest({ slaveId: 2, functionCode: 0x04, register: 0x1000, count: 18 });
+        master.start(); // e.g. after a reconnect
+
+        expect(master.state).to.equal('stopped');
+        expect(written).to.have.length(0);
+        expect(conflicts).to.deep.equal([
+            'Another Modbus master is active on the bus (request to slave 2 (register 0x1000))',
+        ]);
+    });
+});
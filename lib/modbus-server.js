@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Modbus TCP server that answers with the data last seen on the RS485 bus.
+ *
+ * Every register and coil of every response is stored under the slave id and
+ * the address it was read from, so the original Seplos V3 register map is
+ * mirrored as is: unit id = slave id, 0x1000 pack, 0x1100 cells, 0x1200 alarm
+ * coils, 0x1300 parameters (if they were read on the bus).
+ */
+
+const { EventEmitter } = require('node:events');
+const net = require('node:net');
+
+const MBAP_LENGTH = 7; // transaction id (2), protocol id (2), length (2), unit id (1)
+const MAX_PDU_LENGTH = 253;
+
+const FUNCTION_READ_COILS = 0x01;
+const FUNCTION_READ_DISCRETE_INPUTS = 0x02;
+const FUNCTION_READ_HOLDING_REGISTERS = 0x03;
+const FUNCTION_READ_INPUT_REGISTERS = 0x04;
+
+const EXCEPTION_ILLEGAL_FUNCTION = 0x01;
+const EXCEPTION_ILLEGAL_DATA_ADDRESS = 0x02;
+const EXCEPTION_ILLEGAL_DATA_VALUE = 0x03;
+const EXCEPTION_TARGET_FAILED = 0x0b; // gateway target device failed to respond
+
+/**
+ * Registers and coils of all slaves, filled from the responses on the bus.
+ */
+class RegisterStore {
+    /**
+     * Creates an empty store.
+     */
+    constructor() {
+        this.units = new Map(); // slave id -> {registers: Map<address, value>, coils: Map<address, boolean>}
+    }
+
+    /**
+     * Stores the values of a response.
+     *
+     * @param {Buffer} frame complete response frame
+     * @param {number} register start address of the request
+     * @param {number | null} [count] number of registers or coils of the request, taken from the byte count if unknown
+     */
+    update(frame, register, count = null) {
+        const [slaveId, functionCode, byteCount] = frame;
+        let unit = this.units.get(slaveId);
+        if (!unit) {
+            unit = { registers: new Map(), coils: new Map() };
+            this.units.set(slaveId, unit);
+        }
+        if (functionCode === FUNCTION_READ_COILS || functionCode === FUNCTION_READ_DISCRETE_INPUTS) {
+            const bits = Math.min(count ?? byteCount * 8, byteCount * 8);
+            for (let i = 0; i < bits; i++) {
+                unit.coils.set(register + i, ((frame[3 + (i >> 3)] >> (i & 7)) & 1) === 1);
+            }
+        } else if (functionCode === FUNCTION_READ_HOLDING_REGISTERS || functionCode === FUNCTION_READ_INPUT_REGISTERS) {
+            for (let i = 0; i < byteCount / 2; i++) {
+                unit.registers.set(register + i, frame.readUInt16BE(3 + i * 2));
+            }
+        }
+    }
+
+    /**
+     * @param {number} slaveId unit id
+     * @returns {boolean} true if anything of the slave was seen
+     */
+    has(slaveId) {
+        return this.units.has(slaveId);
+    }
+
+    /**
+     * @param {number} slaveId unit id
+     * @param {number} address first register
+     * @param {number} count number of registers
+     * @returns {number[] | null} values, null if one of them was never seen
+     */
+    readRegisters(slaveId, address, count) {
+        return this.read(slaveId, 'registers', address, count);
+    }
+
+    /**
+     * @param {number} slaveId unit id
+     * @param {number} address first coil
+     * @param {number} count number of coils
+     * @returns {boolean[] | null} values, null if one of them was never seen
+     */
+    readCoils(slaveId, address, count) {
+        return this.read(slaveId, 'coils', address, count);
+    }
+
+    /**
+     * @param {number} slaveId unit id
+     * @param {'registers' | 'coils'} type table
+     * @param {number} address first address
+     * @param {number} count number of values
+     * @returns {any[] | null} values, null if one of them was never seen
+     */
+    read(slaveId, type, address, count) {
+        const table = this.units.get(slaveId)?.[type];
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const value = table?.get(address + i);
+            if (value === undefined) {
+                return null;
+            }
+            values.push(value);
+        }
+        return values;
+    }
+
+    /**
+     * Forgets everything, e.g. after a restart of the bus.
+     */
+    clear() {
+        this.units.clear();
+    }
+}
+
+/**
+ * Answers one request PDU from the store.
+ *
+ * @param {RegisterStore} store data seen on the bus
+ * @param {number} unitId addressed slave
+ * @param {Buffer} pdu function code and data
+ * @param {(unitId: number) => boolean} isAvailable false if the data of the slave is outdated
+ * @returns {Buffer} response PDU
+ */
+function handlePdu(store, unitId, pdu, isAvailable) {
+    const functionCode = pdu[0];
+    const exception = code => Buffer.from([functionCode | 0x80, code]);
+    const bitFunction = functionCode === FUNCTION_READ_COILS || functionCode === FUNCTION_READ_DISCRETE_INPUTS;
+    const registerFunction =
+        functionCode === FUNCTION_READ_HOLDING_REGISTERS || functionCode === FUNCTION_READ_INPUT_REGISTERS;
+    // Read-only: writing to the BMS is not possible through the sniffer
+    if (!bitFunction && !registerFunction) {
+        return exception(EXCEPTION_ILLEGAL_FUNCTION);
+    }
+    if (pdu.length < 5) {
+        return exception(EXCEPTION_ILLEGAL_DATA_VALUE);
+    }
+    const address = pdu.readUInt16BE(1);
+    const count = pdu.readUInt16BE(3);
+    if (count < 1 || count > (bitFunction ? 2000 : 125)) {
+        return exception(EXCEPTION_ILLEGAL_DATA_VALUE);
+    }
+    if (!store.has(unitId) || !isAvailable(unitId)) {
+        return exception(EXCEPTION_TARGET_FAILED);
+    }
+
+    if (bitFunction) {
+        const bits = store.readCoils(unitId, address, count);
+        if (!bits) {
+            return exception(EXCEPTION_ILLEGAL_DATA_ADDRESS);
+        }
+        const bytes = Buffer.alloc(Math.ceil(count / 8));
+        bits.forEach((bit, i) => {
+            if (bit) {
+                bytes[i >> 3] |= 1 << (i & 7);
+            }
+        });
+        return Buffer.concat([Buffer.from([functionCode, bytes.length]), bytes]);
+    }
+    const values = store.readRegisters(unitId, address, count);
+    if (!values) {
+        return exception(EXCEPTION_ILLEGAL_DATA_ADDRESS);
+    }
+    const response = Buffer.alloc(2 + count * 2);
+    response[0] = functionCode;
+    response[1] = count * 2;
+    values.forEach((value, i) => response.writeUInt16BE(value, 2 + i * 2));
+    return response;
+}
+
+/**
+ * Read-only Modbus TCP server on top of a RegisterStore. Holding and input
+ * registers return the same values, as do coils and discrete inputs.
+ *
+ * Events:
+ * - `error` (error) the server could not be started
+ * - `client` ({address, connected}) a client connected or disconnected
+ */
+class ModbusTcpServer extends EventEmitter {
+    /**
+     * Creates a stopped server.
+     *
+     * @param {object} options options
+     * @param {RegisterStore} options.store data seen on the bus
+     * @param {(unitId: number) => boolean} [options.isAvailable] false if the data of a slave is outdated, e.g. the pack is offline
+     */
+    constructor({ store, isAvailable = () => true }) {
+        super();
+        this.store = store;
+        this.isAvailable = isAvailable;
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    /**
+     * Starts listening.
+     *
+     * @param {number} port TCP port
+     * @param {string} [host] address to bind to, all interfaces if empty
+     * @returns {Promise<void>} resolves when listening, rejects e.g. if the port is in use
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer(socket => this.accept(socket));
+            server.once('error', reject);
+            server.listen(port, host || undefined, () => {
+                server.off('error', reject);
+                server.on('error', error => this.emit('error', error));
+                this.server = server;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {number} port the server listens on, 0 if stopped
+     */
+    get port() {
+        const address = this.server?.address();
+        return typeof address === 'object' && address ? address.port : 0;
+    }
+
+    /**
+     * @param {net.Socket} socket new client
+     */
+    accept(socket) {
+        const address = `${socket.remoteAddress}:${socket.remotePort}`;
+        this.sockets.add(socket);
+        this.emit('client', { address, connected: true });
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= MBAP_LENGTH) {
+                const length = buffer.readUInt16BE(4); // unit id and PDU
+                if (buffer.readUInt16BE(2) !== 0 || length < 2 || length > MAX_PDU_LENGTH + 1) {
+                    socket.destroy(); // not Modbus TCP
+                    return;
+                }
+                if (buffer.length < 6 + length) {
+                    break;
+                }
+                const unitId = buffer[6];
+                const pdu = handlePdu(this.store, unitId, buffer.subarray(7, 6 + length), this.isAvailable);
+                const header = Buffer.alloc(MBAP_LENGTH);
+                buffer.copy(header, 0, 0, 4); // transaction and protocol id
+                header.writeUInt16BE(pdu.length + 1, 4);
+                header[6] = unitId;
+                socket.write(Buffer.concat([header, pdu]));
+                buffer = buffer.subarray(6 + length);
+            }
+        });
+        socket.on('error', () => {}); // the client's problem, the socket closes
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.emit('client', { address, connected: false });
+        });
+    }
+
+    /**
+     * Closes the server and all client connections.
+     */
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        this.sockets.clear();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+module.exports = { RegisterStore, ModbusTcpServer, handlePdu };
@@ -0,0 +1,85 @@
+'use strict';
+
+const { expect } = require('chai');
+const net = require('node:net');
+const { calculateModbusCRC } = require('./seplos-decoder');
+const { RegisterStore, ModbusTcpServer, handlePdu } = require('./modbus-server');
+
+/**
+ * @param {number[]} body frame without CRC
+ * @returns {Buffer} frame with CRC
+ */
+function withCRC(body) {
+    const crc = calculateModbusCRC(body);
+    return Buffer.from([...body, crc & 0xff, crc >> 8]);
+}
+
+describe('ModbusTcpServer', () => {
+    const store = new RegisterStore();
+    // pack voltage 53.2 V and current -10 A of slave 2, alarm coils 0x1200-0x120f
+    store.update(withCRC([2, 0x04, 4, 0x14, 0xc8, 0xfc, 0x18]), 0x1000, 2);
+    store.update(withCRC([2, 0x01, 2, 0x05, 0x80]), 0x1200, 16);
+
+    it('answers from the registers and coils seen on the bus', () => {
+        const read = (unitId, ...pdu) => [...handlePdu(store, unitId, Buffer.from(pdu), () => true)];
+
+        expect(read(2, 0x04, 0x10, 0x00, 0x00, 0x02)).to.deep.equal([0x04, 4, 0x14, 0xc8, 0xfc, 0x18]);
+        expect(read(2, 0x03, 0x10, 0x01, 0x00, 0x01)).to.deep.equal([0x03, 2, 0xfc, 0x18]);
+        expect(read(2, 0x01, 0x12, 0x00, 0x00, 0x03)).to.deep.equal([0x01, 1, 0x05]);
+        expect(read(2, 0x02, 0x12, 0x0e, 0x00, 0x02)).to.deep.equal([0x02, 1, 0x02]);
+        // never seen, unknown slave, write
+        expect(read(2, 0x04, 0x10, 0x00, 0x00, 0x03)).to.deep.equal([0x84, 0x02]);
+        expect(read(1, 0x04, 0x10, 0x00, 0x00, 0x01)).to.deep.equal([0x84, 0x0b]);
+        expect(read(2, 0x06, 0x10, 0x00, 0x00, 0x01)).to.deep.equal([0x86, 0x01]);
+        // pack offline
+        expect([...handlePdu(store, 2, Buffer.from([0x04, 0x10, 0x00, 0x00, 0x01]), () => false)]).to.deep.equal([
+            0x84, 0x0b,
+        ]);
+    });
+
+    it('serves Modbus TCP clients', async () => {
+        const server = new ModbusTcpServer({ store });
+        await server.listen(0, '127.0.0.1');
+        const socket = net.connect(server.port, '127.0.0.1');
+        const response = await new Promise((resolve, reject) => {
+            socket.on('data', resolve);
+            socket.on('error', reject);
+            // one request split across two writes
+            socket.write(Buffer.from([0x00, 0x07, 0x00, 0x00, 0x00, 0x06, 0x02, 0x04, 0x10, 0x00]));
+            socket.write(Buffer.from([0x00, 0x01]));
+        });
+        socket.destroy();
+        server.close();
+
+        expect([...response]).to.deep.equal([0x00, 0x07, 0x00, 0x00, 0x00, 0x05, 0x02, 0x04, 0x02, 0x14, 0xc8]);
+    });
+
+    it('answers every request of a segment with several requests', async () => {
+        const server = new ModbusTcpServer({ store });
+        await server.listen(0, '127.0.0.1');
+        const socket = net.connect(server.port, '127.0.0.1');
+        const response = await new Promise((resolve, reject) => {
+            let received = Buffer.alloc(0);
+            socket.on('data', data => {
+                received = Buffer.concat([received, data]);
+                if (received.length >= 22) {
+                    resolve(received);
+                }
+            });
+            socket.on('error', reject);
+            socket.write(
+                Buffer.from([
+                    ...[0x00, 0x01, 0x00, 0x00, 0x00, 0x06, 0x02, 0x04, 0x10, 0x00, 0x00, 0x01],
+                    ...[0x00, 0x02, 0x00, 0x00, 0x00, 0x06, 0x02, 0x04, 0x10, 0x01, 0x00, 0x01],
+                ]),
+            );
+        });
+        socket.destroy();
+        server.close();
+
+        expect([...response]).to.deep.equal([
+            ...[0x00, 0x01, 0x00, 0x00, 0x00, 0x05, 0x02, 0x04, 0x02, 0x14, 0xc8],
+            ...[0x00, 0x02, 0x00, 0x00, 0x00, 0x05, 0x02, 0x04, 0x02, 0xfc, 0x18],
+        ]);
+    });
+});
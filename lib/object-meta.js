@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Names and value ranges of the objects below a pack (`bms_N`) or the bank.
+ * The names are keys of admin/i18n, `%s` is replaced by the cell or sensor
+ * number.
+ */
+
+const PERCENT = { min: 0, max: 100 };
+const CELL_VOLTAGE = { min: 0, max: 5 };
+const TEMPERATURE = { min: -50, max: 150 };
+const POSITIVE = { min: 0 };
+
+/**
+ * Names and ranges of the states with a fixed key.
+ */
+const STATES = {
+    pack_voltage: { name: 'state_pack_voltage', ...POSITIVE },
+    current: { name: 'state_current' },
+    power: { name: 'state_power' },
+    remaining_capacity: { name: 'state_remaining_capacity', ...POSITIVE },
+    total_capacity: { name: 'state_total_capacity', ...POSITIVE },
+    total_discharge_capacity: { name: 'state_total_discharge_capacity', ...POSITIVE },
+    soc: { name: 'state_soc', ...PERCENT },
+    soc_coulomb: { name: 'state_soc_coulomb', ...PERCENT },
+    soc_difference: { name: 'state_soc_difference', min: -100, max: 100 },
+    soc_coulomb_synced: { name: 'state_soc_coulomb_synced' },
+    soc_drift_warning: { name: 'state_soc_drift_warning' },
+    soh: { name: 'state_soh', ...PERCENT },
+    cycle_count: { name: 'state_cycle_count', ...POSITIVE },
+    average_cell_voltage: { name: 'state_average_cell_voltage', ...CELL_VOLTAGE },
+    max_cell_voltage: { name: 'state_max_cell_voltage', ...CELL_VOLTAGE },
+    min_cell_voltage: { name: 'state_min_cell_voltage', ...CELL_VOLTAGE },
+    delta_cell_voltage: { name: 'state_delta_cell_voltage', ...POSITIVE },
+    average_cell_temp: { name: 'state_average_cell_temp', ...TEMPERATURE },
+    max_cell_temp: { name: 'state_max_cell_temp', ...TEMPERATURE },
+    min_cell_temp: { name: 'state_min_cell_temp', ...TEMPERATURE },
+    maxdiscurt: { name: 'state_maxdiscurt', ...POSITIVE },
+    maxchgcurt: { name: 'state_maxchgcurt', ...POSITIVE },
+    case_temp: { name: 'state_case_temp', ...TEMPERATURE },
+    power_temp: { name: 'state_power_temp', ...TEMPERATURE },
+    system_status: { name: 'state_system_status' },
+    active_balancing_cells: { name: 'state_active_balancing_cells' },
+    cell_temperature_alarms: { name: 'state_cell_temperature_alarms' },
+    cell_voltage_alarms: { name: 'state_cell_voltage_alarms' },
+    FET_status: { name: 'state_fet_status' },
+    active_alarms: { name: 'state_active_alarms' },
+    active_protections: { name: 'state_active_protections' },
+    online: { name: 'state_online' },
+    last_seen: { name: 'state_last_seen' },
+    alarm_history: { name: 'state_alarm_history' },
+    weakest_cell: { name: 'state_weakest_cell', ...POSITIVE },
+    weakest_cell_reason: { name: 'state_weakest_cell_reason' },
+    'cell_health.data': { name: 'state_cell_health_data' },
+    // bank
+    max_cell_voltage_pack: { name: 'state_max_cell_voltage_pack', ...POSITIVE },
+    max_cell_voltage_cell: { name: 'state_max_cell_voltage_cell', ...POSITIVE },
+    min_cell_voltage_pack: { name: 'state_min_cell_voltage_pack', ...POSITIVE },
+    min_cell_voltage_cell: { name: 'state_min_cell_voltage_cell', ...POSITIVE },
+    max_cell_temp_pack: { name: 'state_max_cell_temp_pack', ...POSITIVE },
+    max_cell_temp_sensor: { name: 'state_max_cell_temp_sensor', ...POSITIVE },
+    min_cell_temp_pack: { name: 'state_min_cell_temp_pack', ...POSITIVE },
+    min_cell_temp_sensor: { name: 'state_min_cell_temp_sensor', ...POSITIVE },
+    packs_online: { name: 'state_packs_online', ...POSITIVE },
+    charge_voltage_limit: { name: 'state_charge_voltage_limit', ...POSITIVE },
+    charge_current_limit: { name: 'state_charge_current_limit', ...POSITIVE },
+    discharge_current_limit: { name: 'state_discharge_current_limit', ...POSITIVE },
+    charge_limit_reason: { name: 'state_charge_limit_reason' },
+    discharge_limit_reason: { name: 'state_discharge_limit_reason' },
+};
+
+/**
+ * States with a cell or sensor number in the key, the number is the argument of the name.
+ */
+const PATTERNS = [
+    { pattern: /^cell_(\d+)_voltage$/, name: 'state_cell_voltage', ...CELL_VOLTAGE },
+    { pattern: /^cell_temp_(\d+)$/, name: 'state_cell_temp', ...TEMPERATURE },
+    { pattern: /^cell_alarms\.cell_(\d+)_low_voltage$/, name: 'state_cell_low_voltage_alarm' },
+    { pattern: /^cell_alarms\.cell_(\d+)_high_voltage$/, name: 'state_cell_high_voltage_alarm' },
+    { pattern: /^cell_alarms\.temp_(\d+)_low$/, name: 'state_temp_low_alarm' },
+    { pattern: /^cell_alarms\.temp_(\d+)_high$/, name: 'state_temp_high_alarm' },
+    { pattern: /^balancing\.cell_(\d+)$/, name: 'state_cell_balancing' },
+    { pattern: /^cell_health\.cell_(\d+)_deviation_rest$/, name: 'state_cell_deviation_rest' },
+    { pattern: /^cell_health\.cell_(\d+)_deviation_load$/, name: 'state_cell_deviation_load' },
+    { pattern: /^cell_health\.cell_(\d+)_deviation_charge_end$/, name: 'state_cell_deviation_charge_end' },
+    { pattern: /^cell_health\.cell_(\d+)_deviation_discharge_end$/, name: 'state_cell_deviation_discharge_end' },
+    { pattern: /^cell_health\.cell_(\d+)_resistance$/, name: 'state_cell_resistance', ...POSITIVE },
+    { pattern: /^cell_health\.cell_(\d+)_trend$/, name: 'state_cell_trend' },
+    { pattern: /^cell_health\.cell_(\d+)_drifting$/, name: 'state_cell_drifting' },
+];
+
+/**
+ * Names of the channels below a pack or the bank.
+ */
+const CHANNELS = {
+    energy: 'channel_energy',
+    status: 'channel_status',
+    alarms: 'channel_alarms',
+    protections: 'channel_protections',
+    fet: 'channel_fet',
+    cell_alarms: 'channel_cell_alarms',
+    balancing: 'channel_balancing',
+    parameters: 'channel_parameters',
+    cell_health: 'channel_cell_health',
+};
+
+/**
+ * Looks up name and range of a state. The `_min` and `_max` states of the
+ * interval aggregation get the name of their value with a suffix.
+ *
+ * @param {string} key state id below the pack or bank, e.g. `cell_3_voltage` or `energy.charged_today`
+ * @returns {{name: string, args: number[], suffix: string, min?: number, max?: number} | null} i18n key of the name, its arguments and the range, null if unknown
+ */
+function describeState(key) {
+    const aggregate = key.match(/^(.+)_(min|max)$/);
+    if (aggregate && !STATES[key]) {
+        const base = describeState(aggregate[1]);
+        return base && { ...base, suffix: ` (${aggregate[2]})` };
+    }
+    if (STATES[key]) {
+        return { args: [], suffix: '', ...STATES[key] };
+    }
+    const energy = key.match(/^energy\.((?:charged|discharged)_(?:total|today|month|year))$/);
+    if (energy) {
+        return { name: `state_energy_${energy[1]}`, args: [], suffix: '', min: 0 };
+    }
+    for (const { pattern, ...meta } of PATTERNS) {
+        const match = key.match(pattern);
+        if (match) {
+            return { args: [Number(match[1])], suffix: '', ...meta };
+        }
+    }
+    return null;
+}
+
+module.exports = { CHANNELS, describeState };
@@ -0,0 +1,22 @@
+'use strict';
+
+const { expect } = require('chai');
+const { describeState } = require('./object-meta');
+
+describe('object-meta', () => {
+    it('describes fixed, numbered and aggregated states', () => {
+        expect(describeState('soc')).to.deep.equal({ name: 'state_soc', args: [], suffix: '', min: 0, max: 100 });
+        expect(describeState('cell_3_voltage')).to.deep.equal({
+            name: 'state_cell_voltage',
+            args: [3],
+            suffix: '',
+            min: 0,
+            max: 5,
+        });
+        expect(describeState('cell_alarms.temp_2_high')).to.include({ name: 'state_temp_high_alarm' });
+        expect(describeState('energy.charged_today')).to.include({ name: 'state_energy_charged_today', min: 0 });
+        expect(describeState('cell_temp_1_max')).to.include({ name: 'state_cell_temp', suffix: ' (max)' });
+        expect(describeState('max_cell_voltage')).to.include({ name: 'state_max_cell_voltage', suffix: '' });
+        expect(describeState('alarms.afe_fault')).to.equal(null);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Per-pack settings from the `packs` table of the instance configuration.
+ */
+
+/**
+ * Converts the rows of the table into settings per bms index. Rows without a
+ * valid index are ignored, a later row for the same pack wins.
+ *
+ * @param {Record<string, any>[] | undefined} rows table rows `{bus, pack, name, location, enabled, cells, temps}`
+ * @param {string} [prefix] prefix of the bus, only its rows are used
+ * @returns {Map<number, {cells: number, temps: number, name: string, location: string, enabled: boolean}>} settings per bms index, 0 cells or temps means auto-detect
+ */
+function parsePackConfig(rows, prefix = '') {
+    const config = new Map();
+    for (const row of Array.isArray(rows) ? rows : []) {
+        const index = Number(row && row.pack);
+        const bus = typeof row?.bus === 'string' ? row.bus.trim() : '';
+        if (!Number.isInteger(index) || index < 0 || bus !== prefix) {
+            continue;
+        }
+        config.set(index, {
+            cells: Math.max(0, Math.round(Number(row.cells) || 0)),
+            temps: Math.max(0, Math.round(Number(row.temps) || 0)),
+            name: typeof row.name === 'string' ? row.name.trim() : '',
+            location: typeof row.location === 'string' ? row.location.trim() : '',
+            enabled: row.enabled !== false,
+        });
+    }
+    return config;
+}
+
+module.exports = { parsePackConfig };
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Plausibility checks of decoded frames. A CRC collision or a misaligned frame
+ * on a noisy bus can pass the CRC check with values like a 0 V cell, such
+ * frames are rejected before they are published.
+ */
+
+const { CELL_COUNT } = require('./seplos-decoder');
+const { isValidTemp, detectLayout } = require('./cell-layout');
+
+const DEFAULTS = {
+    cellMin: 1.5, // V
+    cellMax: 4.5, // V
+    tempMin: -40, // °C
+    tempMax: 100, // °C
+    currentMax: 500, // A, charge and discharge
+    cellJump: 0.3, // V, largest change of a cell between two frames
+    tempJump: 15, // °C, largest change of a sensor between two frames
+    voltageTolerance: 3, // V, pack voltage against the sum of the cells
+    maxAge: 30000, // ms, older accepted frames are not compared with
+    confirmCount: 3, // the same finding in this many frames in a row is real, e.g. a failed sensor
+};
+
+// Margin for the rounding of the cell voltages in the 0x24 frame
+const CELL_ROUNDING = 0.005;
+
+/**
+ * Reads the limits from the instance configuration, e.g. `plausibility_cell_min`.
+ * Invalid values fall back to the defaults.
+ *
+ * @param {Record<string, any>} config adapter configuration
+ * @returns {typeof DEFAULTS} limits for the PlausibilityFilter
+ */
+function parsePlausibilitySettings(config) {
+    const number = (key, fallback) => {
+        const value = parseFloat(config[key]);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const settings = {
+        ...DEFAULTS,
+        cellMin: number('plausibility_cell_min', DEFAULTS.cellMin),
+        cellMax: number('plausibility_cell_max', DEFAULTS.cellMax),
+        tempMin: number('plausibility_temp_min', DEFAULTS.tempMin),
+        tempMax: number('plausibility_temp_max', DEFAULTS.tempMax),
+        currentMax: Math.abs(number('plausibility_current_max', DEFAULTS.currentMax)),
+        cellJump: Math.abs(number('plausibility_cell_jump', DEFAULTS.cellJump)),
+        tempJump: Math.abs(number('plausibility_temp_jump', DEFAULTS.tempJump)),
+        voltageTolerance: Math.abs(number('plausibility_voltage_tolerance', DEFAULTS.voltageTolerance)),
+    };
+    if (settings.cellMax <= settings.cellMin) {
+        ({ cellMin: settings.cellMin, cellMax: settings.cellMax } = DEFAULTS);
+    }
+    if (settings.tempMax <= settings.tempMin) {
+        ({ tempMin: settings.tempMin, tempMax: settings.tempMax } = DEFAULTS);
+    }
+    return settings;
+}
+
+/**
+ * @param {number} value value to format
+ * @returns {string} value with at most 3 decimal places
+ */
+function format(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Checks the 0x24 and 0x34 frames of every pack: ranges per field, jumps
+ * against the last accepted frame and the pack voltage against the sum of the
+ * cells. Other frame types are always plausible.
+ *
+ * A finding that repeats in `confirmCount` frames in a row is accepted, so a
+ * failed sensor or a real step does not block a pack forever.
+ */
+class PlausibilityFilter {
+    /**
+     * Creates a filter without history.
+     *
+     * @param {Partial<typeof DEFAULTS>} [options] limits, see DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.accepted = new Map(); // bms index -> {pack, cells} last accepted {data, time}
+        this.repeats = new Map(); // `type:bms index` -> finding key -> frames in a row
+        this.stats = { rejected: 0 };
+    }
+
+    /**
+     * Checks a decoded frame and remembers it if it is plausible.
+     *
+     * @param {number} bmsIndex index of the pack
+     * @param {{type: string, data: Record<string, any>}} frame decoded frame, cell frames with all 16 cells
+     * @param {number} now frame time in ms
+     * @param {{cells: number, temps: number}} [layout] used cells and sensors, detected from a cell frame if not known yet
+     * @returns {string | null} reason for the rejection, null if the frame is plausible
+     */
+    check(bmsIndex, { type, data }, now, layout) {
+        if (type !== 'pack' && type !== 'cells') {
+            return null;
+        }
+        const accepted = this.accepted.get(bmsIndex) || {};
+        const recent = key =>
+            accepted[key] && now - accepted[key].time <= this.options.maxAge ? accepted[key].data : null;
+        const findings =
+            type === 'pack'
+                ? this.checkPack(data, recent('pack'), recent('cells'), layout)
+                : this.checkCells(
+                      data,
+                      recent('cells'),
+                      recent('pack'),
+                      layout || detectLayout({ cells: data.cells, temps: data.temps }),
+                  );
+
+        // Only findings of every frame of this type since then count as repeated
+        const previous = this.repeats.get(`${type}:${bmsIndex}`) || new Map();
+        const repeats = new Map(findings.map(({ key }) => [key, (previous.get(key) || 0) + 1]));
+        this.repeats.set(`${type}:${bmsIndex}`, repeats);
+        const rejected = findings.filter(({ key }) => repeats.get(key) < this.options.confirmCount);
+        if (rejected.length) {
+            this.stats.rejected++;
+            return rejected.map(({ reason }) => reason).join(', ');
+        }
+        this.accepted.set(bmsIndex, { ...accepted, [type]: { data, time: now } });
+        return null;
+    }
+
+    /**
+     * @param {Record<string, number>} data decoded 0x24 frame
+     * @param {Record<string, number> | null} previous last accepted 0x24 frame, null if none recent
+     * @param {Record<string, any> | null} cells last accepted 0x34 frame, null if none recent
+     * @param {{cells: number, temps: number} | undefined} layout used cells and sensors
+     * @returns {{key: string, reason: string}[]} findings
+     */
+    checkPack(data, previous, cells, layout) {
+        const { cellMin, cellMax, tempMin, tempMax, currentMax, cellJump, voltageTolerance } = this.options;
+        const findings = [];
+        const outside = (key, min, max, unit) => {
+            if (!(data[key] >= min && data[key] <= max)) {
+                findings.push({ key, reason: `${key} ${format(data[key])} ${unit} out of range` });
+            }
+        };
+        const cellCount = layout && layout.cells ? layout.cells : CELL_COUNT;
+        outside('pack_voltage', layout && layout.cells ? cellMin * cellCount : 0.1, cellMax * cellCount, 'V');
+        outside('current', -currentMax, currentMax, 'A');
+        outside('soc', 0, 100, '%');
+        outside('soh', 0, 100, '%');
+        for (const key of ['average_cell_voltage', 'max_cell_voltage', 'min_cell_voltage']) {
+            outside(key, cellMin, cellMax, 'V');
+        }
+        for (const key of ['average_cell_temp', 'max_cell_temp', 'min_cell_temp']) {
+            outside(key, tempMin, tempMax, '°C');
+        }
+        if (
+            data.min_cell_voltage > data.average_cell_voltage + CELL_ROUNDING ||
+            data.average_cell_voltage > data.max_cell_voltage + CELL_ROUNDING
+        ) {
+            findings.push({ key: 'cell_order', reason: 'average cell voltage not between min and max' });
+        }
+        if (data.remaining_capacity > data.total_capacity * 1.05) {
+            findings.push({ key: 'capacity', reason: 'remaining capacity above total capacity' });
+        }
+        if (previous && Math.abs(data.pack_voltage - previous.pack_voltage) > cellJump * cellCount) {
+            findings.push({
+                key: 'pack_voltage_jump',
+                reason: `pack_voltage jumped from ${format(previous.pack_voltage)} to ${format(data.pack_voltage)} V`,
+            });
+        }
+        if (cells) {
+            findings.push(...this.crossCheck(data.pack_voltage, cells.cells, voltageTolerance));
+        }
+        return findings;
+    }
+
+    /**
+     * @param {Record<string, any>} data decoded 0x34 frame with all cells and sensors
+     * @param {Record<string, any> | null} previous last accepted 0x34 frame, null if none recent
+     * @param {Record<string, number> | null} pack last accepted 0x24 frame, null if none recent
+     * @param {{cells: number, temps: number}} layout used cells and sensors
+     * @returns {{key: string, reason: string}[]} findings
+     */
+    checkCells(data, previous, pack, layout) {
+        const { cellMin, cellMax, tempMin, tempMax, cellJump, tempJump, voltageTolerance } = this.options;
+        const findings = [];
+        const cells = data.cells.slice(0, layout.cells);
+        cells.forEach((voltage, i) => {
+            const key = `cell_${i + 1}`;
+            if (!(voltage >= cellMin && voltage <= cellMax)) {
+                findings.push({ key, reason: `${key} ${format(voltage)} V out of range` });
+            } else if (previous && Math.abs(voltage - previous.cells[i]) > cellJump) {
+                findings.push({
+                    key: `${key}_jump`,
+                    reason: `${key} jumped from ${format(previous.cells[i])} to ${format(voltage)} V`,
+                });
+            }
+        });
+        data.temps.slice(0, layout.temps).forEach((temp, i) => {
+            const key = `temp_${i + 1}`;
+            if (!isValidTemp(temp) && temp < 0) {
+                return; // open sensor (about -273 °C), not a transmission error
+            }
+            const before = previous ? previous.temps[i] : null;
+            if (!(temp >= tempMin && temp <= tempMax)) {
+                findings.push({ key, reason: `${key} ${format(temp)} °C out of range` });
+            } else if (typeof before === 'number' && isValidTemp(before) && Math.abs(temp - before) > tempJump) {
+                findings.push({
+                    key: `${key}_jump`,
+                    reason: `${key} jumped from ${format(before)} to ${format(temp)} °C`,
+                });
+            }
+        });
+        if (pack) {
+            findings.push(...this.crossCheck(pack.pack_voltage, cells, voltageTolerance));
+        }
+        return findings;
+    }
+
+    /**
+     * @param {number} packVoltage pack voltage in V
+     * @param {number[]} cells voltages of the used cells in V
+     * @param {number} tolerance largest allowed difference in V
+     * @returns {{key: string, reason: string}[]} finding if the pack voltage differs from the sum of the cells
+     */
+    crossCheck(packVoltage, cells, tolerance) {
+        const sum = cells.reduce((total, voltage) => total + voltage, 0);
+        if (!cells.length || Math.abs(packVoltage - sum) <= tolerance) {
+            return [];
+        }
+        return [
+            {
+                key: 'cell_sum',
+                reason: `pack voltage ${format(packVoltage)} V differs from the sum of the cells ${format(sum)} V`,
+            },
+        ];
+    }
+}
+
+module.exports = { parsePlausibilitySettings, PlausibilityFilter };
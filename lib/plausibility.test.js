@@ -0,0 +1,68 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parsePlausibilitySettings, PlausibilityFilter } = require('./plausibility');
+
+describe('plausibility', () => {
+    const layout = { cells: 4, temps: 2 };
+    const cells = (voltages = [3.3, 3.3, 3.3, 3.3], temps = [25, 26]) => ({
+        type: 'cells',
+        data: {
+            cells: [...voltages, ...new Array(12).fill(0)],
+            temps: [...temps, -273.1, -273.1, -273.1, -273.1, -273.1, -273.1],
+        },
+    });
+    const pack = values => ({
+        type: 'pack',
+        data: {
+            pack_voltage: 13.2,
+            current: -10,
+            remaining_capacity: 140,
+            total_capacity: 280,
+            soc: 50,
+            soh: 100,
+            average_cell_voltage: 3.3,
+            max_cell_voltage: 3.3,
+            min_cell_voltage: 3.3,
+            average_cell_temp: 25,
+            max_cell_temp: 26,
+            min_cell_temp: 25,
+            ...values,
+        },
+    });
+
+    it('rejects values out of range, jumps and a pack voltage off the cell sum', () => {
+        const filter = new PlausibilityFilter();
+        expect(filter.check(0, cells(), 0, layout)).to.equal(null);
+        expect(filter.check(0, pack(), 1000, layout)).to.equal(null);
+        expect(filter.check(0, { type: 'alarms', data: {} }, 1500, layout)).to.equal(null);
+
+        expect(filter.check(0, cells([3.3, 0, 3.3, 3.3]), 2000, layout)).to.equal(
+            'cell_2 0 V out of range, pack voltage 13.2 V differs from the sum of the cells 9.9 V',
+        );
+        expect(filter.check(0, cells([3.3, 3.3, 3.3, 3.3], [25, 600]), 3000, layout)).to.equal(
+            'temp_2 600 °C out of range',
+        );
+        expect(filter.check(0, cells([3.3, 3.3, 3.7, 3.3]), 4000, layout)).to.equal('cell_3 jumped from 3.3 to 3.7 V');
+        expect(filter.check(0, pack({ soc: 6553.5, min_cell_voltage: 3.4 }), 5000, layout)).to.equal(
+            'soc 6553.5 % out of range, average cell voltage not between min and max',
+        );
+        expect(filter.check(0, pack({ pack_voltage: 20 }), 6000, layout)).to.include('pack_voltage jumped');
+        expect(filter.stats.rejected).to.equal(5);
+        // Without a recent frame there is nothing to compare with
+        expect(filter.check(0, cells([3.3, 3.3, 3.7, 3.3]), 60000, layout)).to.equal(null);
+    });
+
+    it('accepts a finding that repeats, e.g. a failed sensor', () => {
+        const filter = new PlausibilityFilter(parsePlausibilitySettings({ plausibility_temp_max: '60' }));
+        expect(filter.check(1, cells([3.3, 3.3, 3.3, 3.3], [25, 70]), 0)).to.include('temp_2 70 °C');
+        expect(filter.check(1, pack(), 500)).to.equal(null);
+        expect(filter.check(1, cells([3.3, 3.3, 3.3, 3.3], [25, 70]), 1000)).to.include('temp_2 70 °C');
+        expect(filter.check(1, cells([3.3, 3.3, 3.3, 3.3], [25, 70]), 2000)).to.equal(null);
+        expect(filter.stats.rejected).to.equal(2);
+        expect(parsePlausibilitySettings({ plausibility_cell_min: 5, plausibility_cell_max: 4 })).to.include({
+            cellMin: 1.5,
+            cellMax: 4.5,
+        });
+    });
+});
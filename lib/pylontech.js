@@ -0,0 +1,547 @@
+'use strict';
+
+/**
+ * Emulation of a Pylontech battery (RS485 low voltage protocol) toward an
+ * inverter. The adapter answers the inverter's queries with the values of the
+ * whole bank, so the Seplos master does not have to talk to the inverter.
+ *
+ * A frame is ASCII: `~` VER ADR CID1 CID2 LENGTH INFO CHKSUM `\r`, every byte
+ * except SOI and EOI as two hex digits.
+ */
+
+const { EventEmitter } = require('node:events');
+const { aggregateBank } = require('./bank');
+const { calculateLimits } = require('./bank-limits');
+
+const SOI = '~';
+const EOI = '\r';
+const CID1_BATTERY = 0x46;
+// Longest frame kept while waiting for the EOI, the queries are far shorter
+const MAX_FRAME_LENGTH = 512;
+const KELVIN_OFFSET = 2731; // 0.1 K
+
+/**
+ * Commands (CID2) answered by the emulator.
+ */
+const COMMANDS = {
+    ANALOG_VALUES: 0x42,
+    ALARM_INFO: 0x44,
+    SYSTEM_PARAMETERS: 0x47,
+    PROTOCOL_VERSION: 0x4f,
+    MANUFACTURER_INFO: 0x51,
+    MANAGEMENT_INFO: 0x92,
+    SERIAL_NUMBER: 0x93,
+};
+
+/**
+ * Return codes (CID2 of a response).
+ */
+const RTN = {
+    NORMAL: 0x00,
+    CHECKSUM_ERROR: 0x02,
+    LENGTH_CHECKSUM_ERROR: 0x03,
+    INVALID_CID2: 0x04,
+    FORMAT_ERROR: 0x05,
+};
+
+/**
+ * Limits of the bank, taken from the parameter block of the packs (the most
+ * conservative value of all packs) or the defaults of a 16S LFP pack if no
+ * parameters were read yet.
+ */
+const LIMITS = [
+    { key: 'cell_high', parameter: 'cell_ov_alarm', pick: Math.min, fallback: 3.55 },
+    { key: 'cell_low', parameter: 'cell_uv_alarm', pick: Math.max, fallback: 2.9 },
+    { key: 'cell_under', parameter: 'cell_uv_protection', pick: Math.max, fallback: 2.7 },
+    { key: 'pack_high', parameter: 'pack_ov_alarm', pick: Math.min, fallback: 56.8 },
+    { key: 'pack_low', parameter: 'pack_uv_alarm', pick: Math.max, fallback: 46.4 },
+    { key: 'pack_under', parameter: 'pack_uv_protection', pick: Math.max, fallback: 43.2 },
+    { key: 'charge_high_temp', parameter: 'charge_high_temp_alarm', pick: Math.min, fallback: 50 },
+    { key: 'charge_low_temp', parameter: 'charge_low_temp_alarm', pick: Math.max, fallback: 2 },
+    { key: 'discharge_high_temp', parameter: 'discharge_high_temp_alarm', pick: Math.min, fallback: 55 },
+    { key: 'discharge_low_temp', parameter: 'discharge_low_temp_alarm', pick: Math.max, fallback: -15 },
+];
+
+/**
+ * @param {string} text characters between SOI and CHKSUM
+ * @returns {number} CHKSUM: two's complement of the sum of all character codes
+ */
+function checksum(text) {
+    let sum = 0;
+    for (let i = 0; i < text.length; i++) {
+        sum += text.charCodeAt(i);
+    }
+    return (~sum + 1) & 0xffff;
+}
+
+/**
+ * @param {number} infoLength number of INFO characters (LENID, 12 bit)
+ * @returns {number} LENGTH with LCHKSUM in the upper 4 bits
+ */
+function lengthField(infoLength) {
+    const sum = (infoLength & 0x0f) + ((infoLength >> 4) & 0x0f) + ((infoLength >> 8) & 0x0f);
+    return (((~sum + 1) & 0x0f) << 12) | (infoLength & 0x0fff);
+}
+
+/**
+ * @param {number} value byte
+ * @returns {string} two upper case hex digits
+ */
+function hex(value) {
+    return value.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Builds a frame.
+ *
+ * @param {{version: number, address: number, cid1: number, cid2: number, info?: Buffer}} frame header and data
+ * @returns {string} frame with SOI, LENGTH, CHKSUM and EOI
+ */
+function encodeFrame({ version, address, cid1, cid2, info = Buffer.alloc(0) }) {
+    const infoText = info.toString('hex').toUpperCase();
+    const length = lengthField(infoText.length).toString(16).toUpperCase().padStart(4, '0');
+    const body = `${hex(version)}${hex(address)}${hex(cid1)}${hex(cid2)}${length}${infoText}`;
+    return `${SOI}${body}${checksum(body).toString(16).toUpperCase().padStart(4, '0')}${EOI}`;
+}
+
+/**
+ * Parses a frame. The header is also returned for frames with errors, so the
+ * error can be answered.
+ *
+ * @param {string} text frame from SOI to CHKSUM, without EOI
+ * @returns {{version: number, address: number, cid1: number, cid2: number, info: Buffer, error: number} | null} frame, error is one of RTN, null if not even the header is readable
+ */
+function parseFrame(text) {
+    if (!/^~[0-9A-Fa-f]{16,}$/.test(text) || text.length % 2 !== 1) {
+        return null;
+    }
+    const body = text.slice(1, -4);
+    const byte = offset => parseInt(body.slice(offset, offset + 2), 16);
+    const frame = {
+        version: byte(0),
+        address: byte(2),
+        cid1: byte(4),
+        cid2: byte(6),
+        info: Buffer.alloc(0),
+        error: RTN.NORMAL,
+    };
+    const length = parseInt(body.slice(8, 12), 16);
+    if (checksum(body.toUpperCase()) !== parseInt(text.slice(-4), 16)) {
+        frame.error = RTN.CHECKSUM_ERROR;
+    } else if (lengthField(length & 0x0fff) !== length) {
+        frame.error = RTN.LENGTH_CHECKSUM_ERROR;
+    } else if ((length & 0x0fff) !== body.length - 12) {
+        frame.error = RTN.FORMAT_ERROR;
+    } else {
+        frame.info = Buffer.from(body.slice(12), 'hex');
+    }
+    return frame;
+}
+
+/**
+ * Combines the values per position (cell or sensor number) of all packs.
+ *
+ * @param {(number | null)[][]} lists values per pack, null for failed sensors
+ * @param {(a: number, b: number) => number} pick e.g. Math.min
+ * @returns {number[]} one value per position, positions without any value are left out
+ */
+function mergePositions(lists, pick) {
+    const result = [];
+    for (const values of lists) {
+        values.forEach((value, i) => {
+            if (typeof value === 'number') {
+                result[i] = result[i] === undefined ? value : pick(result[i], value);
+            }
+        });
+    }
+    return result.filter(value => value !== undefined);
+}
+
+/**
+ * @param {number[][]} lists positions (1-based) per pack
+ * @returns {Set<number>} positions set in any pack
+ */
+function mergeSets(lists) {
+    return new Set(lists.flat());
+}
+
+/**
+ * Builds the emulated battery from the latest data of all online packs: one
+ * module with the bank values. Cell N shows the lowest cell N of all packs,
+ * except that the highest cell of the bank is shown at its position, so the
+ * inverter sees the lowest and the highest cell. Temperature sensor N shows
+ * the highest value of all packs.
+ *
+ * Without limit settings the charge and discharge current limits are the sums
+ * of the BMS limits and the charge voltage is the pack high voltage alarm.
+ *
+ * @param {Iterable<[number, {pack?: Record<string, number>, cells?: {cells: number[], temps: (number | null)[], power_temp?: number}, alarms?: Record<string, any>, parameters?: Record<string, number>, lastSeen: number}]>} packs latest decoded data per bms index
+ * @param {number} now current time in ms
+ * @param {number} timeout a pack without frames for this long is offline
+ * @param {ReturnType<typeof import('./bank-limits').parseLimitSettings> | null} [limitSettings] settings of the bank limits, see calculateLimits()
+ * @returns {Record<string, any> | null} battery, null if no online pack sent its pack values
+ */
+function buildBattery(packs, now, timeout, limitSettings = null) {
+    const online = [...packs].filter(([, data]) => now - data.lastSeen <= timeout).map(([, data]) => data);
+    const withPack = online.flatMap(data => (data.pack ? [data.pack] : []));
+    if (!withPack.length) {
+        return null;
+    }
+    const bank = aggregateBank(packs, now, timeout);
+    const cellData = online.flatMap(data => (data.cells ? [data.cells] : []));
+    const alarms = online.flatMap(data => (data.alarms ? [data.alarms] : []));
+    const parameters = online.flatMap(data => (data.parameters ? [data.parameters] : []));
+    const sum = key => withPack.reduce((total, pack) => total + (pack[key] || 0), 0);
+
+    const cells = mergePositions(
+        cellData.map(data => data.cells),
+        Math.min,
+    );
+    if (
+        bank.max_cell_voltage !== null &&
+        bank.max_cell_voltage_cell !== null &&
+        bank.max_cell_voltage_cell !== bank.min_cell_voltage_cell
+    ) {
+        cells[bank.max_cell_voltage_cell - 1] = bank.max_cell_voltage;
+    }
+    const temps = mergePositions(
+        cellData.map(data => data.temps),
+        Math.max,
+    );
+    // The first temperature of a Pylontech module is the one of the BMS
+    const bmsTemps = cellData.map(data => data.power_temp).filter(temp => typeof temp === 'number');
+
+    const flags = {};
+    for (const { flags: packFlags } of alarms) {
+        for (const [key, value] of Object.entries(packFlags || {})) {
+            flags[key] = flags[key] || value;
+        }
+    }
+    const limits = {};
+    for (const { key, parameter, pick, fallback } of LIMITS) {
+        const values = parameters.map(data => data[parameter]).filter(value => typeof value === 'number');
+        limits[key] = values.length ? pick(...values) : fallback;
+    }
+    const bankLimits = limitSettings ? calculateLimits(packs, now, timeout, limitSettings) : null;
+
+    return {
+        voltage: sum('pack_voltage') / withPack.length, // parallel packs
+        current: bank.current,
+        soc: bank.soc,
+        soh: bank.soh,
+        remaining_capacity: bank.remaining_capacity,
+        total_capacity: bank.total_capacity,
+        cycle_count: Math.max(...withPack.map(pack => pack.cycle_count || 0)),
+        charge_voltage_limit: bankLimits?.charge_voltage_limit ?? limits.pack_high,
+        charge_current_limit: bankLimits ? bankLimits.charge_current_limit : sum('maxchgcurt'),
+        discharge_current_limit: bankLimits ? bankLimits.discharge_current_limit : sum('maxdiscurt'),
+        cells,
+        bms_temp: bmsTemps.length ? Math.max(...bmsTemps) : null,
+        temps,
+        flags,
+        cell_low_voltage: mergeSets(alarms.map(data => data.cell_low_voltage || [])),
+        cell_high_voltage: mergeSets(alarms.map(data => data.cell_high_voltage || [])),
+        cell_low_temp: mergeSets(alarms.map(data => data.cell_low_temp || [])),
+        cell_high_temp: mergeSets(alarms.map(data => data.cell_high_temp || [])),
+        limits,
+    };
+}
+
+/**
+ * Writes big endian integers, clamped to their range.
+ */
+class InfoWriter {
+    /**
+     * Creates an empty INFO field.
+     */
+    constructor() {
+        this.bytes = [];
+    }
+
+    /**
+     * @param {number} value unsigned value
+     * @param {number} size number of bytes
+     * @returns {InfoWriter} this
+     */
+    unsigned(value, size) {
+        const max = 2 ** (size * 8) - 1;
+        let rest = Math.min(max, Math.max(0, Math.round(value)));
+        const bytes = [];
+        for (let i = 0; i < size; i++) {
+            bytes.unshift(rest & 0xff);
+            rest = Math.floor(rest / 256);
+        }
+        this.bytes.push(...bytes);
+        return this;
+    }
+
+    /**
+     * @param {number} value signed 16 bit value
+     * @returns {InfoWriter} this
+     */
+    int16(value) {
+        const clamped = Math.min(0x7fff, Math.max(-0x8000, Math.round(value)));
+        return this.unsigned(clamped & 0xffff, 2);
+    }
+
+    /**
+     * @param {number} celsius temperature
+     * @returns {InfoWriter} this
+     */
+    temperature(celsius) {
+        return this.int16(celsius * 10 + KELVIN_OFFSET);
+    }
+
+    /**
+     * @param {string} text ASCII text, padded with spaces
+     * @param {number} size number of bytes
+     * @returns {InfoWriter} this
+     */
+    text(text, size) {
+        this.bytes.push(...Buffer.from(text.padEnd(size, ' ').slice(0, size), 'ascii'));
+        return this;
+    }
+
+    /**
+     * @returns {Buffer} INFO bytes
+     */
+    toBuffer() {
+        return Buffer.from(this.bytes);
+    }
+}
+
+/**
+ * @param {boolean[]} bits bit 0 first
+ * @returns {number} byte
+ */
+function bitsToByte(bits) {
+    return bits.reduce((byte, bit, i) => (bit ? byte | (1 << i) : byte), 0);
+}
+
+/**
+ * Builds the INFO of a response.
+ *
+ * @param {number} command CID2 of the request
+ * @param {number} commandValue pack address of the request
+ * @param {Record<string, any>} battery see buildBattery()
+ * @returns {Buffer} INFO
+ */
+function buildInfo(command, commandValue, battery) {
+    const info = new InfoWriter();
+    const { flags, limits } = battery;
+    const temps = battery.bms_temp === null ? battery.temps : [battery.bms_temp, ...battery.temps];
+    const sensorOffset = temps.length - battery.temps.length; // 1 if the BMS temperature comes first
+    switch (command) {
+        case COMMANDS.ANALOG_VALUES:
+            info.unsigned(0, 1).unsigned(commandValue, 1); // DATAFLAG, pack
+            info.unsigned(battery.cells.length, 1);
+            battery.cells.forEach(voltage => info.unsigned(voltage * 1000, 2));
+            info.unsigned(temps.length, 1);
+            temps.forEach(temp => info.temperature(temp));
+            info.int16(battery.current * 100).unsigned(battery.voltage * 1000, 2);
+            // Capacities above 65 Ah only fit into the 3 byte fields of user defined items 4
+            info.unsigned(battery.remaining_capacity * 1000, 2).unsigned(4, 1);
+            info.unsigned(battery.total_capacity * 1000, 2).unsigned(battery.cycle_count, 2);
+            info.unsigned(battery.remaining_capacity * 1000, 3).unsigned(battery.total_capacity * 1000, 3);
+            break;
+        case COMMANDS.ALARM_INFO: {
+            // 0 normal, 1 below the lower limit, 2 above the upper limit
+            const status = (low, high) => (low ? 1 : high ? 2 : 0);
+            info.unsigned(0, 1).unsigned(commandValue, 1);
+            info.unsigned(battery.cells.length, 1);
+            battery.cells.forEach((_, i) => {
+                info.unsigned(status(battery.cell_low_voltage.has(i + 1), battery.cell_high_voltage.has(i + 1)), 1);
+            });
+            info.unsigned(temps.length, 1);
+            temps.forEach((_, i) => {
+                if (i < sensorOffset) {
+                    info.unsigned(status(false, flags.high_power_temperature_alarm), 1);
+                } else {
+                    const sensor = i - sensorOffset + 1;
+                    info.unsigned(status(battery.cell_low_temp.has(sensor), battery.cell_high_temp.has(sensor)), 1);
+                }
+            });
+            info.unsigned(status(false, flags.charge_current_alarm || flags.charge_over_current_protection), 1);
+            info.unsigned(
+                status(
+                    flags.pack_low_voltage_alarm || flags.pack_under_voltage_protection,
+                    flags.pack_high_voltage_alarm || flags.pack_over_voltage_protection,
+                ),
+                1,
+            );
+            info.unsigned(status(false, flags.discharge_current_alarm || flags.discharge_over_current_protection), 1);
+            // Status 1 to 5
+            info.unsigned(
+                bitsToByte([
+                    flags.pack_over_voltage_protection || flags.cell_over_voltage_protection,
+                    flags.cell_under_voltage_protection,
+                    flags.charge_over_current_protection,
+                    false,
+                    flags.discharge_over_current_protection,
+                    flags.discharge_over_temperature_protection,
+                    flags.charge_high_temperature_protection,
+                    flags.pack_under_voltage_protection,
+                ]),
+                1,
+            );
+            info.unsigned(bitsToByte([false, flags.charge_fet_on, flags.discharge_fet_on, battery.current < 0]), 1);
+            info.unsigned(
+                bitsToByte([
+                    false,
+                    false,
+                    false,
+                    flags.full_charge,
+                    false,
+                    flags.heating_on,
+                    battery.current < 0,
+                    battery.current > 0,
+                ]),
+                1,
+            );
+            info.unsigned(0, 1).unsigned(0, 1);
+            break;
+        }
+        case COMMANDS.SYSTEM_PARAMETERS:
+            info.unsigned(0, 1);
+            info.unsigned(limits.cell_high * 1000, 2).unsigned(limits.cell_low * 1000, 2);
+            info.unsigned(limits.cell_under * 1000, 2);
+            info.temperature(limits.charge_high_temp).temperature(limits.charge_low_temp);
+            info.int16(battery.charge_current_limit * 100);
+            info.unsigned(limits.pack_high * 1000, 2).unsigned(limits.pack_low * 1000, 2);
+            info.unsigned(limits.pack_under * 1000, 2);
+            info.temperature(limits.discharge_high_temp).temperature(limits.discharge_low_temp);
+            info.int16(-battery.discharge_current_limit * 100);
+            break;
+        case COMMANDS.MANAGEMENT_INFO:
+            info.unsigned(commandValue, 1);
+            info.unsigned(battery.charge_voltage_limit * 1000, 2).unsigned(limits.pack_low * 1000, 2);
+            info.int16(battery.charge_current_limit * 10).int16(-battery.discharge_current_limit * 10);
+            // Charge enable (bit 7), discharge enable (bit 6)
+            info.unsigned(
+                (battery.charge_current_limit > 0 ? 0x80 : 0) | (battery.discharge_current_limit > 0 ? 0x40 : 0),
+                1,
+            );
+            break;
+        case COMMANDS.SERIAL_NUMBER:
+            info.unsigned(commandValue, 1).text('SEPLOS-V3-BANK', 16);
+            break;
+    }
+    return info.toBuffer();
+}
+
+/**
+ * Answers one query.
+ *
+ * @param {ReturnType<typeof parseFrame>} request parsed query
+ * @param {number} address address of the emulated battery
+ * @param {Record<string, any> | null} battery see buildBattery(), null if no data is available
+ * @returns {string | null} response frame, null if the query is not for us or there is no data to answer with
+ */
+function respond(request, address, battery) {
+    if (!request || request.address !== address) {
+        return null;
+    }
+    const reply = (cid2, info) => encodeFrame({ version: request.version, address, cid1: CID1_BATTERY, cid2, info });
+    if (request.error !== RTN.NORMAL) {
+        return reply(request.error);
+    }
+    if (request.cid1 !== CID1_BATTERY) {
+        return reply(RTN.FORMAT_ERROR);
+    }
+    switch (request.cid2) {
+        case COMMANDS.PROTOCOL_VERSION:
+            return reply(RTN.NORMAL);
+        case COMMANDS.MANUFACTURER_INFO:
+            // Some inverters only accept batteries of this manufacturer
+            return reply(
+                RTN.NORMAL,
+                new InfoWriter().text('SEPLOS V3', 10).unsigned(0x0100, 2).text('PYLON', 20).toBuffer(),
+            );
+        case COMMANDS.ANALOG_VALUES:
+        case COMMANDS.ALARM_INFO:
+        case COMMANDS.SYSTEM_PARAMETERS:
+        case COMMANDS.MANAGEMENT_INFO:
+        case COMMANDS.SERIAL_NUMBER: {
+            // The command value selects the pack, 0xff means all
+            const commandValue = request.info.length ? request.info[0] : address;
+            if (commandValue !== address && commandValue !== 0xff) {
+                return null;
+            }
+            // Without current data the inverter shall see the battery as missing
+            return battery ? reply(RTN.NORMAL, buildInfo(request.cid2, address, battery)) : null;
+        }
+        default:
+            return reply(RTN.INVALID_CID2);
+    }
+}
+
+/**
+ * Finds the queries in the byte stream from the inverter and answers them.
+ *
+ * Events:
+ * - `request` (request) a query was received, see parseFrame()
+ * - `response` (data) bytes to send to the inverter
+ */
+class PylontechEmulator extends EventEmitter {
+    /**
+     * Creates an emulator.
+     *
+     * @param {object} options options
+     * @param {number} [options.address] address of the emulated battery, 2 like the master of a Pylontech stack
+     * @param {() => Record<string, any> | null} options.getBattery returns the current battery, see buildBattery()
+     */
+    constructor({ address = 2, getBattery }) {
+        super();
+        this.address = address;
+        this.getBattery = getBattery;
+        this.buffer = '';
+    }
+
+    /**
+     * @param {Buffer} data bytes from the inverter
+     */
+    push(data) {
+        this.buffer += data.toString('latin1');
+        for (;;) {
+            const start = this.buffer.indexOf(SOI);
+            if (start < 0) {
+                this.buffer = '';
+                return;
+            }
+            const end = this.buffer.indexOf(EOI, start);
+            if (end < 0) {
+                // Incomplete, keep it unless it is garbage
+                this.buffer = this.buffer.length - start > MAX_FRAME_LENGTH ? '' : this.buffer.slice(start);
+                return;
+            }
+            const request = parseFrame(this.buffer.slice(start, end));
+            this.buffer = this.buffer.slice(end + 1);
+            if (!request) {
+                continue;
+            }
+            this.emit('request', request);
+            const response = respond(request, this.address, this.getBattery());
+            if (response) {
+                this.emit('response', Buffer.from(response, 'latin1'));
+            }
+        }
+    }
+
+    /**
+     * Drops a partly received query, e.g. after a reconnect.
+     */
+    reset() {
+        this.buffer = '';
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    RTN,
+    checksum,
+    encodeFrame,
+    parseFrame,
+    buildBattery,
+    respond,
+    PylontechEmulator,
+};
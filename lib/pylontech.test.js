@@ -0,0 +1,106 @@
+'use strict';
+
+const { expect } = require('chai');
+const { COMMANDS, RTN, encodeFrame, parseFrame, buildBattery, PylontechEmulator } = require('./pylontech');
+const { DEFAULT_SETTINGS } = require('./bank-limits');
+
+describe('pylontech', () => {
+    const now = 100000;
+    const pack = (voltage, current, soc) => ({
+        pack_voltage: voltage,
+        current,
+        soc,
+        soh: 100,
+        remaining_capacity: (280 * soc) / 100,
+        total_capacity: 280,
+        cycle_count: 12,
+        maxchgcurt: 140,
+        maxdiscurt: 150,
+    });
+    const packs = new Map([
+        [
+            0,
+            {
+                pack: pack(53.2, -10, 50),
+                cells: { cells: [3.3, 3.31, 3.29], temps: [20, 22], power_temp: 30 },
+                alarms: { flags: { charge_fet_on: true }, cell_low_voltage: [], cell_high_voltage: [2] },
+                lastSeen: now,
+            },
+        ],
+        [
+            1,
+            {
+                pack: pack(53.4, -6, 60),
+                cells: { cells: [3.32, 3.28, 3.3], temps: [19, 25], power_temp: 31 },
+                alarms: { flags: { discharge_fet_on: true }, cell_low_voltage: [], cell_high_voltage: [] },
+                parameters: { pack_ov_alarm: 56, pack_uv_alarm: 48 },
+                lastSeen: now,
+            },
+        ],
+    ]);
+
+    /**
+     * @param {number} cid2 command
+     * @param {number[]} info INFO bytes
+     * @returns {Record<string, any> | null} parsed response
+     */
+    function query(cid2, info = [2]) {
+        const emulator = new PylontechEmulator({ address: 2, getBattery: () => buildBattery(packs, now, 10000) });
+        let response = null;
+        emulator.on('response', data => (response = parseFrame(data.toString('latin1').slice(0, -1))));
+        emulator.push(
+            Buffer.from(encodeFrame({ version: 0x20, address: 2, cid1: 0x46, cid2, info: Buffer.from(info) })),
+        );
+        return response;
+    }
+
+    it('encodes frames with LENGTH and CHKSUM', () => {
+        const request = '~20024642E00202FD33\r';
+        expect(encodeFrame({ version: 0x20, address: 2, cid1: 0x46, cid2: 0x42, info: Buffer.from([2]) })).to.equal(
+            request,
+        );
+        expect(parseFrame(request.slice(0, -1))).to.deep.include({ address: 2, cid2: 0x42, error: RTN.NORMAL });
+        expect(parseFrame('~20024642E00202FD34')?.error).to.equal(RTN.CHECKSUM_ERROR);
+    });
+
+    it('answers the analog values with the bank values', () => {
+        const { cid2, info } = query(COMMANDS.ANALOG_VALUES) || {};
+        expect(cid2).to.equal(RTN.NORMAL);
+        // lowest cell per position, the highest cell of the bank at its position
+        expect([info[2], info.readUInt16BE(3), info.readUInt16BE(5), info.readUInt16BE(7)]).to.deep.equal([
+            3, 3320, 3280, 3290,
+        ]);
+        // BMS and two sensors in 0.1 K
+        expect([info[9], info.readUInt16BE(10), info.readUInt16BE(14)]).to.deep.equal([3, 3041, 2981]);
+        expect(info.readInt16BE(16)).to.equal(-1600); // 10 mA
+        expect(info.readUInt16BE(18)).to.equal(53300); // mV
+        expect(info.readUIntBE(27, 3)).to.equal(308000); // remaining mAh
+        expect(info.readUIntBE(30, 3)).to.equal(560000); // total mAh
+    });
+
+    it('answers the charge and discharge limits and the alarm status', () => {
+        const management = query(COMMANDS.MANAGEMENT_INFO)?.info;
+        expect([...management.subarray(0, 5)]).to.deep.equal([2, 0xda, 0xc0, 0xbb, 0x80]); // 56 V, 48 V
+        expect([management.readInt16BE(5), management.readInt16BE(7), management[9]]).to.deep.equal([
+            2800, -3000, 0xc0,
+        ]);
+
+        const alarms = query(COMMANDS.ALARM_INFO)?.info;
+        expect([...alarms.subarray(2, 6)]).to.deep.equal([3, 0, 2, 0]); // cell 2 high
+        expect(alarms[alarms.length - 4]).to.equal(0x0e); // charge and discharge FET, discharging
+
+        // With the bank limits instead of the sums of the BMS limits
+        const derating = [{ temp: 25, charge: 50, discharge: 100 }];
+        expect(buildBattery(packs, now, 10000, { ...DEFAULT_SETTINGS, derating })).to.include({
+            charge_voltage_limit: 10.35,
+            charge_current_limit: 140,
+            discharge_current_limit: 300,
+        });
+    });
+
+    it('ignores other addresses and stays silent without data', () => {
+        expect(query(COMMANDS.ANALOG_VALUES, [3])).to.equal(null);
+        expect(query(0x99)?.cid2).to.equal(RTN.INVALID_CID2);
+        expect(buildBattery(packs, now + 20000, 10000)).to.equal(null);
+    });
+});
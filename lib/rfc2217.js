@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Telnet with the COM port control option (RFC 2217), as spoken by ser2net in
+ * telnet mode and many RS485 gateways. The serial line settings are sent to the
+ * server, the received bytes are freed from the telnet commands.
+ */
+
+const { EventEmitter } = require('node:events');
+
+const IAC = 0xff;
+const DONT = 0xfe;
+const DO = 0xfd;
+const WONT = 0xfc;
+const WILL = 0xfb;
+const SB = 0xfa;
+const SE = 0xf0;
+
+const OPTION_BINARY = 0;
+const OPTION_SUPPRESS_GO_AHEAD = 3;
+const OPTION_COM_PORT = 44;
+
+const SET_BAUDRATE = 1;
+const SET_DATASIZE = 2;
+const SET_PARITY = 3;
+const SET_STOPSIZE = 4;
+
+const PARITY_CODES = { none: 1, odd: 2, even: 3, mark: 4, space: 5 };
+const STOPSIZE_CODES = { 1: 1, 2: 2, 1.5: 3 };
+
+// Options the server may enable on both sides, everything else is refused
+const ACCEPTED_OPTIONS = [OPTION_BINARY, OPTION_SUPPRESS_GO_AHEAD];
+
+/**
+ * Builds the subnegotiations that configure the serial line of the server.
+ *
+ * @param {{baudRate: number, dataBits: number, parity: string, stopBits: number}} settings line settings
+ * @returns {Buffer} IAC SB COM-PORT-OPTION ... IAC SE for baud rate, data size, parity and stop size
+ */
+function buildComPortCommands({ baudRate, dataBits, parity, stopBits }) {
+    const baud = [(baudRate >>> 24) & 0xff, (baudRate >>> 16) & 0xff, (baudRate >>> 8) & 0xff, baudRate & 0xff];
+    const commands = [
+        [SET_BAUDRATE, ...baud],
+        [SET_DATASIZE, dataBits],
+        [SET_PARITY, PARITY_CODES[parity] || PARITY_CODES.none],
+        [SET_STOPSIZE, STOPSIZE_CODES[stopBits] || STOPSIZE_CODES[1]],
+    ];
+    return Buffer.from(
+        commands.flatMap(([command, ...value]) => [
+            IAC,
+            SB,
+            OPTION_COM_PORT,
+            command,
+            ...value.flatMap(byte => (byte === IAC ? [IAC, IAC] : [byte])),
+            IAC,
+            SE,
+        ]),
+    );
+}
+
+/**
+ * Splits a telnet byte stream into data and commands. Works across chunk
+ * borders, a command may be split between two chunks.
+ */
+class TelnetParser {
+    /**
+     * Creates a parser expecting data.
+     */
+    constructor() {
+        this.state = 'data'; // data, iac, option, sb, sb-iac
+        this.command = 0; // DO, DONT, WILL or WONT while waiting for the option
+    }
+
+    /**
+     * @param {Buffer} chunk received bytes
+     * @returns {{data: Buffer, commands: {command: number, option: number}[]}} payload and negotiations of the chunk
+     */
+    parse(chunk) {
+        const data = Buffer.alloc(chunk.length);
+        let length = 0;
+        const commands = [];
+        for (const byte of chunk) {
+            switch (this.state) {
+                case 'data':
+                    if (byte === IAC) {
+                        this.state = 'iac';
+                    } else {
+                        data[length++] = byte;
+                    }
+                    break;
+                case 'iac':
+                    if (byte === IAC) {
+                        data[length++] = IAC; // escaped 0xff
+                        this.state = 'data';
+                    } else if (byte >= WILL && byte <= DONT) {
+                        this.command = byte;
+                        this.state = 'option';
+                    } else {
+                        // Subnegotiations (e.g. the confirmed COM port settings) are skipped
+                        this.state = byte === SB ? 'sb' : 'data';
+                    }
+                    break;
+                case 'option':
+                    commands.push({ command: this.command, option: byte });
+                    this.state = 'data';
+                    break;
+                case 'sb':
+                    if (byte === IAC) {
+                        this.state = 'sb-iac';
+                    }
+                    break;
+                case 'sb-iac':
+                    this.state = byte === SE ? 'data' : 'sb';
+                    break;
+            }
+        }
+        return { data: data.subarray(0, length), commands };
+    }
+}
+
+/**
+ * Byte stream over an RFC 2217 connection. Emits `data`, `error` and `close`
+ * and can be written like a socket.
+ */
+class Rfc2217Stream extends EventEmitter {
+    /**
+     * Negotiates binary mode and the COM port option on a connected socket.
+     *
+     * @param {import('node:net').Socket} socket connected socket
+     * @param {{baudRate: number, dataBits: number, parity: string, stopBits: number}} settings line settings
+     */
+    constructor(socket, settings) {
+        super();
+        this.socket = socket;
+        this.settings = settings;
+        this.parser = new TelnetParser();
+        this.comPort = false; // server accepted the COM port option
+        // Answers of the server to our own requests need no reply
+        this.answered = new Set([`${DO}:${OPTION_BINARY}`, `${WILL}:${OPTION_BINARY}`]);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => this.emit('close'));
+        socket.write(Buffer.from([IAC, WILL, OPTION_COM_PORT, IAC, WILL, OPTION_BINARY, IAC, DO, OPTION_BINARY]));
+    }
+
+    /**
+     * @param {Buffer} chunk bytes from the server
+     */
+    receive(chunk) {
+        const { data, commands } = this.parser.parse(chunk);
+        for (const { command, option } of commands) {
+            this.negotiate(command, option);
+        }
+        if (data.length) {
+            this.emit('data', data);
+        }
+    }
+
+    /**
+     * Answers an option request of the server.
+     *
+     * @param {number} command DO, DONT, WILL or WONT
+     * @param {number} option telnet option
+     */
+    negotiate(command, option) {
+        if (option === OPTION_COM_PORT) {
+            // Without the option the server keeps its own line settings
+            if (command === DO && !this.comPort) {
+                this.comPort = true;
+                this.socket.write(buildComPortCommands(this.settings));
+            }
+            return;
+        }
+        if (command !== DO && command !== WILL) {
+            return;
+        }
+        const key = `${command}:${option}`;
+        if (this.answered.has(key)) {
+            return;
+        }
+        this.answered.add(key);
+        if (ACCEPTED_OPTIONS.includes(option)) {
+            this.socket.write(Buffer.from([IAC, command === DO ? WILL : DO, option]));
+        } else {
+            this.socket.write(Buffer.from([IAC, command === DO ? WONT : DONT, option]));
+        }
+    }
+
+    /**
+     * Sends bytes to the serial line, 0xff is escaped.
+     *
+     * @param {Buffer} data bytes to send
+     */
+    write(data) {
+        this.socket.write(Buffer.from([...data].flatMap(byte => (byte === IAC ? [IAC, IAC] : [byte]))));
+    }
+
+    /**
+     * Closes the connection.
+     */
+    destroy() {
+        this.socket.destroy();
+    }
+}
+
+module.exports = { buildComPortCommands, TelnetParser, Rfc2217Stream };
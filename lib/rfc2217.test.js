@@ -0,0 +1,28 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildComPortCommands, TelnetParser } = require('./rfc2217');
+
+describe('RFC 2217', () => {
+    it('encodes the line settings as COM port subnegotiations', () => {
+        const commands = buildComPortCommands({ baudRate: 19200, dataBits: 8, parity: 'even', stopBits: 1 });
+        expect([...commands]).to.deep.equal([
+            ...[0xff, 0xfa, 44, 1, 0x00, 0x00, 0x4b, 0x00, 0xff, 0xf0],
+            ...[0xff, 0xfa, 44, 2, 8, 0xff, 0xf0],
+            ...[0xff, 0xfa, 44, 3, 3, 0xff, 0xf0],
+            ...[0xff, 0xfa, 44, 4, 1, 0xff, 0xf0],
+        ]);
+    });
+
+    it('removes telnet commands split across chunks', () => {
+        const parser = new TelnetParser();
+        const first = parser.parse(Buffer.from([0x01, 0x04, 0xff, 0xfd]));
+        const second = parser.parse(Buffer.from([44, 0x24, 0xff, 0xff, 0xff, 0xfa, 44, 101, 0xff]));
+        const third = parser.parse(Buffer.from([0xff, 0xff, 0xf0, 0x0d, 0x00]));
+
+        expect([...first.data]).to.deep.equal([0x01, 0x04]);
+        expect(second.commands).to.deep.equal([{ command: 0xfd, option: 44 }]);
+        expect([...second.data]).to.deep.equal([0x24, 0xff]);
+        expect([...third.data]).to.deep.equal([0x0d, 0x00]);
+    });
+});
@@ -0,0 +1,717 @@
+'use strict';
+
+/**
+ * Pure decoder for the Seplos V3 multipack RS485 bus (Modbus RTU).
+ *
+ * Nothing in here knows about ioBroker: every function takes bytes and returns
+ * plain values, so the same code is used by the adapter and by the offline
+ * decoder in bin/seplos-v3-decode.js.
+ */
+
+const FRAME_TYPE_PACK = 0x24; // 0x1000 block, 18 registers -> 36 bytes
+const FRAME_TYPE_CELLS = 0x34; // 0x1100 block, 26 registers -> 52 bytes
+const FRAME_TYPE_ALARMS = 0x12; // 0x1200 block, 144 coils -> 18 bytes
+
+const REGISTER_PACK = 0x1000; // PIA, input registers
+const REGISTER_CELLS = 0x1100; // PIB, input registers
+const REGISTER_ALARMS = 0x1200; // PIC, coils
+const REGISTER_PARAMETERS = 0x1300; // SPA, holding registers
+
+const FUNCTION_READ_COILS = 0x01;
+const FUNCTION_READ_DISCRETE_INPUTS = 0x02;
+const FUNCTION_READ_HOLDING_REGISTERS = 0x03;
+const FUNCTION_READ_INPUT_REGISTERS = 0x04;
+const READ_FUNCTIONS = [
+    FUNCTION_READ_COILS,
+    FUNCTION_READ_DISCRETE_INPUTS,
+    FUNCTION_READ_HOLDING_REGISTERS,
+    FUNCTION_READ_INPUT_REGISTERS,
+];
+
+const MIN_SLAVE_ID = 0x01;
+const MAX_SLAVE_ID = 0x10;
+
+const REQUEST_LENGTH = 8; // id, function, start (2), count (2), CRC (2)
+const EXCEPTION_LENGTH = 5; // id, function | 0x80, exception code, CRC (2)
+
+const KELVIN_OFFSET = 273.15;
+
+/**
+ * Fields of the 0x24 pack summary frame. `read` gets the complete frame
+ * (header at 0..2, first data byte at 3).
+ */
+const PACK_FIELDS = [
+    { key: 'pack_voltage', unit: 'V', role: 'value.voltage', read: b => b.readUInt16BE(3) / 100.0 },
+    { key: 'current', unit: 'A', role: 'value.current', read: b => b.readInt16BE(5) / 100.0 },
+    { key: 'remaining_capacity', unit: 'Ah', role: 'value', read: b => b.readUInt16BE(7) / 100.0 },
+    { key: 'total_capacity', unit: 'AH', role: 'value', read: b => b.readUInt16BE(9) / 100.0 },
+    { key: 'total_discharge_capacity', unit: 'AH', role: 'value', read: b => b.readUInt16BE(11) / 0.1 },
+    { key: 'soc', unit: '%', role: 'value', read: b => b.readUInt16BE(13) / 10.0 },
+    { key: 'soh', unit: '%', role: 'value', read: b => b.readUInt16BE(15) / 10.0 },
+    { key: 'cycle_count', unit: 'cycles', role: 'value', read: b => b.readUInt16BE(17) },
+    { key: 'average_cell_voltage', unit: 'V', role: 'value.voltage', read: b => b.readUInt16BE(19) / 1000.0 },
+    {
+        key: 'average_cell_temp',
+        unit: '°C',
+        role: 'value.temperature',
+        read: b => b.readInt16BE(21) / 10.0 - KELVIN_OFFSET,
+    },
+    { key: 'max_cell_voltage', unit: 'V', role: 'value.voltage', read: b => b.readUInt16BE(23) / 1000.0 },
+    { key: 'min_cell_voltage', unit: 'V', role: 'value.voltage', read: b => b.readUInt16BE(25) / 1000.0 },
+    {
+        key: 'delta_cell_voltage',
+        unit: 'mV',
+        role: 'value.voltage',
+        read: b => b.readUInt16BE(23) - b.readUInt16BE(25),
+    },
+    {
+        key: 'max_cell_temp',
+        unit: '°C',
+        role: 'value.temperature',
+        read: b => b.readUInt16BE(27) / 10.0 - KELVIN_OFFSET,
+    },
+    {
+        key: 'min_cell_temp',
+        unit: '°C',
+        role: 'value.temperature',
+        read: b => b.readUInt16BE(29) / 10.0 - KELVIN_OFFSET,
+    },
+    { key: 'maxdiscurt', unit: 'A', role: 'value.current', read: b => b.readUInt16BE(33) / 1.0 },
+    { key: 'maxchgcurt', unit: 'A', role: 'value.current', read: b => b.readUInt16BE(35) / 1.0 },
+];
+
+const CELL_COUNT = 16;
+const CELL_TEMP_COUNT = 8;
+
+/**
+ * Single status bits of the 0x12 alarm frame (TB02-TB16 of the Seplos V3 protocol).
+ * `byte` is the offset in the complete frame, `group` decides which summary list
+ * the label ends up in.
+ */
+const ALARM_FLAGS = [
+    // TB09 system status
+    { key: 'discharge', label: 'Discharge', byte: 11, mask: 0x01, group: 'system' },
+    { key: 'charge', label: 'Charge', byte: 11, mask: 0x02, group: 'system' },
+    { key: 'floating_charge', label: 'Floating Charge', byte: 11, mask: 0x04, group: 'system' },
+    { key: 'full_charge', label: 'Full Charge', byte: 11, mask: 0x08, group: 'system' },
+    { key: 'standby_mode', label: 'Standy Mode', byte: 11, mask: 0x10, group: 'system' },
+    { key: 'turn_off', label: 'Turn Off', byte: 11, mask: 0x20, group: 'system' },
+
+    // TB02 voltage events
+    { key: 'cell_high_voltage_alarm', label: 'Cell High Voltage Alarm', byte: 12, mask: 0x01, group: 'alarm' },
+    {
+        key: 'cell_over_voltage_protection',
+        label: 'Cell Over Voltage Protection',
+        byte: 12,
+        mask: 0x02,
+        group: 'protection',
+    },
+    { key: 'cell_low_voltage_alarm', label: 'Cell Low Voltage Alarm', byte: 12, mask: 0x04, group: 'alarm' },
+    {
+        key: 'cell_under_voltage_protection',
+        label: 'Cell Under Voltage Protection',
+        byte: 12,
+        mask: 0x08,
+        group: 'protection',
+    },
+    { key: 'pack_high_voltage_alarm', label: 'Pack High Voltage Alarm', byte: 12, mask: 0x10, group: 'alarm' },
+    {
+        key: 'pack_over_voltage_protection',
+        label: 'Pack Over Voltage Protection',
+        byte: 12,
+        mask: 0x20,
+        group: 'protection',
+    },
+    { key: 'pack_low_voltage_alarm', label: 'Pack Low Voltage Alarm', byte: 12, mask: 0x40, group: 'alarm' },
+    {
+        key: 'pack_under_voltage_protection',
+        label: 'Pack Under Voltage Protection',
+        byte: 12,
+        mask: 0x80,
+        group: 'protection',
+    },
+
+    // TB03 cell temperature events
+    {
+        key: 'charge_high_temperature_alarm',
+        label: 'Charge High Temperature Alarm',
+        byte: 13,
+        mask: 0x01,
+        group: 'alarm',
+    },
+    {
+        key: 'charge_high_temperature_protection',
+        label: 'Charge High Temperature Protection',
+        byte: 13,
+        mask: 0x02,
+        group: 'protection',
+    },
+    {
+        key: 'charge_low_temperature_alarm',
+        label: 'Charge Low Temperature Alarm',
+        byte: 13,
+        mask: 0x04,
+        group: 'alarm',
+    },
+    {
+        key: 'charge_under_temperature_protection',
+        label: 'Charge Under Temperature Protection',
+        byte: 13,
+        mask: 0x08,
+        group: 'protection',
+    },
+    {
+        key: 'discharge_high_temperature_alarm',
+        label: 'Discharge High Temperature Alarm',
+        byte: 13,
+        mask: 0x10,
+        group: 'alarm',
+    },
+    {
+        key: 'discharge_over_temperature_protection',
+        label: 'Discharge Over Temperature Protection',
+        byte: 13,
+        mask: 0x20,
+        group: 'protection',
+    },
+    {
+        key: 'discharge_low_temperature_alarm',
+        label: 'Discharge Low Temperature Alarm',
+        byte: 13,
+        mask: 0x40,
+        group: 'alarm',
+    },
+    {
+        key: 'discharge_under_temperature_protection',
+        label: 'Discharge Under Temperature Protection',
+        byte: 13,
+        mask: 0x80,
+        group: 'protection',
+    },
+
+    // TB04 environment and power temperature events
+    {
+        key: 'high_environment_temperature_alarm',
+        label: 'High Environment Temperature Alarm',
+        byte: 14,
+        mask: 0x01,
+        group: 'alarm',
+    },
+    {
+        key: 'over_environment_temperature_protection',
+        label: 'Over Environment Temperature Protection',
+        byte: 14,
+        mask: 0x02,
+        group: 'protection',
+    },
+    {
+        key: 'low_environment_temperature_alarm',
+        label: 'Low Environment Temperature Alarm',
+        byte: 14,
+        mask: 0x04,
+        group: 'alarm',
+    },
+    {
+        key: 'under_environment_temperature_protection',
+        label: 'Under Environment Temperature Protection',
+        byte: 14,
+        mask: 0x08,
+        group: 'protection',
+    },
+    {
+        key: 'high_power_temperature_alarm',
+        label: 'High Power Temperature Alarm',
+        byte: 14,
+        mask: 0x10,
+        group: 'alarm',
+    },
+    {
+        key: 'over_power_temperature_protection',
+        label: 'Over Power Temperature Protection',
+        byte: 14,
+        mask: 0x20,
+        group: 'protection',
+    },
+    {
+        key: 'cell_temperature_low_heating',
+        label: 'Cell Temperature Low Heating',
+        byte: 14,
+        mask: 0x40,
+        group: 'alarm',
+    },
+
+    // TB05 current events
+    { key: 'charge_current_alarm', label: 'Charge Current Alarm', byte: 15, mask: 0x01, group: 'alarm' },
+    {
+        key: 'charge_over_current_protection',
+        label: 'Charge Over Current Protection',
+        byte: 15,
+        mask: 0x02,
+        group: 'protection',
+    },
+    {
+        key: 'charge_second_level_current_protection',
+        label: 'Charge Second Level Current Protection',
+        byte: 15,
+        mask: 0x04,
+        group: 'protection',
+    },
+    { key: 'discharge_current_alarm', label: 'Discharge Current Alarm', byte: 15, mask: 0x08, group: 'alarm' },
+    {
+        key: 'discharge_over_current_protection',
+        label: 'Discharge Over Current Protection',
+        byte: 15,
+        mask: 0x10,
+        group: 'protection',
+    },
+    {
+        key: 'discharge_second_level_over_current_protection',
+        label: 'Discharge Second Level Over Current Protection',
+        byte: 15,
+        mask: 0x20,
+        group: 'protection',
+    },
+    {
+        key: 'output_short_circuit_protection',
+        label: 'Output Short Circuit Protection',
+        byte: 15,
+        mask: 0x40,
+        group: 'protection',
+    },
+
+    // TB16 second current events
+    { key: 'output_short_latch_up', label: 'Output Short Latch Up', byte: 16, mask: 0x01, group: 'alarm' },
+    { key: 'second_charge_latch_up', label: 'Second Charge Latch Up', byte: 16, mask: 0x04, group: 'alarm' },
+    { key: 'second_discharge_latch_up', label: 'Second Discharge Latch Up', byte: 16, mask: 0x08, group: 'alarm' },
+
+    // TB06 residual capacity events
+    { key: 'soc_alarm', label: 'SOC Alarm', byte: 17, mask: 0x04, group: 'alarm' },
+    { key: 'soc_protection', label: 'SOC Protection', byte: 17, mask: 0x08, group: 'protection' },
+    { key: 'cell_difference_alarm', label: 'Cell Difference Alarm', byte: 17, mask: 0x10, group: 'alarm' },
+
+    // TB07 FET events
+    { key: 'discharge_fet_on', label: 'Discharge FET On', byte: 18, mask: 0x01, group: 'fet' },
+    { key: 'charge_fet_on', label: 'Charge FET On', byte: 18, mask: 0x02, group: 'fet' },
+    { key: 'current_limiting_fet_on', label: 'Current Limiting FET On', byte: 18, mask: 0x04, group: 'fet' },
+    { key: 'heating_on', label: 'Heating On', byte: 18, mask: 0x08, group: 'fet' },
+
+    // TB08 battery equalization state
+    { key: 'low_soc_alarm', label: 'Low SOC Alarm', byte: 19, mask: 0x01, group: 'alarm' },
+    { key: 'intermittent_charge', label: 'Intermittent Charge', byte: 19, mask: 0x02, group: 'alarm' },
+    { key: 'external_switch_control', label: 'External Switch Conrol', byte: 19, mask: 0x04, group: 'alarm' },
+    { key: 'static_standby_sleep_mode', label: 'Static Standy Sleep Mode', byte: 19, mask: 0x08, group: 'alarm' },
+    { key: 'history_data_recording', label: 'History Data Recording', byte: 19, mask: 0x10, group: 'alarm' },
+    { key: 'under_soc_protection', label: 'Under SOC Protections', byte: 19, mask: 0x20, group: 'protection' },
+    { key: 'active_limited_current', label: 'Active Limited Current', byte: 19, mask: 0x40, group: 'alarm' },
+    { key: 'passive_limited_current', label: 'Passive Limited Current', byte: 19, mask: 0x80, group: 'alarm' },
+
+    // TB15 hard faults
+    { key: 'ntc_fault', label: 'NTC Fault', byte: 20, mask: 0x01, group: 'protection' },
+    { key: 'afe_fault', label: 'AFE Fault', byte: 20, mask: 0x02, group: 'protection' },
+    { key: 'charge_mosfet_fault', label: 'Charge Mosfet Fault', byte: 20, mask: 0x04, group: 'protection' },
+    { key: 'discharge_mosfet_fault', label: 'Discharge Mosfet Fault', byte: 20, mask: 0x08, group: 'protection' },
+    { key: 'cell_fault', label: 'Cell Fault', byte: 20, mask: 0x10, group: 'protection' },
+    { key: 'break_line_fault', label: 'Break Line Fault', byte: 20, mask: 0x20, group: 'protection' },
+    { key: 'key_fault', label: 'Key Fault', byte: 20, mask: 0x40, group: 'protection' },
+    { key: 'aerosol_alarm', label: 'Aerosol Alarm', byte: 20, mask: 0x80, group: 'protection' },
+];
+
+/**
+ * Alarm, protection and recovery thresholds of one quantity, four consecutive
+ * registers.
+ *
+ * @param {number} register first register
+ * @param {string} key prefix of the keys
+ * @param {string} name prefix of the names
+ * @param {string} unit unit
+ * @param {string} role ioBroker role
+ * @param {(raw: number) => number} convert register value to unit
+ * @returns {{register: number, key: string, name: string, unit: string, role: string, convert: (raw: number) => number}[]} fields
+ */
+function limitFields(register, key, name, unit, role, convert) {
+    return [
+        ['alarm', 'alarm'],
+        ['alarm_recovery', 'alarm recovery'],
+        ['protection', 'protection'],
+        ['protection_recovery', 'protection recovery'],
+    ].map(([suffix, text], i) => ({
+        register: register + i,
+        key: `${key}_${suffix}`,
+        name: `${name} ${text}`,
+        unit,
+        role,
+        convert,
+    }));
+}
+
+/**
+ * @param {number} register register
+ * @param {string} key key
+ * @param {string} name name
+ * @returns {{register: number, key: string, name: string, unit: string, role: string, convert: (raw: number) => number}} current threshold in A
+ */
+function currentField(register, key, name) {
+    return { register, key, name, unit: 'A', role: 'value.current', convert: raw => raw / 100.0 };
+}
+
+const volts = scale => raw => Math.round(raw * scale * 1000) / 1000;
+const celsius = raw => Math.round(raw - KELVIN_OFFSET * 10) / 10;
+
+/**
+ * Thresholds of the SPA parameter block (holding registers from 0x1300 of the
+ * Seplos V3 protocol). The protection delays and registers not listed are
+ * skipped.
+ */
+const PARAMETER_FIELDS = [
+    ...limitFields(0x1300, 'pack_ov', 'Pack overvoltage', 'V', 'value.voltage', volts(0.01)),
+    ...limitFields(0x1305, 'cell_ov', 'Cell overvoltage', 'V', 'value.voltage', volts(0.001)),
+    ...limitFields(0x130a, 'pack_uv', 'Pack undervoltage', 'V', 'value.voltage', volts(0.01)),
+    ...limitFields(0x130f, 'cell_uv', 'Cell undervoltage', 'V', 'value.voltage', volts(0.001)),
+    currentField(0x1314, 'charge_oc_alarm', 'Charge overcurrent alarm'),
+    currentField(0x1315, 'charge_oc_alarm_recovery', 'Charge overcurrent alarm recovery'),
+    currentField(0x1316, 'charge_oc_protection', 'Charge overcurrent protection'),
+    currentField(0x1318, 'discharge_oc_alarm', 'Discharge overcurrent alarm'),
+    currentField(0x1319, 'discharge_oc_alarm_recovery', 'Discharge overcurrent alarm recovery'),
+    currentField(0x131a, 'discharge_oc_protection', 'Discharge overcurrent protection'),
+    currentField(0x131c, 'discharge_oc2_protection', 'Discharge overcurrent protection 2'),
+    ...limitFields(0x131f, 'charge_high_temp', 'Charge high temperature', '°C', 'value.temperature', celsius),
+    ...limitFields(0x1323, 'charge_low_temp', 'Charge low temperature', '°C', 'value.temperature', celsius),
+    ...limitFields(0x1327, 'discharge_high_temp', 'Discharge high temperature', '°C', 'value.temperature', celsius),
+    ...limitFields(0x132b, 'discharge_low_temp', 'Discharge low temperature', '°C', 'value.temperature', celsius),
+    ...limitFields(0x132f, 'ambient_high_temp', 'Ambient high temperature', '°C', 'value.temperature', celsius),
+    ...limitFields(0x1333, 'power_high_temp', 'Power board high temperature', '°C', 'value.temperature', celsius),
+    {
+        register: 0x1337,
+        key: 'balance_start_voltage',
+        name: 'Balancing start voltage',
+        unit: 'V',
+        role: 'value.voltage',
+        convert: volts(0.001),
+    },
+    {
+        register: 0x1338,
+        key: 'balance_start_delta',
+        name: 'Balancing start difference',
+        unit: 'V',
+        role: 'value.voltage',
+        convert: volts(0.001),
+    },
+];
+
+/**
+ * Number of registers from REGISTER_PARAMETERS up to the last known field.
+ */
+const PARAMETER_COUNT = PARAMETER_FIELDS[PARAMETER_FIELDS.length - 1].register - REGISTER_PARAMETERS + 1;
+
+// CRC16 (polynomial 0xA001) of every byte value, so the CRC is calculated bytewise
+const CRC_TABLE = new Uint16Array(256);
+for (let byte = 0; byte < 256; byte++) {
+    let crc = byte;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x0001 ? (crc >> 1) ^ 0xa001 : crc >> 1;
+    }
+    CRC_TABLE[byte] = crc;
+}
+
+/**
+ * Calculates the Modbus RTU CRC16 of the given bytes.
+ *
+ * @param {ArrayLike<number>} data bytes without the CRC
+ * @param {number} [start] first byte
+ * @param {number} [end] end of the bytes (exclusive)
+ * @returns {number} CRC as 16 bit number (low byte is sent first)
+ */
+function calculateModbusCRC(data, start = 0, end = data.length) {
+    let crc = 0xffff;
+    for (let i = start; i < end; i++) {
+        crc = (crc >> 8) ^ CRC_TABLE[(crc ^ data[i]) & 0xff];
+    }
+    return crc;
+}
+
+/**
+ * Checks the CRC of the frame at the start of `buffer`.
+ *
+ * @param {number[] | Buffer} buffer bytes starting with the frame
+ * @param {number} length frame length including the two CRC bytes
+ * @param {number} [offset] position of the frame in `buffer`
+ * @returns {boolean} true if the CRC matches
+ */
+function validateCRC(buffer, length, offset = 0) {
+    const end = offset + length;
+    const receivedCRC = (buffer[end - 1] << 8) | buffer[end - 2];
+    return receivedCRC === calculateModbusCRC(buffer, offset, end - 2);
+}
+
+/**
+ * @param {number} functionCode Modbus function code
+ * @returns {boolean} true for bit reads (coils, discrete inputs)
+ */
+function isBitFunction(functionCode) {
+    return functionCode === FUNCTION_READ_COILS || functionCode === FUNCTION_READ_DISCRETE_INPUTS;
+}
+
+/**
+ * Checks whether `buffer` starts with a slave id of the Seplos bus and a read
+ * function code (or its exception response).
+ *
+ * @param {number[] | Buffer} buffer bytes to check
+ * @param {number} [offset] position to check
+ * @returns {boolean} true if a request or response may start here
+ */
+function isValidHeader(buffer, offset = 0) {
+    const id = buffer[offset];
+    return id >= MIN_SLAVE_ID && id <= MAX_SLAVE_ID && READ_FUNCTIONS.includes(buffer[offset + 1] & 0x7f);
+}
+
+/**
+ * Returns the complete response length for the header at the start of `buffer`,
+ * derived from the byte count field.
+ *
+ * @param {number[] | Buffer} buffer bytes starting with a valid header
+ * @param {number} [offset] position of the header
+ * @returns {number} frame length
+ */
+function getExpectedLength(buffer, offset = 0) {
+    if (buffer[offset + 1] & 0x80) {
+        return EXCEPTION_LENGTH;
+    }
+    // +3 Header, +2 CRC, =+5
+    return buffer[offset + 2] + 5;
+}
+
+/**
+ * Parses a master request (function 0x01-0x04) at the start of `buffer`.
+ *
+ * @param {number[] | Buffer} buffer bytes starting with a valid header
+ * @param {number} [offset] position of the request
+ * @param {number} [available] number of valid bytes from `offset` on
+ * @returns {{slaveId: number, functionCode: number, register: number, count: number} | null} null if it is no valid request
+ */
+function parseRequest(buffer, offset = 0, available = buffer.length - offset) {
+    const functionCode = buffer[offset + 1];
+    if (available < REQUEST_LENGTH || functionCode & 0x80) {
+        return null;
+    }
+    const count = (buffer[offset + 4] << 8) | buffer[offset + 5];
+    const maxCount = isBitFunction(functionCode) ? 2000 : 125;
+    if (count < 1 || count > maxCount || !validateCRC(buffer, REQUEST_LENGTH, offset)) {
+        return null;
+    }
+    return {
+        slaveId: buffer[offset],
+        functionCode,
+        register: (buffer[offset + 2] << 8) | buffer[offset + 3],
+        count,
+    };
+}
+
+/**
+ * Byte count the slave has to answer a request with.
+ *
+ * @param {{functionCode: number, count: number}} request parsed request
+ * @returns {number} value of the byte count field in the response
+ */
+function getResponseByteCount(request) {
+    return isBitFunction(request.functionCode) ? Math.ceil(request.count / 8) : request.count * 2;
+}
+
+/**
+ * Guesses the register block of a response without a known request from its byte count.
+ *
+ * @param {Buffer} buffer complete frame
+ * @returns {number | null} start register or null if unknown
+ */
+function guessRegister(buffer) {
+    if (buffer[1] === FUNCTION_READ_INPUT_REGISTERS && buffer[2] === FRAME_TYPE_PACK) {
+        return REGISTER_PACK;
+    }
+    if (buffer[1] === FUNCTION_READ_INPUT_REGISTERS && buffer[2] === FRAME_TYPE_CELLS) {
+        return REGISTER_CELLS;
+    }
+    if (buffer[1] === FUNCTION_READ_COILS && buffer[2] === FRAME_TYPE_ALARMS) {
+        return REGISTER_ALARMS;
+    }
+    return null;
+}
+
+/**
+ * Decodes the 0x24 pack summary frame.
+ *
+ * @param {Buffer} buffer complete frame
+ * @returns {Record<string, number>} values keyed like the PACK_FIELDS
+ */
+function decodePackInfo(buffer) {
+    return Object.fromEntries(PACK_FIELDS.map(field => [field.key, field.read(buffer)]));
+}
+
+/**
+ * Decodes the 0x34 cell frame. All 16 cells and 8 sensors are returned, unused
+ * cells read 0 V and unconnected sensors about -273 °C.
+ *
+ * @param {Buffer} buffer complete frame
+ * @returns {{cells: number[], temps: number[], case_temp: number, power_temp: number}} voltages in V, temperatures in °C
+ */
+function decodeCellInfo(buffer) {
+    const cells = [];
+    for (let i = 0; i < CELL_COUNT; i++) {
+        cells.push(buffer.readUInt16BE(3 + i * 2) / 1000.0);
+    }
+    const temps = [];
+    for (let i = 0; i < CELL_TEMP_COUNT; i++) {
+        temps.push(buffer.readUInt16BE(35 + i * 2) / 10.0 - KELVIN_OFFSET);
+    }
+    return {
+        cells,
+        temps,
+        case_temp: buffer.readUInt16BE(51) / 10.0 - KELVIN_OFFSET,
+        power_temp: buffer.readUInt16BE(53) / 10.0 - KELVIN_OFFSET,
+    };
+}
+
+/**
+ * Returns the 1-based positions of all set bits.
+ *
+ * @param {number} byte bit field
+ * @param {number} first number of bit 0
+ * @returns {number[]} numbers of the set bits
+ */
+function bitList(byte, first) {
+    const list = [];
+    for (let i = 0; i < 8; i++) {
+        if ((byte >> i) & 1) {
+            list.push(first + i);
+        }
+    }
+    return list;
+}
+
+/**
+ * Decodes the 0x12 alarm frame.
+ *
+ * @param {Buffer} buffer complete frame
+ * @returns {object} per-cell alarm lists, every flag of ALARM_FLAGS and the label lists per group
+ */
+function decodeAlarms(buffer) {
+    const flags = {};
+    const labels = { system: [], alarm: [], protection: [], fet: [] };
+    for (const flag of ALARM_FLAGS) {
+        flags[flag.key] = (buffer[flag.byte] & flag.mask) !== 0;
+        if (flags[flag.key]) {
+            labels[flag.group].push(flag.label);
+        }
+    }
+
+    return {
+        cell_low_voltage: [...bitList(buffer[3], 1), ...bitList(buffer[4], 9)],
+        cell_high_voltage: [...bitList(buffer[5], 1), ...bitList(buffer[6], 9)],
+        cell_low_temp: bitList(buffer[7], 1),
+        cell_high_temp: bitList(buffer[8], 1),
+        balancing_cells: [...bitList(buffer[9], 1), ...bitList(buffer[10], 9)],
+        system_status: labels.system,
+        alarms: labels.alarm,
+        protections: labels.protection,
+        fet_status: labels.fet,
+        flags,
+    };
+}
+
+/**
+ * Decodes a response to a read of (a part of) the parameter block.
+ *
+ * @param {Buffer} buffer complete frame
+ * @param {number} register start register of the request
+ * @returns {Record<string, number>} values of the PARAMETER_FIELDS contained in the frame
+ */
+function decodeParameters(buffer, register) {
+    const count = buffer[2] / 2;
+    return Object.fromEntries(
+        PARAMETER_FIELDS.filter(field => field.register >= register && field.register < register + count).map(field => [
+            field.key,
+            field.convert(buffer.readUInt16BE(3 + (field.register - register) * 2)),
+        ]),
+    );
+}
+
+/**
+ * Decodes one CRC-checked response frame.
+ *
+ * Known blocks are selected by the start register of the request the frame
+ * answers. Without a request the block is guessed from the byte count, except
+ * for the parameter block, which is read in varying parts.
+ * Responses to other blocks are returned as `raw` with the plain register
+ * values (or bit bytes).
+ *
+ * @param {Buffer} buffer complete frame including CRC
+ * @param {number | null} [register] start register of the matching request
+ * @returns {{slaveId: number, type: 'pack' | 'cells' | 'alarms' | 'parameters' | 'raw', register: number | null, data: Record<string, any>} | null} null for exception responses
+ */
+function decodeFrame(buffer, register = null) {
+    const slaveId = buffer[0];
+    const functionCode = buffer[1];
+    const byteCount = buffer[2];
+    if (functionCode & 0x80) {
+        return null;
+    }
+    const block = register ?? guessRegister(buffer);
+
+    if (block === REGISTER_PACK && functionCode === FUNCTION_READ_INPUT_REGISTERS && byteCount >= FRAME_TYPE_PACK) {
+        return { slaveId, type: 'pack', register: block, data: decodePackInfo(buffer) };
+    }
+    if (block === REGISTER_CELLS && functionCode === FUNCTION_READ_INPUT_REGISTERS && byteCount >= FRAME_TYPE_CELLS) {
+        return { slaveId, type: 'cells', register: block, data: decodeCellInfo(buffer) };
+    }
+    if (block === REGISTER_ALARMS && functionCode === FUNCTION_READ_COILS && byteCount >= FRAME_TYPE_ALARMS) {
+        return { slaveId, type: 'alarms', register: block, data: decodeAlarms(buffer) };
+    }
+    if (
+        block !== null &&
+        block >= REGISTER_PARAMETERS &&
+        block < REGISTER_PARAMETERS + PARAMETER_COUNT &&
+        functionCode === FUNCTION_READ_HOLDING_REGISTERS
+    ) {
+        return { slaveId, type: 'parameters', register: block, data: decodeParameters(buffer, block) };
+    }
+
+    const payload = buffer.subarray(3, 3 + byteCount);
+    const values = [];
+    if (isBitFunction(functionCode)) {
+        values.push(...payload);
+    } else {
+        for (let i = 0; i + 1 < payload.length; i += 2) {
+            values.push(payload.readUInt16BE(i));
+        }
+    }
+    return { slaveId, type: 'raw', register: block, data: { functionCode, values } };
+}
+
+module.exports = {
+    CELL_COUNT,
+    CELL_TEMP_COUNT,
+    FRAME_TYPE_PACK,
+    FRAME_TYPE_CELLS,
+    FRAME_TYPE_ALARMS,
+    REGISTER_PACK,
+    REGISTER_CELLS,
+    REGISTER_ALARMS,
+    REGISTER_PARAMETERS,
+    PARAMETER_COUNT,
+    MIN_SLAVE_ID,
+    MAX_SLAVE_ID,
+    REQUEST_LENGTH,
+    EXCEPTION_LENGTH,
+    PACK_FIELDS,
+    ALARM_FLAGS,
+    PARAMETER_FIELDS,
+    calculateModbusCRC,
+    validateCRC,
+    isValidHeader,
+    getExpectedLength,
+    parseRequest,
+    getResponseByteCount,
+    decodePackInfo,
+    decodeCellInfo,
+    decodeAlarms,
+    decodeParameters,
+    decodeFrame,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+const { expect } = require('chai');
+const { calculateModbusCRC, validateCRC, decodeFrame } = require('./seplos-decoder');
+const { FrameScanner } = require('./frame-scanner');
+
+/**
+ * Builds a response frame with valid CRC.
+ *
+ * @param {number} slaveId slave id
+ * @param {number} fn function code
+ * @param {number[]} payload data bytes
+ * @returns {Buffer} frame
+ */
+function buildFrame(slaveId, fn, payload) {
+    const body = [slaveId, fn, payload.length, ...payload];
+    const crc = calculateModbusCRC(body);
+    return Buffer.from([...body, crc & 0xff, crc >> 8]);
+}
+
+/**
+ * @param {number[]} values 16 bit values
+ * @returns {number[]} big endian bytes
+ */
+function words(values) {
+    return values.flatMap(v => [(v >> 8) & 0xff, v & 0xff]);
+}
+
+/**
+ * @param {Buffer} buffer complete frame
+ * @returns {{slaveId: number, type: string, data: Record<string, any>}} decoded frame
+ */
+function decode(buffer) {
+    const frame = decodeFrame(buffer);
+    if (!frame) {
+        throw new Error('frame was not decoded');
+    }
+    return frame;
+}
+
+describe('seplos-decoder', () => {
+    it('calculates the Modbus CRC', () => {
+        // read input registers 0x1000, 18 registers on slave 1
+        expect(calculateModbusCRC([0x01, 0x04, 0x10, 0x00, 0x00, 0x12])).to.equal(0xc774);
+        const frame = buildFrame(1, 0x04, words([1]));
+        expect(validateCRC(frame, frame.length)).to.equal(true);
+        frame[3] ^= 0xff;
+        expect(validateCRC(frame, frame.length)).to.equal(false);
+    });
+
+    it('decodes the 0x24 pack frame', () => {
+        const payload = words([
+            5320, // pack voltage 53.20 V
+            0xfc18, // current -10.00 A
+            20000, // remaining 200 Ah
+            28000, // total 280 Ah
+            123, // discharge capacity
+            714, // soc 71.4 %
+            1000, // soh 100 %
+            42, // cycles
+            3325, // average cell 3.325 V
+            2981, // average temp 24.95 °C
+            3340, // max cell
+            3310, // min cell
+            2991, // max temp
+            2971, // min temp
+            0,
+            150, // maxdiscurt
+            140, // maxchgcurt
+            0,
+        ]);
+        const frame = decode(buildFrame(3, 0x04, payload));
+        expect(frame.slaveId).to.equal(3);
+        expect(frame.type).to.equal('pack');
+        expect(frame.data.pack_voltage).to.equal(53.2);
+        expect(frame.data.current).to.equal(-10);
+        expect(frame.data.soc).to.equal(71.4);
+        expect(frame.data.delta_cell_voltage).to.equal(30);
+        expect(frame.data.average_cell_temp).to.be.closeTo(24.95, 0.001);
+        expect(frame.data.maxchgcurt).to.equal(140);
+    });
+
+    it('decodes the 0x34 cell frame', () => {
+        const cells = Array.from({ length: 16 }, (_, i) => 3300 + i);
+        const payload = words([...cells, 2981, 2982, 2983, 2984, 2985, 0, 0, 0, 2991, 3001]);
+        const frame = decode(buildFrame(1, 0x04, payload));
+        expect(frame.type).to.equal('cells');
+        expect(frame.data.cells).to.have.length(16);
+        expect(frame.data.cells[15]).to.equal(3.315);
+        expect(frame.data.temps).to.have.length(8);
+        expect(frame.data.temps[4]).to.be.closeTo(25.35, 0.001);
+        expect(frame.data.temps[5]).to.equal(-273.15);
+        expect(frame.data.power_temp).to.be.closeTo(26.95, 0.001);
+    });
+
+    it('decodes the 0x12 alarm frame', () => {
+        const payload = new Array(18).fill(0);
+        payload[0] = 0x05; // low voltage cells 1 and 3
+        payload[7] = 0x01; // balancing cell 9
+        payload[8] = 0x02; // charge
+        payload[9] = 0x02; // cell over voltage protection
+        payload[15] = 0x03; // discharge + charge FET
+        payload[17] = 0x02; // AFE fault
+        const frame = decode(buildFrame(2, 0x01, payload));
+        expect(frame.type).to.equal('alarms');
+        expect(frame.data.cell_low_voltage).to.deep.equal([1, 3]);
+        expect(frame.data.balancing_cells).to.deep.equal([9]);
+        expect(frame.data.system_status).to.deep.equal(['Charge']);
+        expect(frame.data.protections).to.deep.equal(['Cell Over Voltage Protection', 'AFE Fault']);
+        expect(frame.data.fet_status).to.deep.equal(['Discharge FET On', 'Charge FET On']);
+        expect(frame.data.flags.afe_fault).to.equal(true);
+        expect(frame.data.flags.ntc_fault).to.equal(false);
+    });
+
+    it('decodes parameters from a partial read of the parameter block', () => {
+        // registers 0x1307 to 0x1309 as read by the vendor software: cell OV protection, recovery, delay
+        const frame = buildFrame(1, 0x03, words([3650, 3400, 10]));
+        const parameters = decodeFrame(frame, 0x1307);
+        expect(parameters?.type).to.equal('parameters');
+        expect(parameters?.data).to.deep.equal({ cell_ov_protection: 3.65, cell_ov_protection_recovery: 3.4 });
+
+        const temps = decodeFrame(buildFrame(1, 0x03, words([3281, 3231])), 0x131f);
+        expect(temps?.data).to.deep.equal({ charge_high_temp_alarm: 55, charge_high_temp_alarm_recovery: 50 });
+        // without the request the block is unknown
+        expect(decodeFrame(frame)?.type).to.equal('raw');
+    });
+});
+
+describe('FrameScanner', () => {
+    /**
+     * @param {number} slaveId slave id
+     * @param {number} fn function code
+     * @param {number} register start register
+     * @param {number} count number of registers or coils
+     * @returns {Buffer} request frame
+     */
+    function buildRequest(slaveId, fn, register, count) {
+        const body = [slaveId, fn, register >> 8, register & 0xff, count >> 8, count & 0xff];
+        const crc = calculateModbusCRC(body);
+        return Buffer.from([...body, crc & 0xff, crc >> 8]);
+    }
+
+    it('resynchronises on garbage and skips frames with a bad CRC', () => {
+        const good = buildFrame(1, 0x01, new Array(18).fill(0));
+        const bad = Buffer.from(good);
+        bad[5] = 0xff;
+        const frames = [];
+        const scanner = new FrameScanner();
+        scanner.on('response', frame => frames.push(frame));
+        scanner.push(Buffer.from([0x00, 0x99, 0x01]));
+        scanner.push(bad);
+        scanner.push(good.subarray(0, 10));
+        scanner.push(good.subarray(10));
+        expect(frames).to.have.length(1);
+        expect(frames[0].equals(good)).to.equal(true);
+    });
+
+    it('keeps frames intact across the end of its storage', () => {
+        const request = buildRequest(3, 0x04, 0x1000, 18);
+        const response = buildFrame(3, 0x04, words(Array.from({ length: 18 }, (_, i) => i * 257)));
+        const stream = Buffer.concat(Array.from({ length: 200 }, () => Buffer.concat([request, response])));
+        const frames = [];
+        const scanner = new FrameScanner();
+        scanner.on('response', frame => frames.push(frame));
+        for (let offset = 0; offset < stream.length; offset += 7) {
+            scanner.push(stream.subarray(offset, offset + 7));
+        }
+        expect(frames).to.have.length(200);
+        expect(frames.every(frame => frame.equals(response))).to.equal(true);
+        expect(scanner.stats).to.deep.equal({ frames: 400, crcErrors: 0, discardedBytes: 0 });
+    });
+
+    it('counts valid frames, CRC errors and discarded bytes', () => {
+        const good = buildFrame(1, 0x01, new Array(18).fill(0));
+        const bad = Buffer.from(good);
+        bad[5] = 0xff;
+        const scanner = new FrameScanner();
+        scanner.push(Buffer.from([0x00, 0x99]));
+        scanner.push(good);
+        scanner.push(bad);
+        scanner.push(good);
+        expect(scanner.stats).to.deep.equal({ frames: 2, crcErrors: 1, discardedBytes: 2 + bad.length });
+    });
+
+    it('ties responses to the request of the master', () => {
+        const requests = [];
+        const responses = [];
+        const scanner = new FrameScanner();
+        scanner.on('request', request => requests.push(request));
+        scanner.on('response', (frame, info) => responses.push({ frame, info }));
+
+        scanner.push(buildRequest(2, 0x04, 0x1100, 26));
+        scanner.push(buildFrame(2, 0x04, new Array(52).fill(0x0c)));
+        // a register block the decoder does not know yet
+        scanner.push(buildRequest(2, 0x04, 0x1300, 3));
+        scanner.push(buildFrame(2, 0x04, words([1, 2, 3])));
+
+        expect(requests).to.deep.equal([
+            { slaveId: 2, functionCode: 0x04, register: 0x1100, count: 26 },
+            { slaveId: 2, functionCode: 0x04, register: 0x1300, count: 3 },
+        ]);
+        expect(responses.map(r => r.info.register)).to.deep.equal([0x1100, 0x1300]);
+
+        const cells = decodeFrame(responses[0].frame, responses[0].info.register);
+        expect(cells?.type).to.equal('cells');
+        const raw = decodeFrame(responses[1].frame, responses[1].info.register);
+        expect(raw?.type).to.equal('raw');
+        expect(raw?.data.values).to.deep.equal([1, 2, 3]);
+    });
+
+    it('rejects responses whose byte count does not fit the request', () => {
+        const responses = [];
+        const scanner = new FrameScanner();
+        scanner.on('response', frame => responses.push(frame));
+        scanner.push(buildRequest(1, 0x04, 0x1000, 18));
+        scanner.push(buildFrame(1, 0x04, words([1, 2])));
+        expect(responses).to.have.length(0);
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Buses read by one instance: the `serial adapter` of the instance
+ * configuration and the rows of the `buses` table, each with its own
+ * connection and an optional prefix for its objects.
+ */
+
+// The prefix becomes a folder in the object tree, e.g. bus0.bms_1
+const PREFIX = /^[A-Za-z][A-Za-z0-9_-]*$/;
+// Would collide with the pack, bank and info objects or the id of the source without prefix
+const RESERVED = /^(bms_\d+|bank|info|default)$/;
+// Id of the source without prefix below info.sources, the others use their prefix
+const DEFAULT_ID = 'default';
+
+/**
+ * Collects the sources from the instance configuration. Rows without an
+ * address are ignored, a source whose objects would collide with those of an
+ * earlier one gets an error and must not be started. The id follows the prefix,
+ * so reordering the rows does not move the states of one bus to another.
+ *
+ * @param {Record<string, any>} config instance configuration
+ * @returns {{id: string, source: string, prefix: string, baudRate: number | null, error: string | null}[]} sources in the order of the configuration, the first one is the serial adapter
+ */
+function parseSources(config) {
+    const rows = [
+        { source: config['serial adapter'] || '/dev/ttyS0', prefix: config.prefix },
+        ...(Array.isArray(config.buses) ? config.buses : []),
+    ];
+    const sources = [];
+    for (const row of rows) {
+        const source = row && typeof row.source === 'string' ? row.source.trim() : '';
+        if (!source) {
+            continue;
+        }
+        const prefix = typeof row.prefix === 'string' ? row.prefix.trim() : '';
+        const baudRate = parseInt(row.baud_rate);
+        let error = null;
+        if (prefix && (!PREFIX.test(prefix) || RESERVED.test(prefix))) {
+            error = `invalid prefix "${prefix}", use letters, digits, _ and - and not bms_N, bank, info or default`;
+        } else if (sources.some(other => !other.error && other.prefix === prefix)) {
+            error = prefix ? `prefix "${prefix}" is used twice` : 'only one source can be without prefix';
+        } else if (sources.some(other => !other.error && other.source === source)) {
+            error = `${source} is used twice`;
+        }
+        sources.push({
+            id: prefix || DEFAULT_ID,
+            source,
+            prefix,
+            baudRate: baudRate > 0 ? baudRate : null,
+            error,
+        });
+    }
+    return sources;
+}
+
+module.exports = { parseSources };
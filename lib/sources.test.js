@@ -0,0 +1,56 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseSources } = require('./sources');
+
+describe('sources', () => {
+    it('takes the serial adapter and the rows of the bus table', () => {
+        expect(
+            parseSources({
+                'serial adapter': '/dev/ttyUSB0',
+                prefix: ' bus0 ',
+                buses: [
+                    { source: 'tcp://192.168.1.20:502', prefix: 'bus1', baud_rate: '' },
+                    { source: '', prefix: 'bus2' },
+                    { source: '/dev/ttyUSB1', prefix: 'bus2', baud_rate: 9600 },
+                ],
+            }),
+        ).to.deep.equal([
+            { id: 'bus0', source: '/dev/ttyUSB0', prefix: 'bus0', baudRate: null, error: null },
+            { id: 'bus1', source: 'tcp://192.168.1.20:502', prefix: 'bus1', baudRate: null, error: null },
+            { id: 'bus2', source: '/dev/ttyUSB1', prefix: 'bus2', baudRate: 9600, error: null },
+        ]);
+        // the id stays with the bus when rows are reordered or removed
+        expect(parseSources({ buses: [{ source: '/dev/ttyUSB1', prefix: 'bus2' }] }).map(({ id }) => id)).to.deep.equal(
+            ['default', 'bus2'],
+        );
+        expect(parseSources({})).to.deep.equal([
+            { id: 'default', source: '/dev/ttyS0', prefix: '', baudRate: null, error: null },
+        ]);
+    });
+
+    it('rejects sources whose objects would collide', () => {
+        const errors = parseSources({
+            'serial adapter': '/dev/ttyUSB0',
+            buses: [
+                { source: '/dev/ttyUSB1' },
+                { source: '/dev/ttyUSB0', prefix: 'bus1' },
+                { source: '/dev/ttyUSB2', prefix: 'bank' },
+                { source: '/dev/ttyUSB3', prefix: 'bus.3' },
+                { source: '/dev/ttyUSB4', prefix: 'bus4' },
+                { source: '/dev/ttyUSB5', prefix: 'bus4' },
+                { source: '/dev/ttyUSB6', prefix: 'default' },
+            ],
+        }).map(({ error }) => error);
+        expect(errors).to.deep.equal([
+            null,
+            'only one source can be without prefix',
+            '/dev/ttyUSB0 is used twice',
+            'invalid prefix "bank", use letters, digits, _ and - and not bms_N, bank, info or default',
+            'invalid prefix "bus.3", use letters, digits, _ and - and not bms_N, bank, info or default',
+            null,
+            'prefix "bus4" is used twice',
+            'invalid prefix "default", use letters, digits, _ and - and not bms_N, bank, info or default',
+        ]);
+    });
+});
@@ -1,8 +1,38 @@
 'use strict';
 
-const { SerialPort } = require('serialport');
-const net = require('node:net');
+const path = require('node:path');
 const utils = require('@iobroker/adapter-core');
+const { PACK_FIELDS, PARAMETER_FIELDS, decodeFrame } = require('./lib/seplos-decoder');
+const { FrameScanner } = require('./lib/frame-scanner');
+const { CaptureWriter, CaptureReplay, parseFileSource } = require('./lib/capture');
+const { BANK_FIELDS, aggregateBank } = require('./lib/bank');
+const { LIMIT_FIELDS, parseLimitSettings, calculateLimits } = require('./lib/bank-limits');
+const { ENERGY_FIELDS, EnergyCounter } = require('./lib/energy');
+const { CoulombCounter } = require('./lib/coulomb-soc');
+const { AlarmHistory } = require('./lib/alarm-history');
+const { ALARM_CHANNELS, buildAlarmBits } = require('./lib/alarm-bits');
+const { CONDITIONS, CellHealth } = require('./lib/cell-health');
+const { detectLayout, resolveLayout, applyLayout } = require('./lib/cell-layout');
+const { parsePlausibilitySettings, PlausibilityFilter } = require('./lib/plausibility');
+const { parsePackConfig } = require('./lib/pack-config');
+const { parseSources } = require('./lib/sources');
+const { SerialPort } = require('serialport');
+const { ConnectionManager, parseLineSettings, openSerial, openTcp, openRfc2217, openUdp } = require('./lib/connection');
+const { parseSlaveIds, ModbusMaster } = require('./lib/modbus-master');
+const { RegisterStore, ModbusTcpServer } = require('./lib/modbus-server');
+const { buildBattery, PylontechEmulator } = require('./lib/pylontech');
+const { ValueSnapshot, buildPacksJson, HttpApiServer } = require('./lib/http-api');
+const { FrameHistory } = require('./lib/frame-history');
+const { CHANNELS, describeState } = require('./lib/object-meta');
+const { getPublishGroup, parsePublishSettings, ChangeFilter } = require('./lib/change-filter');
+const { AGGREGATION_MODES, IntervalStats } = require('./lib/interval-stats');
+
+const PACK_FOLDER = /^bms_(\d+)$/;
+// Reihenfolge von schlecht nach gut für info.connection_state mehrerer Quellen
+const CONNECTION_STATES = ['waiting', 'connecting', 'connected'];
+const DAY = 24 * 60 * 60 * 1000;
+const CELL_HEALTH_INTERVAL = 60 * 1000; // Analysewerte ändern sich langsam
+const CELL_HEALTH_SAVE_INTERVAL = 60 * 60 * 1000;
 
 class SeplosV3Sniffer extends utils.Adapter {
     constructor(options = {}) {
@@ -13,160 +43,588 @@ class SeplosV3Sniffer extends utils.Adapter {
 
         this.on('ready', this.onReady.bind(this));
         this.on('unload', this.onUnload.bind(this));
-        this.knownIds = []; // Optimierung für setObjectNotExists
-        this.serialPort = null;
-        this.socket = null;
-        this.buffer = [];
-        this.lastUpdate = {};
-        this.updateInterval = 5000; // Standardwert 5 Sekunden
-        this.reconnectTimeout = null; // Timeout für TCP-Reconnect
-        this.lastDataReceived = Date.now(); // Letzte empfangene Daten
+        this.on('message', this.onMessage.bind(this));
+        this.knownIds = new Set(); // Optimierung für setObjectNotExists
+        this.buses = []; // Quellen mit eigener Verbindung und eigenen Packs, die erste ist die primäre
+        this.capture = null; // Aufzeichnung der Rohdaten
+        this.master = null; // Aktive Abfrage der BMS im Master-Modus
+        this.registerStore = new RegisterStore(); // Zuletzt gesehene Register und Coils je Slave
+        this.modbusServer = null; // Modbus-TCP-Server mit den Daten vom Bus
+        this.inverterConnection = null; // Zweite Schnittstelle zum Wechselrichter (Pylontech-Protokoll)
+        this.valueSnapshot = new ValueSnapshot(); // Letzte berechnete Werte aller Packs für die HTTP-Schnittstelle
+        this.httpServer = null; // HTTP-Server mit /metrics und /api/packs
+        this.frameHistory = new FrameHistory(); // Letzte Rohframes je Typ für getFrames
+        this.translated = false; // Objektnamen aus admin/i18n verfügbar
+        this.energyCounters = new Map(); // Energiezähler je Ordner (bms_N, bank, mit Präfix der Quelle)
+        this.persistedEnergy = {}; // Beim Start gelesene Zählerstände je Ordner
+        this.coulombCounters = new Map(); // Coulomb-Zähler (SOC) je Ordner (bms_N)
+        this.persistedSoc = {}; // Beim Start gelesener SOC des Coulomb-Zählers je Ordner
+        this.alarmHistories = new Map(); // Alarmverlauf je Ordner (bms_N)
+        this.persistedHistory = {}; // Beim Start gelesener Alarmverlauf je Ordner
+        this.cellHealth = new Map(); // Zellanalyse je Ordner (bms_N)
+        this.persistedCellHealth = {}; // Beim Start gelesene Zellanalyse je Ordner
+        this.cellHealthTimes = new Map(); // Ordner -> {published, saved}
+        this.limitSettings = null; // Einstellungen für CVL, CCL und DCL der Bank, null wenn aus
+        this.changeFilter = new ChangeFilter(parsePublishSettings({})); // Entscheidet, welche Werte geschrieben werden
+        this.intervalStats = new IntervalStats(); // Mittelwert, Min und Max je Wert
+        this.aggregation = {}; // Aggregationsmodus je Wertegruppe
+        this.connected = false; // Zuletzt geschriebener Wert von info.connection
+        this.statsTime = Date.now(); // Beginn des aktuellen Statistik-Zeitraums
         this.dataTimeout = 10000; // Timeout für Datenprüfung (10 Sekunden)
         this.dataCheckInterval = null; // Intervall für Datenprüfung
         this.isShuttingDown = false;
     }
 
     async onReady() {
-        const serialAdapter = this.config['serial adapter'] || '/dev/ttyS0';
-        this.updateInterval = (Number(this.config['update_interval']) || 5) * 1000;
+        this.changeFilter = new ChangeFilter(parsePublishSettings(this.config));
+        for (const group of ['pack', 'cells', 'temps']) {
+            const mode = this.config[`${group}_aggregation`];
+            this.aggregation[group] = AGGREGATION_MODES.includes(mode) ? mode : 'last';
+        }
+        if (this.config.bank_limits) {
+            this.limitSettings = parseLimitSettings(this.config);
+        }
+        try {
+            await utils.I18n.init(path.join(__dirname, 'admin'), this);
+            this.translated = true;
+        } catch (error) {
+            this.log.warn(`Cannot load translations, objects get English names: ${error.message}`);
+        }
 
         // Reset the connection indicator during startup
-        this.setState('info.connection', false, true);
+        this.setConnected(false);
 
-        if (!this.validateSerialAdapter(serialAdapter)) {
-            this.log.error(
-                `Invalid input for the serial adapter: "${serialAdapter}". Please enter a valid address (tcp://ip:port, tcp://name.de:port, /dev/tty*, COM*).`,
-            );
+        for (const entry of parseSources(this.config)) {
+            if (entry.error) {
+                this.log.error(`Source ${entry.source} ignored: ${entry.error}`);
+            } else if (!this.validateSerialAdapter(entry.source)) {
+                this.log.error(
+                    `Invalid input for the serial adapter: "${entry.source}". Please enter a valid address (tcp://ip:port, tcp://name.de:port, udp://ip:port, udp://:port, rfc2217://ip:port, /dev/tty*, /dev/serial/by-id/*, COM*, file://capture.log).`,
+                );
+            } else {
+                this.buses.push(this.createBus(entry));
+            }
+        }
+        if (!this.buses.length) {
             return; // Prevents the adapter from crashing
         }
+        const primary = this.buses[0];
 
-        this.log.info(`Using serial adapter: ${serialAdapter}`);
-        this.log.info(`Update interval set to: ${this.updateInterval / 1000} seconds`);
+        if (this.config.cleanup_objects) {
+            await this.cleanupPackObjects();
+        }
+        for (const bus of this.buses) {
+            await this.createBusObjects(bus);
+        }
+        await this.cleanupSourceObjects();
+        await this.loadEnergyCounters();
+        await this.loadCoulombCounters();
+        await this.loadAlarmHistories();
+        if (this.config.cell_health) {
+            await this.loadCellHealth();
+        }
 
-        if (serialAdapter.startsWith('tcp://')) {
-            this.log.info('Using TCP connection for serial data');
-            await this.connectTcp(serialAdapter);
-        } else {
-            await this.connectSerial(serialAdapter);
+        for (const { source, prefix } of this.buses) {
+            this.log.info(`Using serial adapter: ${source}${prefix ? ` (objects below ${prefix})` : ''}`);
         }
-        // Intervall zur Überprüfung der Daten
-        this.dataCheckInterval = this.setInterval(() => {
-            if (Date.now() - this.lastDataReceived > this.dataTimeout) {
-                this.setState('info.connection', false, true);
+        for (const [group, { deadband, minInterval, maxInterval }] of Object.entries(this.changeFilter.settings)) {
+            this.log.debug(
+                `Publishing ${group}: deadband ${deadband}, interval ${minInterval / 1000}-${maxInterval / 1000} s`,
+            );
+        }
+
+        // Aufzeichnung, Modbus-TCP-Server, Pylontech und Master-Modus nur mit der primären Quelle
+        if (this.config.capture && !primary.source.startsWith('file://')) {
+            const capture = new CaptureWriter({
+                directory: path.join(utils.getAbsoluteInstanceDataDir(this), 'captures'),
+                maxFileSize: (Number(this.config.capture_max_size) || 10) * 1024 * 1024,
+                maxFiles: Number(this.config.capture_max_files) || 5,
+            });
+            // Volle Platte oder fehlende Rechte beenden nur die Aufzeichnung, nicht den Adapter
+            capture.on('error', error => {
+                if (this.capture === capture) {
+                    this.log.error(`Capture stopped: ${error.message}`);
+                    this.capture = null;
+                    capture.close();
+                }
+            });
+            this.capture = capture;
+            this.log.info(`Capturing raw bus data to ${capture.directory}`);
+        }
+
+        if (this.config.modbus_server) {
+            await this.startModbusServer();
+        }
+        if (this.config.pylontech) {
+            this.startPylontech();
+        }
+        if (this.config.http_server) {
+            await this.startHttpServer();
+        }
+
+        for (const bus of this.buses) {
+            if (bus.source.startsWith('file://')) {
+                if (this.config.mode === 'master' && bus.primary) {
+                    this.log.warn('Active polling is not possible with a replay, running as sniffer');
+                }
+                this.connectFile(bus);
+            } else {
+                this.connect(bus);
             }
-        }, 5000);
+        }
+        if (!this.master) {
+            this.setState('info.polling_state', 'off', true);
+        }
+        // Intervall zur Überprüfung der Daten
+        this.statsTime = Date.now();
+        this.dataCheckInterval = this.setInterval(() => this.checkData(), 5000);
     }
 
     validateSerialAdapter(serialAdapter) {
-        const tcpRegex = /^tcp:\/\/([a-zA-Z0-9.-]+):(\d+)$/; // tcp://ip:port oder tcp://name.de:port
+        const tcpRegex = /^(tcp|rfc2217):\/\/([a-zA-Z0-9.-]+):(\d+)$/; // tcp://ip:port oder rfc2217://name.de:port
+        const udpRegex = /^udp:\/\/([a-zA-Z0-9.-]*):(\d+)$/; // udp://ip:port oder udp://:port (nur empfangen)
         const devTtyRegex = /^\/dev\/tty[A-Za-z0-9]+$/; // /dev/tty*
+        const devSerialRegex = /^\/dev\/serial\/by-(id|path)\/[^/]+$/; // /dev/serial/by-id/usb-...
         const comRegex = /^COM\d+$/; // COM*
+        const fileRegex = /^file:\/\/[^?]+(\?.*)?$/; // file://capture.log?speed=10
 
-        return tcpRegex.test(serialAdapter) || devTtyRegex.test(serialAdapter) || comRegex.test(serialAdapter);
+        return (
+            tcpRegex.test(serialAdapter) ||
+            udpRegex.test(serialAdapter) ||
+            devTtyRegex.test(serialAdapter) ||
+            devSerialRegex.test(serialAdapter) ||
+            comRegex.test(serialAdapter) ||
+            fileRegex.test(serialAdapter)
+        );
     }
 
-    async connectTcp(serialAdapter) {
-        try {
-            const [, host, port] = serialAdapter.match(/tcp:\/\/(.*):(\d+)/);
-            this.log.info(`Connecting to TCP serial: ${host}:${port}`);
-
-            this.socket = new net.Socket();
-            this.socket.connect(parseInt(port), host, () => {
-                this.log.info(`Connected to ${host}:${port}`);
-            });
+    // Eigene Verbindung, eigener Frame-Scanner und eigene Packs je Quelle
+    createBus({ id, source, prefix, baudRate }) {
+        const bus = {
+            id,
+            source,
+            prefix,
+            baudRate,
+            primary: !this.buses.length, // Master-Modus, Aufzeichnung, Modbus-TCP-Server und Pylontech
+            folder: prefix ? `${prefix}.` : '', // Präfix der Objekt-IDs
+            label: prefix ? `${prefix} ` : '', // Präfix der Log-Meldungen
+            scanner: new FrameScanner(),
+            connection: null, // Serielle oder TCP-Verbindung mit automatischem Reconnect
+            replay: null, // Wiedergabe einer Aufzeichnung (file://)
+            connectionState: null, // Letzter Zustand der Verbindung, null bei einer Wiedergabe
+            retries: 0,
+            lastDataReceived: Date.now(), // Letzte empfangene Daten
+            connected: false, // Zuletzt geschriebener Wert von info.sources.<id>.connection
+            packs: new Map(), // Letzte dekodierte Werte je BMS (Index -> { pack, cells, alarms, lastSeen })
+            packOnline: new Map(), // BMS-Index -> online
+            frameCounts: new Map(), // Frames je BMS-Index seit der letzten Statistik
+            cellLayouts: new Map(), // Anzahl genutzter Zellen und Sensoren je BMS-Index
+            packConfig: parsePackConfig(this.config.packs, prefix), // Konfiguration je BMS-Index aus der Pack-Tabelle
+            // Plausibilitätsprüfung der dekodierten Frames, null wenn aus
+            plausibility: this.config.plausibility
+                ? new PlausibilityFilter(parsePlausibilitySettings(this.config))
+                : null,
+        };
+        bus.scanner.on('response', (frame, info) => {
+            if (this.master && bus.primary) {
+                this.master.handleResponse(info);
+            }
+            this.processPacket(bus, frame, info);
+        });
+        bus.scanner.on('exception', (frame, info) => {
+            this.log.debug(
+                `${bus.label}BMS ${info.slaveId} answered function ${info.functionCode} with exception ${frame[2]}`,
+            );
+            if (this.master && bus.primary) {
+                this.master.handleResponse(info);
+            }
+        });
+        bus.scanner.on('request', request => {
+            if (this.master && bus.primary) {
+                this.master.handleRequest(request); // Erkennt einen zweiten Master
+            }
+        });
+        return bus;
+    }
 
-            this.socket.on('data', data => {
-                this.processStream(data);
-            });
+    findBus(prefix) {
+        return this.buses.find(bus => bus.prefix === (prefix || ''));
+    }
 
-            this.socket.on('error', err => {
-                this.log.error(`TCP connection error: ${err.message}`);
+    // Ordner der Quelle, Bank und bei mehreren Quellen deren Verbindungszustand unter info.sources
+    async createBusObjects(bus) {
+        if (bus.prefix) {
+            await this.ensureObjectExists(bus.prefix, {
+                type: 'folder',
+                common: { name: this.translatedName('channel_bus', [bus.source], bus.source) },
+                native: {},
             });
+        }
+        await this.ensureObjectExists(`${bus.folder}bank`, {
+            type: 'channel',
+            common: { name: this.translatedName('channel_bank', [], 'bank') },
+            native: {},
+        });
+        if (this.buses.length < 2) {
+            return;
+        }
+        await this.ensureObjectExists('info.sources', {
+            type: 'channel',
+            common: { name: this.translatedName('channel_sources', [], 'sources') },
+            native: {},
+        });
+        await this.ensureObjectExists(`info.sources.${bus.id}`, {
+            type: 'channel',
+            common: { name: bus.prefix ? `${bus.source} (${bus.prefix})` : bus.source },
+            native: {},
+        });
+        await this.ensureObjectExists(`info.sources.${bus.id}.connection`, {
+            type: 'state',
+            common: {
+                name: 'Source sends data',
+                type: 'boolean',
+                role: 'indicator.connected',
+                read: true,
+                write: false,
+                def: false,
+            },
+            native: {},
+        });
+        await this.ensureObjectExists(`info.sources.${bus.id}.connection_state`, {
+            type: 'state',
+            common: {
+                name: 'Connection state (connecting, connected, waiting)',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                states: Object.fromEntries(CONNECTION_STATES.map(state => [state, state])),
+            },
+            native: {},
+        });
+        this.setState(`info.sources.${bus.id}.connection`, false, true);
+    }
 
-            this.socket.on('close', () => {
-                this.log.warn('TCP connection closed, retrying...');
-                //setTimeout(() => this.connectTcp(serialAdapter), 5000);
-                if (this.reconnectTimeout) {
-                    this.clearTimeout(this.reconnectTimeout);
+    // Zustände entfernter Quellen löschen, mit nur einer Quelle gibt es info.sources nicht
+    async cleanupSourceObjects() {
+        try {
+            const ids = this.buses.length < 2 ? [] : this.buses.map(bus => bus.id);
+            const channels = (await this.getForeignObjectsAsync(`${this.namespace}.info.sources.*`, 'channel')) || {};
+            for (const id of Object.keys(channels)) {
+                const key = id.substring(`${this.namespace}.info.sources.`.length);
+                if (!key.includes('.') && !ids.includes(key)) {
+                    this.log.info(`Deleting objects of removed source info.sources.${key}`);
+                    await this.delObjectAsync(`info.sources.${key}`, { recursive: true });
                 }
-                this.reconnectTimeout = this.setTimeout(() => this.connectTcp(serialAdapter), 5000);
-            });
+            }
+            if (!ids.length && (await this.getObjectAsync('info.sources'))) {
+                await this.delObjectAsync('info.sources');
+            }
         } catch (error) {
-            this.log.error(`TCP connection failed: ${error.message}`);
+            this.log.warn(`Could not clean up source objects: ${error.message}`);
         }
     }
 
-    async connectSerial(serialAdapter) {
-        try {
-            this.serialPort = new SerialPort({
-                path: serialAdapter,
-                baudRate: 19200,
-            });
+    // Öffnet je nach Adresse seriellen Port, TCP-, RFC-2217- oder UDP-Verbindung
+    // idleTimeout undefined: Standard der Verbindung, 0: Gegenstelle darf beliebig lange schweigen
+    createOpen(source, lineSettings, idleTimeout) {
+        const { baudRate, dataBits, parity, stopBits } = lineSettings;
+        const lineText = `${baudRate} baud, ${dataBits}${parity[0].toUpperCase()}${stopBits}`;
+        const network = source.match(/^(tcp|udp|rfc2217):\/\/(.*):(\d+)$/);
+        if (!network) {
+            return {
+                open: () => openSerial(source, lineSettings),
+                description: `serial port ${source} with ${lineText}`,
+            };
+        }
+        const [, protocol, host, portText] = network;
+        const port = parseInt(portText);
+        if (protocol === 'tcp') {
+            // Leitungsparameter stellt der Server ein (ser2net, ESPHome)
+            return {
+                open: () => openTcp(host, port, idleTimeout),
+                description: `TCP connection for serial data: ${host}:${port}`,
+            };
+        }
+        if (protocol === 'rfc2217') {
+            return {
+                open: () => openRfc2217(host, port, lineSettings, idleTimeout),
+                description: `RFC 2217 connection for serial data: ${host}:${port} with ${lineText}`,
+            };
+        }
+        return {
+            open: () => openUdp(host, port, idleTimeout),
+            description: host ? `UDP connection for serial data: ${host}:${port}` : `UDP port ${port} (listening)`,
+        };
+    }
 
-            this.serialPort.on('data', data => {
-                this.processStream(data);
-            });
+    connect(bus) {
+        const { source } = bus;
+        const lineSettings = parseLineSettings(this.config);
+        if (bus.baudRate) {
+            lineSettings.baudRate = bus.baudRate; // Jede Leitung kann eine eigene Baudrate haben
+        }
+        const { open, description } = this.createOpen(source, lineSettings);
+        this.log.info(`Using ${description}`);
 
-            this.serialPort.on('error', err => {
-                this.log.error(`Serial port error: ${err.message}`);
-            });
+        const connection = new ConnectionManager({
+            open,
+            timers: {
+                setTimeout: (callback, ms) => this.setTimeout(callback, ms),
+                clearTimeout: timer => this.clearTimeout(timer),
+            },
+        });
+        if (this.config.mode === 'master' && bus.primary) {
+            this.setupMaster(bus, connection);
+        }
+        connection.on('data', data => this.processStream(bus, data));
+        connection.on('state', ({ state, retries, error, delay }) => {
+            const master = bus.primary ? this.master : null;
+            if (state === 'connected') {
+                this.log.info(`Connected to ${source}`);
+                bus.scanner.reset(); // Reste eines abgebrochenen Frames verwerfen
+                if (master) {
+                    master.start(); // Erst den Bus beobachten, dann abfragen
+                }
+            } else if (state === 'waiting') {
+                if (master) {
+                    master.stop();
+                }
+                // Bei dauerhaften Fehlern nicht alle paar Sekunden warnen
+                const level = retries <= 1 || delay >= connection.maxDelay ? 'warn' : 'debug';
+                this.log[level](`Connection to ${source} failed: ${error.message}, retrying in ${delay / 1000} s`);
+            }
+            if (this.isShuttingDown) {
+                return;
+            }
+            bus.connectionState = state;
+            bus.retries = retries;
+            if (this.buses.length > 1) {
+                this.setState(`info.sources.${bus.id}.connection_state`, state, true);
+            }
+            // Mehrere Quellen: der schlechteste Zustand und die meisten Fehlversuche
+            const connections = this.buses.filter(other => other.connectionState !== null);
+            const worst = Math.min(...connections.map(other => CONNECTION_STATES.indexOf(other.connectionState)));
+            this.setState('info.connection_state', CONNECTION_STATES[worst], true);
+            this.setState('info.retry_count', Math.max(...connections.map(other => other.retries)), true);
+            if (error) {
+                const message = this.buses.length > 1 ? `${source}: ${error.message}` : error.message;
+                this.setState('info.last_error', message, true);
+            }
+        });
+        bus.connection = connection;
+        connection.start();
+    }
+
+    async startModbusServer() {
+        const port = Number(this.config.modbus_server_port) || 5020;
+        const host = this.config.modbus_server_bind || '';
+        const server = new ModbusTcpServer({
+            store: this.registerStore,
+            // Veraltete Daten nicht ausliefern
+            isAvailable: unitId => this.buses[0].packOnline.get(unitId - 1) === true,
+        });
+        server.on('client', ({ address, connected }) => {
+            this.log.debug(`Modbus TCP client ${address} ${connected ? 'connected' : 'disconnected'}`);
+        });
+        server.on('error', error => this.log.error(`Modbus TCP server: ${error.message}`));
+        try {
+            await server.listen(port, host);
+            this.modbusServer = server;
+            this.log.info(`Modbus TCP server listening on ${host || '0.0.0.0'}:${port}`);
+        } catch (error) {
+            this.log.error(`Cannot start the Modbus TCP server on port ${port}: ${error.message}`);
+        }
+    }
+
+    async startHttpServer() {
+        const port = Number(this.config.http_server_port) || 8095;
+        const host = this.config.http_server_bind || '';
+        const server = new HttpApiServer({
+            snapshot: this.valueSnapshot,
+            isOnline: (bmsIndex, prefix) => this.findBus(prefix)?.packOnline.get(bmsIndex) === true,
+        });
+        server.on('error', error => this.log.error(`HTTP server: ${error.message}`));
+        try {
+            await server.listen(port, host);
+            this.httpServer = server;
+            this.log.info(`HTTP server listening on ${host || '0.0.0.0'}:${port} (/metrics, /api/packs)`);
         } catch (error) {
-            this.log.error(`Failed to open serial port: ${error.message}`);
+            this.log.error(`Cannot start the HTTP server on port ${port}: ${error.message}`);
         }
     }
 
-    processStream(data) {
-        for (const byte of data) {
-            this.buffer.push(byte);
+    startPylontech() {
+        const source = String(this.config.pylontech_port || '').trim();
+        if (!this.validateSerialAdapter(source) || source.startsWith('file://')) {
+            this.log.error(`Invalid port for the Pylontech emulation: "${source}"`);
+            return;
+        }
+        if (this.buses.some(bus => bus.source === source)) {
+            this.log.error('The Pylontech emulation needs its own port, not the one of a Seplos bus');
+            return;
+        }
+        const address = Number(this.config.pylontech_address) || 2;
+        // Pylontech RS485: 8N1, meist 9600 baud
+        const lineSettings = {
+            baudRate: Number(this.config.pylontech_baud_rate) || 9600,
+            dataBits: 8,
+            parity: 'none',
+            stopBits: 1,
+        };
+        // Wechselrichter fragen nachts oder im Standby oft gar nicht, das ist kein Verbindungsfehler
+        const { open, description } = this.createOpen(source, lineSettings, 0);
+        const emulator = new PylontechEmulator({
+            address,
+            getBattery: () => buildBattery(this.buses[0].packs, Date.now(), this.dataTimeout, this.limitSettings),
+        });
+        const connection = new ConnectionManager({
+            open,
+            timers: {
+                setTimeout: (callback, ms) => this.setTimeout(callback, ms),
+                clearTimeout: timer => this.clearTimeout(timer),
+            },
+        });
+        emulator.on('request', ({ cid2, error }) => {
+            this.log.debug(`Inverter query 0x${cid2.toString(16)}${error ? ` with error ${error}` : ''}`);
+        });
+        emulator.on('response', data => connection.write(data));
+        connection.on('data', data => emulator.push(data));
+        connection.on('state', ({ state, retries, error, delay }) => {
+            if (state === 'connected') {
+                this.log.info(`Connected to the inverter on ${source}`);
+                emulator.reset();
+            } else if (state === 'waiting') {
+                const level = retries <= 1 || delay >= connection.maxDelay ? 'warn' : 'debug';
+                this.log[level](`Inverter port ${source} failed: ${error.message}, retrying in ${delay / 1000} s`);
+            }
+        });
+        this.log.info(`Emulating a Pylontech battery with address ${address} on ${description}`);
+        this.inverterConnection = connection;
+        connection.start();
+    }
 
-            if (this.buffer.length > 100) {
-                this.buffer.shift();
+    setupMaster(bus, connection) {
+        const slaveIds = parseSlaveIds(this.config.poll_ids);
+        if (!slaveIds.length) {
+            this.log.error(`No valid slave ids to poll: "${this.config.poll_ids}", running as sniffer`);
+            return;
+        }
+        const interval = (Number(this.config.poll_interval) || 5) * 1000;
+        const master = new ModbusMaster({
+            write: data => connection.write(data),
+            slaveIds,
+            interval,
+            timeout: Number(this.config.poll_timeout) || 1000,
+            timers: {
+                setTimeout: (callback, ms) => this.setTimeout(callback, ms),
+                clearTimeout: timer => this.clearTimeout(timer),
+            },
+        });
+        // Antworten ohne Echo der eigenen Anfrage trotzdem dem Registerblock zuordnen
+        master.on('request', request => bus.scanner.expectResponse(request));
+        master.on('timeout', request => {
+            this.log.debug(`BMS ${request.slaveId} did not answer register 0x${request.register.toString(16)}`);
+        });
+        master.on('state', state => {
+            this.log.info(`Active polling: ${state}`);
+            if (!this.isShuttingDown && !master.conflict) {
+                this.setState('info.polling_state', state, true);
             }
+        });
+        master.on('conflict', error => {
+            this.log.error(`${error.message}. Active polling disabled, the adapter keeps listening as sniffer.`);
+            this.setState('info.polling_state', 'conflict', true);
+            this.setState('info.last_error', error.message, true);
+        });
+        // Ein Zyklus kann länger dauern als der Daten-Timeout
+        this.dataTimeout = Math.max(this.dataTimeout, 3 * interval);
+        this.log.info(`Active polling of slaves ${slaveIds.join(', ')} every ${interval / 1000} s`);
+        this.master = master;
+    }
 
-            if (this.buffer.length >= 5) {
-                if (!this.isValidHeader(this.buffer)) {
-                    this.buffer.shift();
-                    continue;
-                }
+    connectFile(bus) {
+        const { fileName, speed, loop } = parseFileSource(bus.source);
+        // Relative Pfade beziehen sich auf das Aufzeichnungsverzeichnis der Instanz
+        const fullPath = path.resolve(path.join(utils.getAbsoluteInstanceDataDir(this), 'captures'), fileName);
+        this.log.info(`Replaying capture ${fullPath} (speed: ${speed || 'max'}${loop ? ', loop' : ''})`);
 
-                const expectedLength = this.getExpectedLength(this.buffer);
-                if (this.buffer.length >= expectedLength) {
-                    if (this.validateCRC(this.buffer, expectedLength)) {
-                        this.processPacket(Buffer.from(this.buffer.slice(0, expectedLength)));
-                    }
-                    //this.buffer = [];
-                    this.buffer.shift();
-                }
-            }
+        bus.replay = new CaptureReplay(fullPath, { speed, loop });
+        bus.replay.on('data', data => {
+            this.processStream(bus, data);
+        });
+        bus.replay.on('end', () => {
+            this.log.info(`Replay of ${fileName} finished`);
+        });
+        try {
+            bus.replay.start();
+        } catch (error) {
+            this.log.error(`Failed to read capture file: ${error.message}`);
+        }
+    }
+
+    processStream(bus, data) {
+        if (this.capture && bus.primary) {
+            this.capture.write(data);
         }
+        bus.scanner.push(data);
     }
 
     async onUnload(callback) {
         try {
             this.isShuttingDown = true; // Set shutdown flag
             this.log.info('Cleaning up before shutdown...');
-            this.buffer = [];
-            this.lastUpdate = {};
-            if (this.serialPort) {
-                this.log.info('Closing serial connection...');
-                this.serialPort.close();
-                this.serialPort = null;
-            }
-            if (this.socket) {
-                this.log.info('Closing TCP connection...');
-                this.socket.destroy();
-                this.socket = null;
-            }
-            if (this.reconnectTimeout) {
-                this.clearTimeout(this.reconnectTimeout);
-                this.reconnectTimeout = null;
+            await this.saveCounters();
+            for (const bus of this.buses) {
+                bus.scanner.reset();
+                bus.packs.clear();
+                bus.packOnline.clear();
+                bus.frameCounts.clear();
+                bus.cellLayouts.clear();
+                if (bus.connection) {
+                    this.log.info(`Closing connection to ${bus.source}...`);
+                    bus.connection.stop();
+                    bus.connection = null;
+                }
+                if (bus.replay) {
+                    bus.replay.stop();
+                    bus.replay = null;
+                }
+            }
+            this.alarmHistories.clear();
+            this.cellHealth.clear();
+            this.coulombCounters.clear();
+            this.cellHealthTimes.clear();
+            this.changeFilter.forget('');
+            this.intervalStats.clear();
+            if (this.master) {
+                this.master.stop();
+                this.master = null;
+            }
+            if (this.modbusServer) {
+                this.modbusServer.close();
+                this.modbusServer = null;
+            }
+            if (this.inverterConnection) {
+                this.inverterConnection.stop();
+                this.inverterConnection = null;
+            }
+            if (this.httpServer) {
+                this.httpServer.close();
+                this.httpServer = null;
+            }
+            this.valueSnapshot.clear();
+            this.frameHistory.clear();
+            if (this.capture) {
+                this.capture.close();
+                this.capture = null;
             }
             if (this.dataCheckInterval) {
                 this.clearInterval(this.dataCheckInterval);
                 this.dataCheckInterval = null;
             }
-            this.knownIds = []; // Leeren der bekannten IDs
-            this.setState('info.connection', false, true);
+            this.knownIds.clear(); // Leeren der bekannten IDs
+            this.setConnected(false);
             this.log.info('Shutdown complete.');
 
             callback();
@@ -176,653 +634,828 @@ class SeplosV3Sniffer extends utils.Adapter {
         }
     }
 
-    isValidHeader(buffer) {
-        return (
-            (buffer[0] >= 0x01 &&
-                buffer[0] <= 0x10 &&
-                buffer[1] === 0x04 &&
-                (buffer[2] === 0x24 || buffer[2] === 0x34)) ||
-            (buffer[0] >= 0x01 && buffer[0] <= 0x10 && buffer[1] === 0x01 && buffer[2] === 0x12)
+    // Exakte Zählerstände schreiben, sie werden beim nächsten Start aus den States gelesen
+    async saveCounters() {
+        const writes = [];
+        const write = (id, value) => {
+            if (this.knownIds.has(id)) {
+                writes.push(this.setStateAsync(id, { val: value, ack: true }));
+            }
+        };
+        for (const [folder, counter] of this.energyCounters) {
+            const values = counter.getValues();
+            for (const { key } of ENERGY_FIELDS) {
+                write(`${folder}.energy.${key}`, values[key]);
+            }
+        }
+        for (const [folder, counter] of this.coulombCounters) {
+            if (counter.soc !== null) {
+                write(`${folder}.soc_coulomb`, Math.round(counter.soc * 100) / 100);
+            }
+        }
+        try {
+            await Promise.all(writes);
+        } catch (error) {
+            this.log.warn(`Could not save counters: ${error.message}`);
+        }
+    }
+
+    async onMessage(obj) {
+        if (!obj || !obj.callback) {
+            return;
+        }
+        const message = obj.message && typeof obj.message === 'object' ? obj.message : {};
+        let response;
+        try {
+            switch (obj.command) {
+                case 'listPorts':
+                    response = await this.listPorts();
+                    break;
+                case 'listPacks':
+                    response = this.listPacks();
+                    break;
+                case 'getSnapshot':
+                    response = this.getSnapshot(message.pack, message.bus);
+                    break;
+                case 'getFrames':
+                    response = this.frameHistory.get(message.type, message.count);
+                    break;
+                case 'resetCounters':
+                    response = await this.resetCounters(message.counter, message.pack, message.bus);
+                    break;
+                default:
+                    response = { error: `Unknown command: ${obj.command}` };
+            }
+        } catch (error) {
+            response = { error: error.message };
+        }
+        this.sendTo(obj.from, obj.command, response, obj.callback);
+    }
+
+    // Auswahlliste der seriellen Schnittstellen im Admin
+    async listPorts() {
+        let ports = [];
+        try {
+            ports = await SerialPort.list();
+        } catch (error) {
+            this.log.warn(`Cannot list serial ports: ${error.message}`);
+        }
+        return ports.map(port => ({
+            value: port.path,
+            label: port.manufacturer ? `${port.path} (${port.manufacturer})` : port.path,
+        }));
+    }
+
+    listPacks() {
+        return this.buses.flatMap(bus =>
+            [...bus.packs]
+                .sort(([a], [b]) => a - b)
+                .map(([bmsIndex, { lastSeen }]) => {
+                    const { name = '', location = '' } = bus.packConfig.get(bmsIndex) || {};
+                    const layout = bus.cellLayouts.get(bmsIndex);
+                    return {
+                        bus: bus.prefix,
+                        pack: bmsIndex,
+                        slave_id: bmsIndex + 1,
+                        name,
+                        location,
+                        online: bus.packOnline.get(bmsIndex) === true,
+                        last_seen: new Date(lastSeen).toISOString(),
+                        cells: layout ? layout.cells : null,
+                        temps: layout ? layout.temps : null,
+                    };
+                }),
         );
     }
 
-    getExpectedLength(buffer) {
-        // +3 Header, +2 CRC, =+5
-        if (buffer[2] === 0x24) {
-            return 41;
-        } // (0x24) 36+5=41
-        if (buffer[2] === 0x34) {
-            return 57;
-        } // (0x34) 52+5=57
-        if (buffer[1] === 0x01 && buffer[2] === 0x12) {
-            return 23;
-        } // (0x12) 18+5=23
-        return 0; // If an invalid packet arrives
-    }
-
-    validateCRC(buffer, length) {
-        const receivedCRC = (buffer[length - 1] << 8) | buffer[length - 2];
-        const calculatedCRC = this.calculateModbusCRC(buffer.slice(0, length - 2));
-        return receivedCRC === calculatedCRC;
-    }
-
-    calculateModbusCRC(data) {
-        let crc = 0xffff;
-        for (let i = 0; i < data.length; i++) {
-            crc ^= data[i];
-            for (let j = 0; j < 8; j++) {
-                if (crc & 0x0001) {
-                    crc = (crc >> 1) ^ 0xa001;
-                } else {
-                    crc >>= 1;
+    // Alle Werte eines Packs oder aller Packs und der Bank, wie unter /api/packs
+    getSnapshot(pack, bus) {
+        const snapshot = buildPacksJson(
+            this.valueSnapshot,
+            (bmsIndex, prefix) => this.findBus(prefix)?.packOnline.get(bmsIndex) === true,
+        );
+        if (pack === undefined || pack === null || pack === '') {
+            return snapshot;
+        }
+        const entry = snapshot.packs.find(
+            ({ bus: prefix = '', pack: bmsIndex }) => bmsIndex === Number(pack) && prefix === (bus || ''),
+        );
+        return entry || { error: `Unknown pack: ${bus ? `${bus}.` : ''}${pack}` };
+    }
+
+    async resetCounters(counter, pack, bus) {
+        const now = Date.now();
+        if (counter === 'energy') {
+            const folders =
+                pack === undefined || pack === null || pack === ''
+                    ? [...new Set([...this.energyCounters.keys(), ...Object.keys(this.persistedEnergy)])]
+                    : [`${bus ? `${bus}.` : ''}bms_${Number(pack)}`];
+            const unknown = folders.find(folder => !this.energyCounters.has(folder) && !this.persistedEnergy[folder]);
+            if (unknown) {
+                return { error: `No energy counters for ${unknown}` };
+            }
+            const updates = {};
+            for (const folder of folders) {
+                const energyCounter = new EnergyCounter({ maxSampleGap: this.dataTimeout });
+                this.energyCounters.set(folder, energyCounter);
+                delete this.persistedEnergy[folder];
+                this.changeFilter.forget(`${folder}.energy.`);
+                const values = energyCounter.getValues();
+                for (const { key, unit, role } of ENERGY_FIELDS) {
+                    updates[`${folder}.energy.${key}`] = { value: values[key], unit, role, ctype: 'number' };
+                }
+            }
+            this.valueSnapshot.update(updates);
+            await this.publishUpdates(updates, now);
+            this.log.info(`Energy counters reset: ${folders.join(', ') || 'none'}`);
+            return { reset: folders };
+        }
+        if (counter === 'diagnostics') {
+            for (const { scanner, plausibility, frameCounts } of this.buses) {
+                scanner.stats = { frames: 0, crcErrors: 0, discardedBytes: 0 };
+                if (plausibility) {
+                    plausibility.stats = { rejected: 0 };
                 }
+                frameCounts.clear();
             }
+            this.statsTime = now;
+            this.changeFilter.forget('info.');
+            await this.publishUpdates(this.buildDiagnosticUpdates(now), now);
+            this.log.info('Diagnostic counters reset');
+            return { reset: ['info'] };
         }
-        return crc;
+        return { error: `Unknown counter: ${counter}, use energy or diagnostics` };
     }
 
     async ensureObjectExists(id, { type, common, native = {} }) {
-        if (this.isShuttingDown || this.knownIds.includes(id)) {
+        if (this.isShuttingDown || this.knownIds.has(id)) {
             return; // Nichts tun, wenn das Objekt bereits existiert oder das System herunterfährt
         }
         try {
-            await this.setObjectNotExistsAsync(id, {
+            const created = await this.setObjectNotExistsAsync(id, {
                 type,
                 common,
                 native,
             });
-            this.knownIds.push(id);
+            if (!created && typeof common.name === 'object') {
+                // Ältere Versionen haben die ID als Namen und keinen Wertebereich gesetzt
+                const existing = await this.getObjectAsync(id);
+                if (existing && typeof existing.common.name === 'string') {
+                    await this.extendObjectAsync(id, { common });
+                }
+            }
+            this.knownIds.add(id);
         } catch (err) {
             this.log.error(`Error creating state ${id}: ${err.message}`);
         }
     }
 
-    async processPacket(buffer) {
+    // Kanal eines Packs mit dem Namen und Standort aus der Pack-Tabelle, Änderungen werden übernommen
+    async ensurePackChannel(bus, bmsIndex) {
+        const id = `${bus.folder}bms_${bmsIndex}`;
+        if (this.isShuttingDown || this.knownIds.has(id)) {
+            return;
+        }
+        const { name, location } = bus.packConfig.get(bmsIndex) || {};
+        try {
+            await this.extendObjectAsync(id, {
+                type: 'channel',
+                common: { name: name || this.translatedName('channel_pack', [bmsIndex], id), desc: location || '' },
+                native: {},
+            });
+            this.knownIds.add(id);
+        } catch (err) {
+            this.log.error(`Error creating channel ${id}: ${err.message}`);
+        }
+    }
+
+    // Name in allen Sprachen aus admin/i18n, ohne Übersetzungen der Fallback
+    translatedName(key, args, fallback, suffix = '') {
+        if (!this.translated) {
+            return fallback;
+        }
+        const names = utils.I18n.getTranslatedObject(key, ...args);
+        return Object.fromEntries(Object.entries(names).map(([lang, text]) => [lang, `${text}${suffix}`]));
+    }
+
+    // Name und Wertebereich eines Datenpunkts unter bms_N oder bank, auch mit Präfix der Quelle
+    describeCommon(id, name) {
+        const match = id.match(/^(?:[^.]+\.)?(?:bms_\d+|bank)\.(.+)$/);
+        const meta = match && describeState(match[1]);
+        if (!meta) {
+            return { name: name || id };
+        }
+        return {
+            name: this.translatedName(meta.name, meta.args, name || id, meta.suffix),
+            min: meta.min,
+            max: meta.max,
+        };
+    }
+
+    // Objekte deaktivierter und seit cleanup_days Tagen nicht mehr gesehener Packs löschen
+    async cleanupPackObjects() {
+        const maxAge = (Number(this.config.cleanup_days) || 7) * DAY;
+        const now = Date.now();
+        try {
+            for (const bus of this.buses) {
+                const pattern = `${this.namespace}.${bus.folder}bms_*`;
+                const channels = (await this.getForeignObjectsAsync(pattern, 'channel')) || {};
+                for (const id of Object.keys(channels)) {
+                    const folder = id.substring(this.namespace.length + 1);
+                    const match = folder.substring(bus.folder.length).match(PACK_FOLDER);
+                    if (!match) {
+                        continue;
+                    }
+                    const lastSeen = await this.getStateAsync(`${folder}.last_seen`);
+                    const disabled = bus.packConfig.get(Number(match[1]))?.enabled === false;
+                    if (!disabled) {
+                        // Ohne gültiges last_seen ist das Alter unbekannt, dann nichts löschen
+                        const time = lastSeen && lastSeen.val !== null ? Number(lastSeen.val) : NaN;
+                        if (!Number.isFinite(time)) {
+                            this.log.debug(`Keeping objects of ${folder}, last_seen is not known`);
+                            continue;
+                        }
+                        if (now - time <= maxAge) {
+                            continue;
+                        }
+                    }
+                    this.log.info(`Deleting objects of ${folder} (${disabled ? 'disabled' : 'no data for too long'})`);
+                    await this.delObjectAsync(folder, { recursive: true });
+                    if (await this.getObjectAsync(`info.frames_per_second.${folder}`)) {
+                        await this.delObjectAsync(`info.frames_per_second.${folder}`);
+                    }
+                }
+            }
+        } catch (error) {
+            this.log.warn(`Could not clean up pack objects: ${error.message}`);
+        }
+    }
+
+    async processPacket(bus, buffer, info = { register: null, count: null }) {
         const bmsIndex = buffer[0] - 0x01;
-        const bmsFolder = `bms_${bmsIndex}`;
+        const bmsFolder = `${bus.folder}bms_${bmsIndex}`;
+        const packName = `${bus.label}BMS ${bmsIndex}`;
 
-        if (bmsIndex === 0) {
-            this.lastDataReceived = Date.now();
-            this.setState('info.connection', true, true);
+        // Jeder Frame eines beliebigen Packs zählt als Verbindung der Quelle
+        bus.lastDataReceived = Date.now();
+        this.setSourceConnected(bus, true);
+        if (bus.packConfig.get(bmsIndex)?.enabled === false) {
+            return; // Deaktivierte Packs bekommen keine Objekte
         }
+        bus.frameCounts.set(bmsIndex, (bus.frameCounts.get(bmsIndex) || 0) + 1);
 
         // Stelle sicher, dass der BMS-Ordner existiert
-        await this.ensureObjectExists(bmsFolder, {
-            type: 'channel',
-            common: { name: `bms ${bmsIndex}` },
+        await this.ensurePackChannel(bus, bmsIndex);
+        await this.setPackOnline(bus, bmsIndex, true);
+
+        const now = Date.now();
+        this.valueSnapshot.seen(bmsIndex, now, bus.prefix);
+        const frame = decodeFrame(buffer, info.register);
+        this.frameHistory.add(frame ? frame.type : 'unknown', buffer, frame ? frame.register : info.register, now);
+        if (!frame) {
+            return;
+        }
+        if (bus.plausibility) {
+            // Zellen und Sensoren, die nach diesem Frame genutzt würden
+            const layout =
+                frame.type === 'cells'
+                    ? this.resolveCellLayout(bus, bmsIndex, frame.data)
+                    : bus.cellLayouts.get(bmsIndex);
+            const reason = bus.plausibility.check(bmsIndex, frame, now, layout);
+            if (reason) {
+                this.log.debug(`${packName}: implausible ${frame.type} frame rejected: ${reason}`);
+                return;
+            }
+        }
+        if (this.modbusServer && bus.primary && frame.register !== null) {
+            // Rohwerte unter der Original-Adresse für den Modbus-TCP-Server
+            this.registerStore.update(buffer, frame.register, info.count);
+        }
+        if (frame.type === 'cells') {
+            // Nur die tatsächlich genutzten Zellen und Sensoren weiterverarbeiten
+            frame.data = this.applyCellLayout(bus, bmsIndex, frame.data);
+        }
+        const updates = this.aggregateUpdates(this.buildUpdates(bmsFolder, frame, bus.cellLayouts.get(bmsIndex)), now);
+
+        if (frame.type !== 'raw') {
+            const packData = bus.packs.get(bmsIndex) || { lastSeen: 0 };
+            // Teilweise gelesene Parameter ergänzen die bekannten
+            packData[frame.type] = frame.type === 'parameters' ? { ...packData.parameters, ...frame.data } : frame.data;
+            packData.lastSeen = now;
+            bus.packs.set(bmsIndex, packData);
+        }
+        if (frame.type === 'pack') {
+            if (this.config.cell_health) {
+                this.getCellHealth(bmsFolder).addPack(frame.data, now);
+            }
+            Object.assign(updates, await this.buildEnergyUpdates(bmsFolder, `${bus.folder}bank`, frame.data, now));
+            Object.assign(updates, await this.buildSocUpdates(packName, bmsFolder, frame.data, now));
+        }
+        if (frame.type === 'cells' && this.config.cell_health) {
+            this.getCellHealth(bmsFolder).addCells(frame.data.cells, now);
+            Object.assign(updates, await this.buildCellHealthUpdates(bmsFolder, frame.data.cells.length, now));
+        }
+        if (frame.type === 'alarms') {
+            for (const channel of ALARM_CHANNELS) {
+                await this.ensureObjectExists(`${bmsFolder}.${channel}`, {
+                    type: 'channel',
+                    common: { name: this.translatedName(CHANNELS[channel], [], channel) },
+                    native: {},
+                });
+            }
+            await this.processAlarmHistory(packName, bmsFolder, frame.data.flags, now);
+            if (frame.data.flags.full_charge) {
+                // Das BMS kalibriert seinen SOC bei Vollladung, der Coulomb-Zähler auch
+                this.getCoulombCounter(bmsFolder).sync(now);
+            }
+        }
+        if (frame.type === 'parameters') {
+            await this.ensureObjectExists(`${bmsFolder}.parameters`, {
+                type: 'channel',
+                common: { name: this.translatedName(CHANNELS.parameters, [], 'parameters') },
+                native: {},
+            });
+        }
+        if (frame.type === 'pack' || frame.type === 'cells') {
+            Object.assign(updates, this.buildBankUpdates(bus, now));
+        }
+
+        this.valueSnapshot.update(updates);
+        await this.publishUpdates(updates, now);
+    }
+
+    setConnected(connected) {
+        if (this.connected !== connected || !connected) {
+            this.connected = connected;
+            this.setState('info.connection', connected, true);
+        }
+    }
+
+    // Verbindung einer Quelle, info.connection ist nur true, wenn alle Quellen Daten liefern
+    setSourceConnected(bus, connected) {
+        if (bus.connected !== connected && this.buses.length > 1 && !this.isShuttingDown) {
+            this.setState(`info.sources.${bus.id}.connection`, connected, true);
+        }
+        bus.connected = connected;
+        const all = this.buses.every(other => other.connected);
+        if (this.connected !== all) {
+            this.setConnected(all);
+        }
+    }
+
+    // Wird alle 5 Sekunden aufgerufen
+    checkData() {
+        const now = Date.now();
+        for (const bus of this.buses) {
+            if (now - bus.lastDataReceived > this.dataTimeout) {
+                this.setSourceConnected(bus, false);
+            }
+            for (const [bmsIndex, { lastSeen }] of bus.packs) {
+                if (now - lastSeen > this.dataTimeout) {
+                    this.setPackOnline(bus, bmsIndex, false);
+                }
+            }
+        }
+        this.publishUpdates(this.buildDiagnosticUpdates(now), now);
+        // Packs ohne Daten aus der Bank-Berechnung nehmen, auch wenn keine Frames mehr kommen
+        for (const bus of this.buses.filter(({ packs }) => packs.size)) {
+            const bankUpdates = this.buildBankUpdates(bus, now);
+            this.valueSnapshot.update(bankUpdates);
+            this.publishUpdates(bankUpdates, now);
+        }
+    }
+
+    async setPackOnline(bus, bmsIndex, online) {
+        const previous = bus.packOnline.get(bmsIndex);
+        if (previous === online || this.isShuttingDown) {
+            return;
+        }
+        bus.packOnline.set(bmsIndex, online);
+        const bmsFolder = `${bus.folder}bms_${bmsIndex}`;
+        await this.ensureObjectExists(`${bmsFolder}.online`, {
+            type: 'state',
+            common: {
+                ...this.describeCommon(`${bmsFolder}.online`, 'Pack sends data'),
+                type: 'boolean',
+                role: 'indicator.reachable',
+                read: true,
+                write: false,
+            },
             native: {},
         });
+        this.setState(`${bmsFolder}.online`, online, true);
 
-        const now = Date.now();
-        let updates = {};
+        if (online) {
+            if (previous === false) {
+                this.log.info(`${bus.label}BMS ${bmsIndex} is online again`);
+            }
+            // Alle Werte sofort neu schreiben, damit die Qualität wieder stimmt
+            this.changeFilter.forget(`${bmsFolder}.`);
+        } else {
+            this.log.warn(
+                `${bus.label}BMS ${bmsIndex}: no data for ${this.dataTimeout / 1000} seconds, marked as offline`,
+            );
+            await this.markPackStale(bmsFolder);
+        }
+    }
 
-        if (buffer[2] === 0x24) {
-            updates = {
-                [`${bmsFolder}.pack_voltage`]: {
-                    value: buffer.readUInt16BE(3) / 100.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.current`]: {
-                    value: buffer.readInt16BE(5) / 100.0,
-                    unit: 'A',
-                    role: 'value.current',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.remaining_capacity`]: {
-                    value: buffer.readUInt16BE(7) / 100.0,
-                    unit: 'Ah',
-                    role: 'value',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.total_capacity`]: {
-                    value: buffer.readUInt16BE(9) / 100.0,
-                    unit: 'AH',
-                    role: 'value',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.total_discharge_capacity`]: {
-                    value: buffer.readUInt16BE(11) / 0.1,
-                    unit: 'AH',
-                    role: 'value',
+    // Letzte Werte eines Packs behalten, aber mit Qualität 0x42 (device not connected) markieren
+    async markPackStale(bmsFolder) {
+        try {
+            const states = (await this.getStatesAsync(`${bmsFolder}.*`)) || {};
+            for (const [id, state] of Object.entries(states)) {
+                const key = id.substring(this.namespace.length + 1);
+                if (
+                    !state ||
+                    state.q === 0x42 ||
+                    /\.(online|last_seen|alarm_history)$|\.(energy|cell_health)\./.test(key)
+                ) {
+                    continue;
+                }
+                this.setState(key, { val: state.val, ack: true, q: 0x42 });
+            }
+        } catch (error) {
+            this.log.warn(`Could not mark states of ${bmsFolder} as stale: ${error.message}`);
+        }
+    }
+
+    buildDiagnosticUpdates(now) {
+        // Zähler aller Quellen zusammen
+        const sum = key => this.buses.reduce((total, { scanner }) => total + scanner.stats[key], 0);
+        const counter = (value, name) => ({ value, name, role: 'value', ctype: 'number' });
+        const updates = {
+            'info.frames_valid': counter(sum('frames'), 'Frames with valid CRC'),
+            'info.crc_errors': counter(sum('crcErrors'), 'Frames with CRC error'),
+            'info.bytes_discarded': counter(sum('discardedBytes'), 'Bytes discarded while resynchronising'),
+        };
+        if (this.config.plausibility) {
+            updates['info.frames_implausible'] = counter(
+                this.buses.reduce(
+                    (total, { plausibility }) => total + (plausibility ? plausibility.stats.rejected : 0),
+                    0,
+                ),
+                'Frames rejected as implausible',
+            );
+        }
+
+        const seconds = (now - this.statsTime) / 1000;
+        this.statsTime = now;
+        for (const bus of this.buses) {
+            for (const [bmsIndex, { lastSeen }] of bus.packs) {
+                updates[`${bus.folder}bms_${bmsIndex}.last_seen`] = {
+                    value: lastSeen,
+                    name: 'Last frame received',
+                    role: 'value.time',
                     ctype: 'number',
-                },
-                [`${bmsFolder}.soc`]: {
-                    value: buffer.readUInt16BE(13) / 10.0,
-                    unit: '%',
+                };
+                const count = bus.frameCounts.get(bmsIndex) || 0;
+                updates[`info.frames_per_second.${bus.folder}bms_${bmsIndex}`] = {
+                    value: seconds > 0 ? Math.round((count / seconds) * 10) / 10 : 0,
+                    name: `Frames per second of ${bus.label}bms ${bmsIndex}`,
+                    unit: '1/s',
                     role: 'value',
                     ctype: 'number',
-                },
-                [`${bmsFolder}.soh`]: {
-                    value: buffer.readUInt16BE(15) / 10.0,
-                    unit: '%',
-                    role: 'value',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cycle_count`]: {
-                    value: buffer.readUInt16BE(17),
-                    unit: 'cycles',
-                    role: 'value',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.average_cell_voltage`]: {
-                    value: buffer.readUInt16BE(19) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.average_cell_temp`]: {
-                    value: buffer.readInt16BE(21) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.max_cell_voltage`]: {
-                    value: buffer.readUInt16BE(23) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.min_cell_voltage`]: {
-                    value: buffer.readUInt16BE(25) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.delta_cell_voltage`]: {
-                    value: buffer.readUInt16BE(23) - buffer.readUInt16BE(25),
-                    unit: 'mV',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.max_cell_temp`]: {
-                    value: buffer.readUInt16BE(27) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.min_cell_temp`]: {
-                    value: buffer.readUInt16BE(29) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.maxdiscurt`]: {
-                    value: buffer.readUInt16BE(33) / 1.0,
-                    unit: 'A',
-                    role: 'value.current',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.maxchgcurt`]: {
-                    value: buffer.readUInt16BE(35) / 1.0,
-                    unit: 'A',
-                    role: 'value.current',
-                    ctype: 'number',
-                },
-            };
-        } else if (buffer[2] === 0x34) {
-            updates = {
-                [`${bmsFolder}.cell_1_voltage`]: {
-                    value: buffer.readUInt16BE(3) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_2_voltage`]: {
-                    value: buffer.readUInt16BE(5) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_3_voltage`]: {
-                    value: buffer.readUInt16BE(7) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_4_voltage`]: {
-                    value: buffer.readUInt16BE(9) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_5_voltage`]: {
-                    value: buffer.readUInt16BE(11) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_6_voltage`]: {
-                    value: buffer.readUInt16BE(13) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_7_voltage`]: {
-                    value: buffer.readUInt16BE(15) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_8_voltage`]: {
-                    value: buffer.readUInt16BE(17) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_9_voltage`]: {
-                    value: buffer.readUInt16BE(19) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_10_voltage`]: {
-                    value: buffer.readUInt16BE(21) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_11_voltage`]: {
-                    value: buffer.readUInt16BE(23) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_12_voltage`]: {
-                    value: buffer.readUInt16BE(25) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_13_voltage`]: {
-                    value: buffer.readUInt16BE(27) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_14_voltage`]: {
-                    value: buffer.readUInt16BE(29) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_15_voltage`]: {
-                    value: buffer.readUInt16BE(31) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_16_voltage`]: {
-                    value: buffer.readUInt16BE(33) / 1000.0,
-                    unit: 'V',
-                    role: 'value.voltage',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_temp_1`]: {
-                    value: buffer.readUInt16BE(35) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_temp_2`]: {
-                    value: buffer.readUInt16BE(37) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_temp_3`]: {
-                    value: buffer.readUInt16BE(39) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.cell_temp_4`]: {
-                    value: buffer.readUInt16BE(41) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.case_temp`]: {
-                    value: buffer.readUInt16BE(51) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-                [`${bmsFolder}.power_temp`]: {
-                    value: buffer.readUInt16BE(53) / 10.0 - 273.15,
-                    unit: '°C',
-                    role: 'value.temperature',
-                    ctype: 'number',
-                },
-            };
-        } else if (buffer[2] === 0x12) {
-            let activeAlarms = [];
-            let activeProtections = [];
-
-            const parseBits = byte => [...Array(8)].map((_, i) => (byte >> i) & 1);
-            updates = {};
-
-            // Spannungsalarme (Low/High)
-            const lowVoltageCells = [];
-            const highVoltageCells = [];
-            // Low Voltage Alarme für Zellen 1–8 (buffer[3])
-            parseBits(buffer[3]).forEach((bit, i) => {
-                if (bit) {
-                    lowVoltageCells.push(i + 1);
-                }
-            });
-            // Low Voltage Alarme für Zellen 9–16 (buffer[4])
-            parseBits(buffer[4]).forEach((bit, i) => {
-                if (bit) {
-                    lowVoltageCells.push(i + 9);
-                }
-            });
-            // High Voltage Alarme für Zellen 1–8 (buffer[5])
-            parseBits(buffer[5]).forEach((bit, i) => {
-                if (bit) {
-                    highVoltageCells.push(i + 1);
-                }
-            });
-            // High Voltage Alarme für Zellen 9–16 (buffer[6])
-            parseBits(buffer[6]).forEach((bit, i) => {
-                if (bit) {
-                    highVoltageCells.push(i + 9);
-                }
-            });
-            // Formatierung des Strings
-            const lowvoltStr = lowVoltageCells.length ? `Low: ${lowVoltageCells.join(', ')}` : '';
-            const highvoltStr = highVoltageCells.length ? `High: ${highVoltageCells.join(', ')}` : '';
-            const voltString = [lowvoltStr, highvoltStr].filter(Boolean).join(' | ') || '';
-
-            // Temperature Alarms (Low/High)
-            const lowTempCells = [];
-            const highTempCells = [];
-            // Low Temperature Alarme für Zellen 1–8 (buffer[7])
-            parseBits(buffer[7]).forEach((bit, i) => {
-                if (bit) {
-                    lowTempCells.push(i + 1);
-                }
-            });
-            // High Temperature Alarme für Zellen 1–8 (buffer[8])
-            parseBits(buffer[8]).forEach((bit, i) => {
-                if (bit) {
-                    highTempCells.push(i + 1);
-                }
-            });
-            // Formatierung des Strings
-            const lowtempStr = lowTempCells.length ? `Low: ${lowTempCells.join(', ')}` : '';
-            const hightempStr = highTempCells.length ? `High: ${highTempCells.join(', ')}` : '';
-            const tempString = [lowtempStr, hightempStr].filter(Boolean).join(' | ') || '';
-
-            // Balancing-Status
-            const balancingCells = [];
-            // Balancing für Zellen 1–8 (buffer[9])
-            parseBits(buffer[9]).forEach((bit, i) => {
-                if (bit) {
-                    balancingCells.push(i + 1);
-                }
-            });
-            // Balancing für Zellen 9–16 (buffer[10])
-            parseBits(buffer[10]).forEach((bit, i) => {
-                if (bit) {
-                    balancingCells.push(i + 9);
-                }
-            });
-
-            // Systemstatus (TB09)
-            const systemStatus = [];
-            if (buffer[11] & 0x01) {
-                systemStatus.push('Discharge');
-            }
-            if (buffer[11] & 0x02) {
-                systemStatus.push('Charge');
-            }
-            if (buffer[11] & 0x04) {
-                systemStatus.push('Floating Charge');
-            }
-            if (buffer[11] & 0x08) {
-                systemStatus.push('Full Charge');
-            }
-            if (buffer[11] & 0x10) {
-                systemStatus.push('Standy Mode');
-            }
-            if (buffer[11] & 0x20) {
-                systemStatus.push('Turn Off');
+                };
             }
+            bus.frameCounts.clear();
+        }
+        return updates;
+    }
 
-            // Voltage Event Code nach TB02 dekodieren
-            if (buffer[12] & 0x01) {
-                activeAlarms.push('Cell High Voltage Alarm');
-            }
-            if (buffer[12] & 0x02) {
-                activeProtections.push('Cell Over Voltage Protection');
-            }
-            if (buffer[12] & 0x04) {
-                activeAlarms.push('Cell Low Voltage Alarm');
-            }
-            if (buffer[12] & 0x08) {
-                activeProtections.push('Cell Under Voltage Protection');
-            }
-            if (buffer[12] & 0x10) {
-                activeAlarms.push('Pack High Voltage Alarm');
-            }
-            if (buffer[12] & 0x20) {
-                activeProtections.push('Pack Over Voltage Protection');
-            }
-            if (buffer[12] & 0x40) {
-                activeAlarms.push('Pack Low Voltage Alarm');
-            }
-            if (buffer[12] & 0x80) {
-                activeProtections.push('Pack Under Voltage Protection');
-            }
+    // Layout nach diesem Zellen-Frame, ohne es zu übernehmen
+    resolveCellLayout(bus, bmsIndex, data) {
+        return resolveLayout(bus.packConfig.get(bmsIndex) || {}, detectLayout(data), bus.cellLayouts.get(bmsIndex));
+    }
 
-            // Temperature Event Code nach TB03 dekodieren
-            if (buffer[13] & 0x01) {
-                activeAlarms.push('Charge High Temperature Alarm');
-            }
-            if (buffer[13] & 0x02) {
-                activeProtections.push('Charge High Temperature Protection');
-            }
-            if (buffer[13] & 0x04) {
-                activeAlarms.push('Charge Low Temperature Alarm');
-            }
-            if (buffer[13] & 0x08) {
-                activeProtections.push('Charge Under Temperature Protection');
-            }
-            if (buffer[13] & 0x10) {
-                activeAlarms.push('Discharge High Temperature Alarm');
-            }
-            if (buffer[13] & 0x20) {
-                activeProtections.push('Discharge Over Temperature Protection');
-            }
-            if (buffer[13] & 0x40) {
-                activeAlarms.push('Discharge Low Temperature Alarm');
-            }
-            if (buffer[13] & 0x80) {
-                activeProtections.push('Discharge Under Temperature Protection');
-            }
+    applyCellLayout(bus, bmsIndex, data) {
+        const previous = bus.cellLayouts.get(bmsIndex);
+        const layout = this.resolveCellLayout(bus, bmsIndex, data);
+        if (!previous || previous.cells !== layout.cells || previous.temps !== layout.temps) {
+            this.log.info(`${bus.label}BMS ${bmsIndex}: ${layout.cells} cells, ${layout.temps} temperature sensors`);
+            bus.cellLayouts.set(bmsIndex, layout);
+        }
+        return applyLayout(data, layout);
+    }
 
-            // Environment Temperature Event Code nach TB04 dekodieren
-            if (buffer[14] & 0x01) {
-                activeAlarms.push('High Environment Temperature Alarm');
-            }
-            if (buffer[14] & 0x02) {
-                activeProtections.push('Over Environment Temperature Protection');
-            }
-            if (buffer[14] & 0x04) {
-                activeAlarms.push('Low Environment Temperature Alarm');
-            }
-            if (buffer[14] & 0x08) {
-                activeProtections.push('Under Environment Temperature Protection');
-            }
-            if (buffer[14] & 0x10) {
-                activeAlarms.push('High Power Temperature Alarm');
-            }
-            if (buffer[14] & 0x20) {
-                activeProtections.push('Over Power Temperature Protection');
-            }
-            if (buffer[14] & 0x40) {
-                activeAlarms.push('Cell Temperature Low Heating');
+    async loadEnergyCounters() {
+        try {
+            const states = (await this.getStatesAsync('*.energy.*')) || {};
+            for (const [id, state] of Object.entries(states)) {
+                const [folder, key] = id.substring(this.namespace.length + 1).split('.energy.');
+                if (state && key) {
+                    this.persistedEnergy[folder] = this.persistedEnergy[folder] || {};
+                    this.persistedEnergy[folder][key] = state;
+                }
             }
+        } catch (error) {
+            this.log.warn(`Could not read energy counters: ${error.message}`);
+        }
+    }
 
-            // Current Event Code nach TB05 dekodieren
-            if (buffer[15] & 0x01) {
-                activeAlarms.push('Charge Current Alarm');
-            }
-            if (buffer[15] & 0x02) {
-                activeProtections.push('Charge Over Current Protection');
-            }
-            if (buffer[15] & 0x04) {
-                activeProtections.push('Charge Second Level Current Protection');
-            }
-            if (buffer[15] & 0x08) {
-                activeAlarms.push('Discharge Current Alarm');
-            }
-            if (buffer[15] & 0x10) {
-                activeProtections.push('Discharge Over Current Protection');
-            }
-            if (buffer[15] & 0x20) {
-                activeProtections.push('Discharge Second Level Over Current Protection');
-            }
-            if (buffer[15] & 0x40) {
-                activeProtections.push('Output Short Circuit Protection');
+    async loadAlarmHistories() {
+        try {
+            const states = (await this.getStatesAsync('*.alarm_history')) || {};
+            for (const [id, state] of Object.entries(states)) {
+                const folder = id.substring(this.namespace.length + 1).slice(0, -'.alarm_history'.length);
+                if (state && typeof state.val === 'string') {
+                    this.persistedHistory[folder] = state.val;
+                }
             }
+        } catch (error) {
+            this.log.warn(`Could not read alarm history: ${error.message}`);
+        }
+    }
 
-            // Second Current Event Code nach TB16 dekodieren
-            if (buffer[16] & 0x01) {
-                activeAlarms.push('Output Short Latch Up');
-            }
-            if (buffer[16] & 0x04) {
-                activeAlarms.push('Second Charge Latch Up');
-            }
-            if (buffer[16] & 0x08) {
-                activeAlarms.push('Second Discharge Latch Up');
+    async loadCellHealth() {
+        try {
+            const states = (await this.getStatesAsync('*.cell_health.data')) || {};
+            for (const [id, state] of Object.entries(states)) {
+                const folder = id.substring(this.namespace.length + 1).slice(0, -'.cell_health.data'.length);
+                if (state && typeof state.val === 'string') {
+                    this.persistedCellHealth[folder] = state.val;
+                }
             }
+        } catch (error) {
+            this.log.warn(`Could not read cell health data: ${error.message}`);
+        }
+    }
 
-            // Residual Capacity Event Code nach TB06 dekodieren
-            if (buffer[17] & 0x04) {
-                activeAlarms.push('SOC Alarm');
-            }
-            if (buffer[17] & 0x08) {
-                activeProtections.push('SOC Protection');
-            }
-            if (buffer[17] & 0x10) {
-                activeAlarms.push('Cell Difference Alarm');
-            }
+    getCellHealth(bmsFolder) {
+        let health = this.cellHealth.get(bmsFolder);
+        if (!health) {
+            health = new CellHealth();
+            if (this.persistedCellHealth[bmsFolder]) {
+                health.restore(this.persistedCellHealth[bmsFolder]);
+            }
+            this.cellHealth.set(bmsFolder, health);
+        }
+        return health;
+    }
 
-            // FET Event Code nach TB07 dekodieren
-            const FETEvent = [];
-            if (buffer[18] & 0x01) {
-                FETEvent.push('Discharge FET On');
-            }
-            if (buffer[18] & 0x02) {
-                FETEvent.push('Charge FET On');
-            }
-            if (buffer[18] & 0x04) {
-                FETEvent.push('Current Limiting FET On');
-            }
-            if (buffer[18] & 0x08) {
-                FETEvent.push('Heating On');
-            }
+    // Abweichung, Innenwiderstand und Trend je Zelle, höchstens einmal pro Minute
+    async buildCellHealthUpdates(bmsFolder, cellCount, now) {
+        const times = this.cellHealthTimes.get(bmsFolder) || { published: 0, saved: 0 };
+        this.cellHealthTimes.set(bmsFolder, times);
+        if (now - times.published < CELL_HEALTH_INTERVAL) {
+            return {};
+        }
+        times.published = now;
+        const health = this.getCellHealth(bmsFolder);
+        await this.ensureObjectExists(`${bmsFolder}.cell_health`, {
+            type: 'channel',
+            common: { name: this.translatedName(CHANNELS.cell_health, [], 'cell_health') },
+            native: {},
+        });
 
-            // Battery Equalization State Code nach TB08 dekodieren
-            if (buffer[19] & 0x01) {
-                activeAlarms.push('Low SOC Alarm');
-            }
-            if (buffer[19] & 0x02) {
-                activeAlarms.push('Intermittent Charge');
-            }
-            if (buffer[19] & 0x04) {
-                activeAlarms.push('External Switch Conrol');
-            }
-            if (buffer[19] & 0x08) {
-                activeAlarms.push('Static Standy Sleep Mode');
-            }
-            if (buffer[19] & 0x10) {
-                activeAlarms.push('History Data Recording');
-            }
-            if (buffer[19] & 0x20) {
-                activeProtections.push('Under SOC Protections');
-            }
-            if (buffer[19] & 0x40) {
-                activeAlarms.push('Active Limited Current');
-            }
-            if (buffer[19] & 0x80) {
-                activeAlarms.push('Passive Limited Current');
-            }
+        const { cells, weakest } = health.getResults(cellCount);
+        const updates = {};
+        const add = (key, value, unit, role = 'value', ctype = 'number') => {
+            if (value !== null) {
+                updates[`${bmsFolder}.${key}`] = { value, unit, role, ctype };
+            }
+        };
+        for (const { cell, deviation, resistance, trend, drifting } of cells) {
+            for (const condition of CONDITIONS) {
+                add(`cell_health.cell_${cell}_deviation_${condition}`, deviation[condition], 'mV');
+            }
+            add(`cell_health.cell_${cell}_resistance`, resistance, 'mΩ');
+            add(`cell_health.cell_${cell}_trend`, trend, 'mV/d');
+            add(`cell_health.cell_${cell}_drifting`, drifting, undefined, 'indicator.alarm', 'boolean');
+        }
+        if (weakest) {
+            add('weakest_cell', weakest.cell);
+            add('weakest_cell_reason', weakest.reason, undefined, 'text', 'string');
+        }
 
-            // Hard Fault Event Code nach TB15 dekodieren
-            if (buffer[20] & 0x01) {
-                activeProtections.push('NTC Fault');
-            }
-            if (buffer[20] & 0x02) {
-                activeProtections.push('AFE Fault');
-            }
-            if (buffer[20] & 0x04) {
-                activeProtections.push('Charge Mosfet Fault');
-            }
-            if (buffer[20] & 0x08) {
-                activeProtections.push('Discharge Mosfet Fault');
-            }
-            if (buffer[20] & 0x10) {
-                activeProtections.push('Cell Fault');
-            }
-            if (buffer[20] & 0x20) {
-                activeProtections.push('Break Line Fault');
+        // Gelerntes für einen Neustart sichern
+        if (now - times.saved >= CELL_HEALTH_SAVE_INTERVAL) {
+            times.saved = now;
+            const id = `${bmsFolder}.cell_health.data`;
+            await this.ensureObjectExists(id, {
+                type: 'state',
+                common: {
+                    ...this.describeCommon(id, 'Cell health data'),
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+            if (!this.isShuttingDown) {
+                this.setState(id, { val: health.serialize(), ack: true });
             }
-            if (buffer[20] & 0x40) {
-                activeProtections.push('Key Fault');
+        }
+        return updates;
+    }
+
+    // Flanken der Alarm- und Schutzbits erkennen, Verlauf speichern und Benachrichtigungen senden
+    async processAlarmHistory(packName, bmsFolder, flags, now) {
+        let history = this.alarmHistories.get(bmsFolder);
+        if (!history) {
+            history = new AlarmHistory(Number(this.config.alarm_history_size) || 100);
+            if (this.persistedHistory[bmsFolder]) {
+                history.restore(this.persistedHistory[bmsFolder]);
+            }
+            this.alarmHistories.set(bmsFolder, history);
+        }
+
+        const id = `${bmsFolder}.alarm_history`;
+        const changes = history.update(flags, now);
+        if (!changes.length && this.knownIds.has(id)) {
+            return;
+        }
+
+        for (const { type, entry, category } of changes) {
+            if (type === 'onset') {
+                const message = `${packName}: ${entry.label}`;
+                if (category) {
+                    this.log.warn(message);
+                    if (this.config.notifications) {
+                        await this.sendNotification(category, message);
+                    }
+                } else {
+                    this.log.info(message);
+                }
+            } else {
+                this.log.info(`${packName}: ${entry.label} cleared after ${entry.duration} s`);
             }
-            if (buffer[20] & 0x80) {
-                activeProtections.push('Aerosol Alarm');
+        }
+
+        // Der Verlauf wird sofort geschrieben, unabhängig vom Update-Intervall
+        await this.ensureObjectExists(id, {
+            type: 'state',
+            common: {
+                ...this.describeCommon(id, 'Alarm and protection history'),
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+        if (!this.isShuttingDown) {
+            this.setState(id, { val: history.serialize(), ack: true });
+        }
+    }
+
+    async sendNotification(category, message) {
+        try {
+            await this.registerNotification('seplos-v3-sniffer', category, message);
+        } catch (error) {
+            this.log.warn(`Could not send notification: ${error.message}`);
+        }
+    }
+
+    async loadCoulombCounters() {
+        try {
+            const states = (await this.getStatesAsync('*.soc_coulomb*')) || {};
+            for (const [id, state] of Object.entries(states)) {
+                // Der Ordner kann das Präfix einer Quelle enthalten (bus1.bms_0)
+                const [, folder, key] = id.substring(this.namespace.length + 1).match(/^(.+)\.([^.]+)$/) || [];
+                if (state && (key === 'soc_coulomb' || key === 'soc_coulomb_synced')) {
+                    this.persistedSoc[folder] = { ...this.persistedSoc[folder], [key]: state.val };
+                }
             }
+        } catch (error) {
+            this.log.warn(`Could not read coulomb counters: ${error.message}`);
+        }
+    }
 
-            // Create string data points for active infos, alarms, protections, usw.
-            updates[`${bmsFolder}.system_status`] = {
-                value: systemStatus.join(', '),
-                role: 'text',
-                ctype: 'string',
-            };
-            updates[`${bmsFolder}.active_balancing_cells`] = {
-                value: balancingCells.length ? balancingCells.join(', ') : '',
-                role: 'text',
-                ctype: 'string',
-            };
-            updates[`${bmsFolder}.cell_temperature_alarms`] = {
-                value: tempString,
-                role: 'text',
-                ctype: 'string',
-            };
-            updates[`${bmsFolder}.cell_voltage_alarms`] = {
-                value: voltString,
-                role: 'text',
-                ctype: 'string',
-            };
-            updates[`${bmsFolder}.FET_status`] = {
-                value: FETEvent.join(', '),
-                role: 'text',
-                ctype: 'string',
+    getCoulombCounter(bmsFolder) {
+        let counter = this.coulombCounters.get(bmsFolder);
+        if (!counter) {
+            // Lücken bis zum Daten-Timeout mitzählen, im Master-Modus kommt nur ein Frame je Abfrageintervall
+            counter = new CoulombCounter({ maxSampleGap: this.dataTimeout });
+            const { soc_coulomb, soc_coulomb_synced } = this.persistedSoc[bmsFolder] || {};
+            counter.restore(soc_coulomb, soc_coulomb_synced);
+            this.coulombCounters.set(bmsFolder, counter);
+        }
+        return counter;
+    }
+
+    // Eigener SOC aus dem Strom und Abweichung zum SOC des BMS
+    async buildSocUpdates(packName, bmsFolder, pack, now) {
+        const counter = this.getCoulombCounter(bmsFolder);
+        const soc = counter.addSample(pack, now);
+        const threshold = Number(this.config.soc_drift_threshold) || 0;
+        const { difference, change } = counter.compare(pack.soc, threshold);
+        if (change === 'onset') {
+            const message = `${packName}: SOC of the BMS (${pack.soc} %) differs by ${Math.abs(Math.round(difference * 10) / 10)} % from the coulomb counter (${Math.round(soc * 10) / 10} %)`;
+            this.log.warn(message);
+            if (this.config.notifications) {
+                await this.sendNotification('socDrift', message);
+            }
+        } else if (change === 'clear') {
+            this.log.info(`${packName}: SOC of the BMS matches the coulomb counter again`);
+        }
+
+        const updates = {};
+        if (soc !== null) {
+            updates[`${bmsFolder}.soc_coulomb`] = {
+                value: Math.round(soc * 100) / 100,
+                unit: '%',
+                role: 'value.battery',
+                ctype: 'number',
             };
-            updates[`${bmsFolder}.active_alarms`] = {
-                value: activeAlarms.length ? activeAlarms.join(', ') : '',
-                role: 'text',
-                ctype: 'string',
+        }
+        if (difference !== null) {
+            updates[`${bmsFolder}.soc_difference`] = {
+                value: Math.round(difference * 10) / 10,
+                unit: '%',
+                role: 'value',
+                ctype: 'number',
             };
-            updates[`${bmsFolder}.active_protections`] = {
-                value: activeProtections.length ? activeProtections.join(', ') : '',
-                role: 'text',
-                ctype: 'string',
+        }
+        if (counter.synced !== null) {
+            updates[`${bmsFolder}.soc_coulomb_synced`] = {
+                value: counter.synced,
+                role: 'value.time',
+                ctype: 'number',
             };
         }
+        updates[`${bmsFolder}.soc_drift_warning`] = {
+            value: counter.warning,
+            role: 'indicator.alarm',
+            ctype: 'boolean',
+        };
+        return updates;
+    }
+
+    getEnergyCounter(folder) {
+        let counter = this.energyCounters.get(folder);
+        if (!counter) {
+            counter = new EnergyCounter({ maxSampleGap: this.dataTimeout });
+            const now = Date.now();
+            for (const [key, state] of Object.entries(this.persistedEnergy[folder] || {})) {
+                counter.restore(key, state.val, state.ts, now);
+            }
+            this.energyCounters.set(folder, counter);
+        }
+        return counter;
+    }
 
-        for (const [key, { value, unit, role, ctype }] of Object.entries(updates)) {
-            if (!this.lastUpdate[key] || now - this.lastUpdate[key] >= this.updateInterval) {
-                this.lastUpdate[key] = now;
+    async buildEnergyUpdates(bmsFolder, bankFolder, pack, now) {
+        const power = pack.pack_voltage * pack.current;
+        const added = this.getEnergyCounter(bmsFolder).addSample(power, now);
+        this.getEnergyCounter(bankFolder).addEnergy(added.charged, added.discharged, now);
+
+        const updates = {
+            [`${bmsFolder}.power`]: {
+                value: Math.round(power * 10) / 10,
+                unit: 'W',
+                role: 'value.power',
+                ctype: 'number',
+            },
+        };
+        for (const folder of [bmsFolder, bankFolder]) {
+            await this.ensureObjectExists(`${folder}.energy`, {
+                type: 'channel',
+                common: { name: this.translatedName(CHANNELS.energy, [], 'energy') },
+                native: {},
+            });
+            const values = this.getEnergyCounter(folder).getValues();
+            for (const { key, unit, role } of ENERGY_FIELDS) {
+                updates[`${folder}.energy.${key}`] = { value: values[key], unit, role, ctype: 'number' };
+            }
+        }
+        return updates;
+    }
+
+    // Werte aus 0x24- und 0x34-Frames je nach Modus der Gruppe über das Mindestintervall mitteln
+    aggregateUpdates(updates, now) {
+        const result = {};
+        for (const [key, update] of Object.entries(updates)) {
+            const group = getPublishGroup(key, update);
+            const mode = this.aggregation[group] || 'last';
+            if (mode === 'last' || update.ctype !== 'number') {
+                result[key] = update;
+                continue;
+            }
+            const length = Math.max(1000, this.changeFilter.settings[group].minInterval);
+            const stats = this.intervalStats.add(key, update.value, now, length);
+            if (stats) {
+                // Das Fenster läuft weiter, bis der Wert tatsächlich geschrieben wird
+                result[key] = { ...update, value: stats.mean, window: key };
+                if (mode === 'mean_min_max') {
+                    result[`${key}_min`] = { ...update, value: stats.min, name: update.name && `${update.name} (min)` };
+                    result[`${key}_max`] = { ...update, value: stats.max, name: update.name && `${update.name} (max)` };
+                }
+            }
+        }
+        return result;
+    }
+
+    async publishUpdates(updates, now) {
+        for (const [key, { value, unit, role, ctype, name, window }] of Object.entries(updates)) {
+            if (this.changeFilter.check(key, value, getPublishGroup(key, { role, ctype }), now)) {
+                if (window) {
+                    this.intervalStats.close(window);
+                }
                 await this.ensureObjectExists(key, {
                     type: 'state',
                     common: {
-                        name: key,
+                        ...this.describeCommon(key, name),
                         type: ctype,
                         role,
                         unit,
@@ -837,6 +1470,99 @@ class SeplosV3Sniffer extends utils.Adapter {
             }
         }
     }
+
+    // Jede Quelle hat ihre eigene Bank
+    buildBankUpdates(bus, now) {
+        const bank = aggregateBank(bus.packs, now, this.dataTimeout);
+        const updates = {};
+        for (const { key, unit, role } of BANK_FIELDS) {
+            if (bank[key] !== undefined) {
+                updates[`${bus.folder}bank.${key}`] = { value: bank[key], unit, role, ctype: 'number' };
+            }
+        }
+        if (this.limitSettings) {
+            const limits = calculateLimits(bus.packs, now, this.dataTimeout, this.limitSettings);
+            for (const { key, unit, role } of LIMIT_FIELDS) {
+                if (limits[key] !== undefined) {
+                    updates[`${bus.folder}bank.${key}`] = { value: limits[key], unit, role, ctype: 'number' };
+                }
+            }
+            for (const key of ['charge_limit_reason', 'discharge_limit_reason']) {
+                updates[`${bus.folder}bank.${key}`] = { value: limits[key], role: 'text', ctype: 'string' };
+            }
+        }
+        return updates;
+    }
+
+    buildUpdates(bmsFolder, frame, layout) {
+        const updates = {};
+        const { data } = frame;
+
+        if (frame.type === 'pack') {
+            for (const { key, unit, role } of PACK_FIELDS) {
+                updates[`${bmsFolder}.${key}`] = { value: data[key], unit, role, ctype: 'number' };
+            }
+        } else if (frame.type === 'cells') {
+            data.cells.forEach((voltage, i) => {
+                updates[`${bmsFolder}.cell_${i + 1}_voltage`] = {
+                    value: voltage,
+                    unit: 'V',
+                    role: 'value.voltage',
+                    ctype: 'number',
+                };
+            });
+            data.temps.forEach((temp, i) => {
+                updates[`${bmsFolder}.cell_temp_${i + 1}`] = {
+                    value: temp,
+                    unit: '°C',
+                    role: 'value.temperature',
+                    ctype: 'number',
+                };
+            });
+            updates[`${bmsFolder}.case_temp`] = {
+                value: data.case_temp,
+                unit: '°C',
+                role: 'value.temperature',
+                ctype: 'number',
+            };
+            updates[`${bmsFolder}.power_temp`] = {
+                value: data.power_temp,
+                unit: '°C',
+                role: 'value.temperature',
+                ctype: 'number',
+            };
+        } else if (frame.type === 'parameters') {
+            // Ein Frame kann auch nur einen Teil des Parameterblocks enthalten
+            for (const { key, name, unit, role } of PARAMETER_FIELDS) {
+                if (data[key] !== undefined) {
+                    updates[`${bmsFolder}.parameters.${key}`] = { value: data[key], name, unit, role, ctype: 'number' };
+                }
+            }
+        } else if (frame.type === 'alarms') {
+            // Formatierung der Strings "Low: 1, 2 | High: 5"
+            const lowHigh = (low, high) =>
+                [low.length ? `Low: ${low.join(', ')}` : '', high.length ? `High: ${high.join(', ')}` : '']
+                    .filter(Boolean)
+                    .join(' | ');
+            const text = value => ({ value, role: 'text', ctype: 'string' });
+
+            // Create string data points for active infos, alarms, protections, usw.
+            updates[`${bmsFolder}.system_status`] = text(data.system_status.join(', '));
+            updates[`${bmsFolder}.active_balancing_cells`] = text(data.balancing_cells.join(', '));
+            updates[`${bmsFolder}.cell_temperature_alarms`] = text(lowHigh(data.cell_low_temp, data.cell_high_temp));
+            updates[`${bmsFolder}.cell_voltage_alarms`] = text(lowHigh(data.cell_low_voltage, data.cell_high_voltage));
+            updates[`${bmsFolder}.FET_status`] = text(data.fet_status.join(', '));
+            updates[`${bmsFolder}.active_alarms`] = text(data.alarms.join(', '));
+            updates[`${bmsFolder}.active_protections`] = text(data.protections.join(', '));
+
+            // Jedes Bit zusätzlich als eigener boolescher Datenpunkt
+            for (const [id, bit] of Object.entries(buildAlarmBits(data, layout))) {
+                updates[`${bmsFolder}.${id}`] = { ...bit, ctype: 'boolean' };
+            }
+        }
+
+        return updates;
+    }
 }
 
 if (require.main !== module) {
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Simulated Seplos V3 slaves behind a TCP serial server, for testing the
+ * active polling mode without hardware.
+ *
+ * Usage: node test/slave-simulator.js [port] [slave ids]
+ * e.g.   node test/slave-simulator.js 2001 1-3
+ * and enter tcp://127.0.0.1:2001 as serial adapter.
+ */
+
+const net = require('node:net');
+const {
+    REGISTER_PACK,
+    REGISTER_CELLS,
+    REGISTER_ALARMS,
+    REGISTER_PARAMETERS,
+    PARAMETER_FIELDS,
+    REQUEST_LENGTH,
+    calculateModbusCRC,
+    parseRequest,
+} = require('../lib/seplos-decoder');
+const { parseSlaveIds } = require('../lib/modbus-master');
+
+/**
+ * @param {number[]} body frame without CRC
+ * @returns {Buffer} frame with CRC
+ */
+function withCRC(body) {
+    const crc = calculateModbusCRC(body);
+    return Buffer.from([...body, crc & 0xff, crc >> 8]);
+}
+
+/**
+ * @param {number[]} values 16 bit values
+ * @returns {number[]} big endian bytes
+ */
+function words(values) {
+    return values.flatMap(value => [(value >> 8) & 0xff, value & 0xff]);
+}
+
+// Raw register values of some parameters (0.01 V, 1 mV, 0.01 A, 0.1 K), the others read 0
+const PARAMETER_VALUES = {
+    pack_ov_protection: 5840,
+    cell_ov_alarm: 3550,
+    cell_ov_protection: 3650,
+    cell_uv_protection: 2700,
+    charge_oc_protection: 15000,
+    discharge_oc_protection: 20000,
+    charge_high_temp_protection: 3281, // 55 °C
+    charge_low_temp_protection: 2731, // 0 °C
+    balance_start_voltage: 3400,
+};
+
+/**
+ * Response of a slave to one of the three register blocks or the parameters.
+ *
+ * @param {{slaveId: number, functionCode: number, register: number, count: number}} request parsed request
+ * @returns {Buffer | null} response, null for unknown blocks
+ */
+function buildResponse({ slaveId, functionCode, register, count }) {
+    switch (register) {
+        case REGISTER_PACK:
+            // 53.2 V, -10 A, 200 Ah of 280 Ah, cycles 123, SOC 71.4 %, SOH 100 %
+            return withCRC([
+                slaveId,
+                functionCode,
+                0x24,
+                ...words([5320, 0xfc18, 20000, 28000, 123, 714, 1000, 42, 3325, 2981, 3340, 3310, 2991, 2971, 0, 150]),
+                ...words([140, 0]),
+            ]);
+        case REGISTER_CELLS: {
+            const cells = Array.from({ length: 16 }, (_, i) => 3300 + i + slaveId);
+            const temps = [2981, 2982, 2983, 2984, 0, 0, 0, 0];
+            return withCRC([slaveId, functionCode, 0x34, ...words([...cells, ...temps, 2991, 3001])]);
+        }
+        case REGISTER_ALARMS:
+            return withCRC([slaveId, functionCode, 0x12, ...new Array(18).fill(0)]);
+        default:
+            if (functionCode === 0x03 && register >= REGISTER_PARAMETERS) {
+                const values = Array.from({ length: count }, (_, i) => {
+                    const field = PARAMETER_FIELDS.find(field => field.register === register + i);
+                    return (field && PARAMETER_VALUES[field.key]) || 0;
+                });
+                return withCRC([slaveId, functionCode, count * 2, ...words(values)]);
+            }
+            return null;
+    }
+}
+
+/**
+ * Starts a TCP server answering the requests for the given slave ids.
+ *
+ * @param {number[]} slaveIds simulated slaves
+ * @param {number} [port] TCP port, 0 for a free one
+ * @returns {Promise<net.Server>} listening server
+ */
+function startSimulator(slaveIds, port = 0) {
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= REQUEST_LENGTH) {
+                const request = parseRequest(buffer);
+                if (!request) {
+                    buffer = buffer.subarray(1);
+                    continue;
+                }
+                buffer = buffer.subarray(REQUEST_LENGTH);
+                const response = slaveIds.includes(request.slaveId) ? buildResponse(request) : null;
+                if (response) {
+                    socket.write(response);
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 2001;
+    const slaveIds = parseSlaveIds(process.argv[3] || '1');
+    startSimulator(slaveIds, port).then(() => {
+        console.log(`Simulating slaves ${slaveIds.join(', ')} on tcp://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { buildResponse, startSimulator };